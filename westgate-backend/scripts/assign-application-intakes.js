@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+const Intake = require('../src/models/Intake');
+const Application = require('../src/models/Application');
+
+async function assignApplicationIntakes() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('Connected to MongoDB');
+
+    // Attach unassigned applications to the intake whose window they were submitted in
+    const intakes = await Intake.find().sort({ opensAt: 1 });
+
+    for (const intake of intakes) {
+      const filter = {
+        intake: null,
+        createdAt: { $gte: intake.opensAt, $lt: intake.closesAt }
+      };
+      if (intake.programs.length > 0) filter.program = { $in: intake.programs };
+
+      const result = await Application.updateMany(filter, {
+        $set: { intake: intake._id, intakeYear: intake.year }
+      });
+      console.log(`✅ ${intake.code}: ${result.modifiedCount} application(s) assigned`);
+    }
+
+    const unassigned = await Application.countDocuments({ intake: null });
+    if (unassigned > 0) {
+      console.log(`⚠️ ${unassigned} application(s) fall outside every intake window; assign them from the admin dashboard`);
+    }
+
+  } catch (error) {
+    console.error('Error assigning application intakes:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+  assignApplicationIntakes();
+}
+
+module.exports = { assignApplicationIntakes };
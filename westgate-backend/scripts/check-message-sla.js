@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+const { checkMessageSla, sendOverdueDigest } = require('../src/utils/messageSla');
+
+// Flag and escalate messages past their reply deadline; with --digest, also email the overdue digest
+async function checkSla() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('Connected to MongoDB');
+
+    const summary = await checkMessageSla();
+    console.log(`✅ SLA check: ${summary.breached} new breach(es), ${summary.escalated} escalated, ${summary.failed} failed`);
+
+    if (process.argv.includes('--digest')) {
+      const overdue = await sendOverdueDigest();
+      console.log(`✅ Overdue digest: ${overdue.breaches} past SLA, ${overdue.followUps} follow-up(s) due`);
+    }
+
+    if (summary.failed > 0) process.exitCode = 1;
+
+  } catch (error) {
+    console.error('Error checking message SLAs:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+// Run if this file is executed directly (e.g. from cron when the in-process scheduler is off)
+if (require.main === module) {
+  checkSla();
+}
+
+module.exports = { checkSla };
@@ -10,7 +10,22 @@ dotenv.config({ path: path.join(__dirname, '../.env') });
 // Import models
 const Admin = require('../src/models/Admin');
 const Application = require('../src/models/Application');
+const ApplicationHistory = require('../src/models/ApplicationHistory');
+const Counter = require('../src/models/Counter');
+const AssessmentSlot = require('../src/models/AssessmentSlot');
+const Appointment = require('../src/models/Appointment');
+const ProgramCapacity = require('../src/models/ProgramCapacity');
+const Intake = require('../src/models/Intake');
+const DuplicateMatch = require('../src/models/DuplicateMatch');
+const Family = require('../src/models/Family');
+const LetterTemplate = require('../src/models/LetterTemplate');
+const ReplyTemplate = require('../src/models/ReplyTemplate');
+const ClassificationRule = require('../src/models/ClassificationRule');
+const FormDefinition = require('../src/models/FormDefinition');
+const AgeRule = require('../src/models/AgeRule');
+const ApplicationDraft = require('../src/models/ApplicationDraft');
 const Message = require('../src/models/Message');
+const QuarantinedSubmission = require('../src/models/QuarantinedSubmission');
 const Gallery = require('../src/models/Gallery');
 
 // Sample data
@@ -36,7 +51,7 @@ const sampleApplications = [
     medicalConditions: 'None',
     specialNeeds: 'None',
     extracurriculars: 'Football, Piano',
-    status: 'pending',
+    status: 'submitted',
     source: 'website'
   },
   {
@@ -60,11 +75,129 @@ const sampleApplications = [
     medicalConditions: 'Asthma',
     specialNeeds: 'None',
     extracurriculars: 'Swimming, Drama',
-    status: 'approved',
+    status: 'offer-made',
     source: 'website'
   }
 ];
 
+// Default intake open for the whole current year
+const currentYear = new Date().getFullYear();
+const defaultIntake = {
+  name: `${currentYear} Intake`,
+  code: `${currentYear}-MAIN`,
+  academicYear: String(currentYear),
+  year: currentYear,
+  opensAt: new Date(currentYear, 0, 1),
+  closesAt: new Date(currentYear + 1, 0, 1)
+};
+
+// Starting offer and regret letters for every program (edit them from the admin panel)
+const defaultLetterTemplates = [
+  {
+    type: 'offer',
+    name: 'Standard offer letter',
+    title: 'Offer of admission - {{studentName}}',
+    subject: 'Offer of Admission - {{studentName}} ({{applicationNumber}})',
+    body: [
+      'We are delighted to offer {{studentName}} a place in {{grade}} ({{program}}) at Westgate Group of Schools.',
+      'The fees are {{fees}} per term, payable before the start of term. Please report to the school office with {{studentFirstName}} on {{reportingDate}}, bringing the original copies of the documents submitted with the application.',
+      'To accept this offer, please confirm with the admissions office within 14 days of the date of this letter. We look forward to welcoming your family to Westgate.'
+    ].join('\n\n'),
+    fees: 45000
+  },
+  {
+    type: 'regret',
+    name: 'Standard regret letter',
+    title: 'Application outcome - {{studentName}}',
+    subject: 'Application {{applicationNumber}} - Admissions Decision',
+    body: [
+      'Thank you for your interest in Westgate Group of Schools and for the time you took to apply for {{studentName}} to join {{grade}} ({{program}}).',
+      'After careful consideration, we regret that we are unable to offer {{studentFirstName}} a place at this time.',
+      'This decision is not a reflection of your child\'s potential. You are welcome to contact the admissions office to discuss the decision or a future application.'
+    ].join('\n\n')
+  }
+];
+
+// Starting message classification rules (edit them from the admin panel)
+const defaultClassificationRules = [
+  {
+    name: 'Safeguarding',
+    keywords: ['bully*', 'harass*', 'abuse*', 'assault*', 'self-harm', 'threaten*', 'unsafe'],
+    messageType: 'complaint',
+    priority: 'urgent',
+    tags: ['safeguarding']
+  },
+  {
+    name: 'Injury or illness',
+    keywords: ['injur*', 'hospital', 'accident', 'allerg*', 'sick bay'],
+    priority: 'high',
+    tags: ['health']
+  },
+  {
+    name: 'Complaints',
+    keywords: ['complain*', 'disappointed', 'unacceptable', 'refund', 'unhappy'],
+    messageType: 'complaint',
+    priority: 'high'
+  },
+  {
+    name: 'Fees and payments',
+    keywords: ['fee*', 'invoice*', 'payment*', 'mpesa', 'balance', 'receipt*'],
+    messageType: 'inquiry',
+    tags: ['fees']
+  },
+  {
+    name: 'Admissions',
+    keywords: ['admission*', 'enrol*', 'apply', 'application', 'vacanc*', 'interview'],
+    messageType: 'inquiry',
+    tags: ['admissions']
+  },
+  {
+    name: 'Transport',
+    keywords: ['bus', 'transport', 'pick-up', 'drop-off', 'route'],
+    tags: ['transport']
+  },
+  {
+    name: 'Suggestions',
+    keywords: ['suggest*', 'recommend*', 'would be great', 'idea'],
+    messageType: 'suggestion',
+    priority: 'low'
+  }
+];
+
+// Starting answers to the questions parents ask most (edit them from the admin panel)
+const defaultReplyTemplates = [
+  {
+    name: 'School fees',
+    body: [
+      'Dear {{firstName}},',
+      'Thank you for your inquiry. Our fee structure for each program is available from the admissions office and on our website. Fees are payable per term, before the start of term, and we offer a discount for siblings.',
+      'Please let us know which program you are interested in and we will send you the full breakdown.'
+    ].join('\n\n'),
+    messageTypes: ['inquiry', 'general'],
+    inquiryTypes: ['general', 'admissions']
+  },
+  {
+    name: 'Term dates',
+    body: [
+      'Dear {{firstName}},',
+      'Thank you for getting in touch. The term dates for the current school year are published on our website and in the parents\' calendar; each term starts and ends with a half-day.',
+      'Please contact the school office if you need a copy of the calendar sent to you.'
+    ].join('\n\n'),
+    messageTypes: ['inquiry', 'general'],
+    inquiryTypes: ['general', 'academic']
+  },
+  {
+    name: 'School uniform',
+    body: [
+      'Dear {{firstName}},',
+      'Thank you for your question about the school uniform. Uniform items are available from our appointed supplier, and a full list of what each class needs is handed out on admission.',
+      'The school office can share the supplier\'s details and opening hours.'
+    ].join('\n\n'),
+    messageTypes: ['inquiry', 'general'],
+    inquiryTypes: ['general', 'facilities']
+  }
+];
+
 const sampleMessages = [
   {
     firstName: 'Mary',
@@ -120,12 +253,59 @@ const initializeDatabase = async () => {
     console.log('👤 Creating default admin account...');
     await Admin.createDefaultAdmin();
     
+    // Create default intake
+    console.log('📅 Creating default intake...');
+    let intake = await Intake.findOne({ code: defaultIntake.code });
+    if (!intake) {
+      intake = await Intake.create(defaultIntake);
+      console.log(`   ✓ Created intake: ${intake.name}`);
+    } else {
+      console.log(`   ⚠ Intake ${defaultIntake.code} already exists`);
+    }
+    await Intake.checkOpenIntakes();
+    
+    // Create default letter templates
+    console.log('📄 Creating default letter templates...');
+    for (const templateData of defaultLetterTemplates) {
+      const existingTemplate = await LetterTemplate.findOne({ type: templateData.type, program: '', isActive: true });
+      if (!existingTemplate) {
+        await LetterTemplate.create(templateData);
+        console.log(`   ✓ Created ${templateData.type} letter template`);
+      } else {
+        console.log(`   ⚠ An active ${templateData.type} letter template already exists`);
+      }
+    }
+    
+    // Create default reply templates
+    console.log('🗂️ Creating default reply templates...');
+    for (const templateData of defaultReplyTemplates) {
+      const existingTemplate = await ReplyTemplate.findOne({ name: templateData.name });
+      if (!existingTemplate) {
+        await ReplyTemplate.create(templateData);
+        console.log(`   ✓ Created reply template: ${templateData.name}`);
+      } else {
+        console.log(`   ⚠ Reply template "${templateData.name}" already exists`);
+      }
+    }
+    
+    // Create default classification rules
+    console.log('🏷️ Creating default classification rules...');
+    for (const ruleData of defaultClassificationRules) {
+      const existingRule = await ClassificationRule.findOne({ name: ruleData.name });
+      if (!existingRule) {
+        await ClassificationRule.create(ruleData);
+        console.log(`   ✓ Created classification rule: ${ruleData.name}`);
+      } else {
+        console.log(`   ⚠ Classification rule "${ruleData.name}" already exists`);
+      }
+    }
+    
     // Create sample applications
     console.log('📝 Creating sample applications...');
     for (const appData of sampleApplications) {
       const existingApp = await Application.findOne({ email: appData.email });
       if (!existingApp) {
-        const app = new Application(appData);
+        const app = new Application({ ...appData, intake: intake._id, intakeYear: intake.year });
         await app.save();
         console.log(`   ✓ Created application: ${app.applicationNumber} - ${app.studentFullName}`);
       } else {
@@ -149,7 +329,21 @@ const initializeDatabase = async () => {
     // Create database indexes
     console.log('🔍 Creating database indexes...');
     await Application.createIndexes();
+    await ApplicationHistory.createIndexes();
+    await AssessmentSlot.createIndexes();
+    await Appointment.createIndexes();
+    await ProgramCapacity.createIndexes();
+    await Intake.createIndexes();
+    await DuplicateMatch.createIndexes();
+    await Family.createIndexes();
+    await LetterTemplate.createIndexes();
+    await ReplyTemplate.createIndexes();
+    await ClassificationRule.createIndexes();
+    await FormDefinition.createIndexes();
+    await AgeRule.createIndexes();
+    await ApplicationDraft.createIndexes();
     await Message.createIndexes();
+    await QuarantinedSubmission.createIndexes();
     await Gallery.createIndexes();
     await Admin.createIndexes();
     console.log('   ✓ Indexes created successfully');
@@ -174,7 +368,22 @@ const cleanupDatabase = async () => {
     await Promise.all([
       Admin.deleteMany({}),
       Application.deleteMany({}),
+      ApplicationHistory.collection.deleteMany({}), // raw collection bypasses the append-only guard
+      Counter.deleteMany({}),
+      AssessmentSlot.deleteMany({}),
+      Appointment.deleteMany({}),
+      ProgramCapacity.deleteMany({}),
+      Intake.deleteMany({}),
+      DuplicateMatch.deleteMany({}),
+      Family.deleteMany({}),
+      LetterTemplate.deleteMany({}),
+      ReplyTemplate.deleteMany({}),
+      ClassificationRule.deleteMany({}),
+      FormDefinition.deleteMany({}),
+      AgeRule.deleteMany({}),
+      ApplicationDraft.deleteMany({}),
       Message.deleteMany({}),
+      QuarantinedSubmission.deleteMany({}),
       Gallery.deleteMany({})
     ]);
     
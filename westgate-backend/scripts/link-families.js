@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+const Application = require('../src/models/Application');
+const { linkApplicationToFamily } = require('../src/utils/families');
+
+async function linkFamilies() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('Connected to MongoDB');
+
+    // Oldest first so sibling notes land on the later application
+    const cursor = Application.find({ family: null }).sort({ createdAt: 1 }).cursor();
+
+    let linked = 0;
+    for await (const application of cursor) {
+      if (await linkApplicationToFamily(application)) linked += 1;
+    }
+
+    console.log(`✅ ${linked} application(s) linked to families (contacts, messages and subscriptions were attached along the way)`);
+
+  } catch (error) {
+    console.error('Error linking families:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+  linkFamilies();
+}
+
+module.exports = { linkFamilies };
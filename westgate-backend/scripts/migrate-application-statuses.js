@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+// Legacy statuses mapped onto the admissions pipeline
+const STATUS_MAP = {
+  pending: 'submitted',
+  review: 'under-review',
+  approved: 'offer-made',
+  rejected: 'rejected'
+};
+
+async function migrateApplicationStatuses() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('Connected to MongoDB');
+
+    // Update the raw collection so the new status enum doesn't reject legacy values
+    const applications = mongoose.connection.collection('applications');
+
+    for (const [legacyStatus, newStatus] of Object.entries(STATUS_MAP)) {
+      if (legacyStatus === newStatus) continue;
+
+      const result = await applications.updateMany(
+        { status: legacyStatus },
+        { $set: { status: newStatus } }
+      );
+      console.log(`✅ ${legacyStatus} → ${newStatus}: ${result.modifiedCount} application(s) updated`);
+    }
+
+  } catch (error) {
+    console.error('Error migrating application statuses:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+  migrateApplicationStatuses();
+}
+
+module.exports = { migrateApplicationStatuses };
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+async function migrateMessageThreads() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('Connected to MongoDB');
+
+    // Work on the raw collection so saving doesn't touch updatedAt or run model hooks
+    const messages = mongoose.connection.collection('messages');
+    const cursor = messages.find({ $or: [{ thread: { $exists: false } }, { thread: { $size: 0 } }] });
+
+    let migrated = 0;
+    for await (const message of cursor) {
+      const thread = [{
+        _id: new mongoose.Types.ObjectId(),
+        type: 'message',
+        body: message.message,
+        createdAt: message.createdAt
+      }];
+
+      // The single stored response becomes the first reply
+      if (message.response) {
+        thread.push({
+          _id: new mongoose.Types.ObjectId(),
+          type: 'reply',
+          body: message.response,
+          author: message.respondedBy,
+          createdAt: message.respondedAt || message.updatedAt
+        });
+      }
+
+      await messages.updateOne(
+        { _id: message._id },
+        { $set: { thread, lastActivityAt: thread[thread.length - 1].createdAt } }
+      );
+      migrated++;
+    }
+
+    console.log(`✅ ${migrated} message(s) converted to threads`);
+
+  } catch (error) {
+    console.error('Error migrating message threads:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+  migrateMessageThreads();
+}
+
+module.exports = { migrateMessageThreads };
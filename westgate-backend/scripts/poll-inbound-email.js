@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+const { pollImapInbox } = require('../src/utils/inboundEmail');
+
+// Turn unread mail in the IMAP mailbox into messages
+async function pollInboundEmail() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('Connected to MongoDB');
+
+    const summary = await pollImapInbox();
+
+    console.log(`✅ Inbound email processed: ${summary.created} new, ${summary.threaded} threaded, ` +
+      `${summary.duplicate} duplicate, ${summary.ignored} ignored, ${summary.failed} failed`);
+
+    if (summary.failed > 0) process.exitCode = 1;
+
+  } catch (error) {
+    console.error('Error polling inbound email:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+// Run if this file is executed directly (e.g. from a cron job every few minutes)
+if (require.main === module) {
+  pollInboundEmail();
+}
+
+module.exports = { pollInboundEmail };
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+const { sendNewApplicationsDigest } = require('../src/utils/applicationNotifications');
+
+// Email the admissions team a digest of applications from the last N hours (default 24)
+async function sendDigest() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('Connected to MongoDB');
+
+    const hours = parseInt(process.argv[2], 10) || 24;
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+    const count = await sendNewApplicationsDigest(since);
+
+    console.log(`✅ Admissions digest sent (${count} application(s) in the last ${hours}h)`);
+
+  } catch (error) {
+    console.error('Error sending admissions digest:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+// Run if this file is executed directly (e.g. from a daily cron job)
+if (require.main === module) {
+  sendDigest();
+}
+
+module.exports = { sendDigest };
@@ -12,18 +12,28 @@ dotenv.config();
 // Import routes
 const authRoutes = require('./src/routes/auth');
 const applicationRoutes = require('./src/routes/applications');
+const assessmentRoutes = require('./src/routes/assessments');
+const intakeRoutes = require('./src/routes/intakes');
+const familyRoutes = require('./src/routes/families');
+const letterTemplateRoutes = require('./src/routes/letterTemplates');
+const replyTemplateRoutes = require('./src/routes/replyTemplates');
+const classificationRuleRoutes = require('./src/routes/classificationRules');
+const formRoutes = require('./src/routes/forms');
 const messageRoutes = require('./src/routes/messages');
 const galleryRoutes = require('./src/routes/gallery');
 const contactRoutes = require('./src/routes/contact');
 const newsletterRoutes = require('./src/routes/newsletter');
+const spamRoutes = require('./src/routes/spam');
 
 // Import middleware
 const { sanitizeRequest } = require('./src/middleware/validation');
 const { testEmailConfig } = require('./src/utils/email');
 const { optionalAuth } = require('./src/middleware/auth');
+const { startMessageSlaScheduler } = require('./src/utils/messageSla');
 
 // Import models for initialization
 const Admin = require('./src/models/Admin');
+const Intake = require('./src/models/Intake');
 
 // Initialize Express app
 const app = express();
@@ -75,7 +85,7 @@ const corsOptions = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET','HEAD','PUT','PATCH','POST','DELETE','OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Application-Secret']
 };
 
 app.use(cors(corsOptions));
@@ -127,10 +137,18 @@ app.get('/', (req, res) => {
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/applications', applicationRoutes);
+app.use('/api/assessments', assessmentRoutes);
+app.use('/api/intakes', intakeRoutes);
+app.use('/api/families', familyRoutes);
+app.use('/api/letter-templates', letterTemplateRoutes);
+app.use('/api/reply-templates', replyTemplateRoutes);
+app.use('/api/classification-rules', classificationRuleRoutes);
+app.use('/api/forms', formRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/gallery', galleryRoutes);
 app.use('/api/contact', contactRoutes);
 app.use('/api/newsletter', newsletterRoutes);
+app.use('/api/spam', spamRoutes);
 
 // Do NOT serve frontend from backend on serverless (Vercel)
 // The frontend is deployed separately. Only API routes are handled here.
@@ -213,6 +231,14 @@ const connectDB = async () => {
     } catch (error) {
       console.error('⚠️  Error creating default admin:', error.message);
     }
+
+    // Create a default intake on first run so public applications are accepted
+    try {
+      await Intake.createDefaultIntake();
+      await Intake.checkOpenIntakes();
+    } catch (error) {
+      console.error('⚠️  Error checking intakes:', error.message);
+    }
     
     // Test email configuration
     const emailConfigValid = await testEmailConfig();
@@ -262,6 +288,9 @@ const startServer = async () => {
     // Connect to database first
     await connectDB();
     
+    // Flag and escalate messages that miss their reply deadline
+    startMessageSlaScheduler();
+    
     // Start the server
     const server = app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
@@ -0,0 +1,46 @@
+// Application number prefixes per branch and program.
+// Override with APPLICATION_NUMBER_PREFIXES, e.g.
+// {"default":"WG","branches":{"kitengela":"WK"},"programs":{"playgroup":"WGP"}}
+const defaultPrefixes = {
+  default: 'WG',
+  branches: {},
+  programs: {}
+};
+
+const loadPrefixes = () => {
+  if (!process.env.APPLICATION_NUMBER_PREFIXES) {
+    return defaultPrefixes;
+  }
+
+  try {
+    const configured = JSON.parse(process.env.APPLICATION_NUMBER_PREFIXES);
+    return {
+      default: configured.default || defaultPrefixes.default,
+      branches: configured.branches || {},
+      programs: configured.programs || {}
+    };
+  } catch (error) {
+    console.error('Invalid APPLICATION_NUMBER_PREFIXES, using defaults:', error.message);
+    return defaultPrefixes;
+  }
+};
+
+const prefixes = loadPrefixes();
+
+// Branch prefix wins over program prefix, which wins over the default
+const getApplicationNumberPrefix = ({ branch, program } = {}) => {
+  if (branch && prefixes.branches[branch]) return prefixes.branches[branch];
+  if (program && prefixes.programs[program]) return prefixes.programs[program];
+  return prefixes.default;
+};
+
+// Format a sequence number as an application number, e.g. WG20250001
+const formatApplicationNumber = (prefix, year, seq) => {
+  return `${prefix}${year}${String(seq).padStart(4, '0')}`;
+};
+
+module.exports = {
+  prefixes,
+  getApplicationNumberPrefix,
+  formatApplicationNumber
+};
@@ -0,0 +1,62 @@
+// CAPTCHA verifiers share one interface: `verify(token, { ipAddress })` resolves to true or false,
+// and rejects when the provider cannot be reached.
+// CAPTCHA_PROVIDER picks one: `stub` for local development (any token but "fail" passes), or
+// `siteverify` for reCAPTCHA, hCaptcha or Turnstile (CAPTCHA_VERIFY_URL, CAPTCHA_SECRET).
+// Leave it unset to skip the CAPTCHA check.
+const stubVerifier = {
+  name: 'stub',
+  verify: async (token) => Boolean(token) && token !== 'fail'
+};
+
+// The siteverify API the major providers share: POST secret, response and remoteip as a form
+const createSiteverifyVerifier = ({ url, secret }) => ({
+  name: 'siteverify',
+  verify: async (token, { ipAddress } = {}) => {
+    if (!token) return false;
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ secret, response: token, ...(ipAddress && { remoteip: ipAddress }) })
+    });
+
+    if (!response.ok) {
+      throw new Error(`CAPTCHA provider responded with ${response.status}`);
+    }
+
+    const result = await response.json();
+    return result.success === true;
+  }
+});
+
+const loadVerifier = () => {
+  switch (process.env.CAPTCHA_PROVIDER) {
+    case 'stub':
+      return stubVerifier;
+    case 'siteverify':
+      if (!process.env.CAPTCHA_VERIFY_URL || !process.env.CAPTCHA_SECRET) {
+        console.error('CAPTCHA_PROVIDER=siteverify needs CAPTCHA_VERIFY_URL and CAPTCHA_SECRET; CAPTCHA check disabled');
+        return null;
+      }
+      return createSiteverifyVerifier({ url: process.env.CAPTCHA_VERIFY_URL, secret: process.env.CAPTCHA_SECRET });
+    default:
+      return null;
+  }
+};
+
+let captchaVerifier = loadVerifier();
+
+// The configured verifier, or null when CAPTCHA is off
+const getCaptchaVerifier = () => captchaVerifier;
+
+// Plug in another provider (any object with `name` and `verify`), or null to turn CAPTCHA off
+const setCaptchaVerifier = (verifier) => {
+  captchaVerifier = verifier;
+};
+
+module.exports = {
+  stubVerifier,
+  createSiteverifyVerifier,
+  getCaptchaVerifier,
+  setCaptchaVerifier
+};
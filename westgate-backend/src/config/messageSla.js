@@ -0,0 +1,44 @@
+// Hours within which a message should get a reply, per message type and priority.
+// Override with MESSAGE_SLA_HOURS, e.g.
+// {"default":72,"messageTypes":{"complaint":24},"priorities":{"high":24,"urgent":4}}
+const defaultTargets = {
+  default: 72,
+  messageTypes: { complaint: 24 },
+  priorities: { high: 24, urgent: 4 }
+};
+
+const loadTargets = () => {
+  if (!process.env.MESSAGE_SLA_HOURS) {
+    return defaultTargets;
+  }
+
+  try {
+    const configured = JSON.parse(process.env.MESSAGE_SLA_HOURS);
+    return {
+      default: Number(configured.default) || defaultTargets.default,
+      messageTypes: configured.messageTypes || {},
+      priorities: configured.priorities || {}
+    };
+  } catch (error) {
+    console.error('Invalid MESSAGE_SLA_HOURS, using defaults:', error.message);
+    return defaultTargets;
+  }
+};
+
+const slaTargets = loadTargets();
+
+// The strictest target that applies, so an urgent suggestion is still answered quickly
+const getSlaHours = ({ messageType, priority } = {}) => {
+  const applicable = [
+    slaTargets.default,
+    slaTargets.messageTypes[messageType],
+    slaTargets.priorities[priority]
+  ].map(Number).filter(hours => hours > 0);
+
+  return Math.min(...applicable);
+};
+
+module.exports = {
+  slaTargets,
+  getSlaHours
+};
@@ -0,0 +1,80 @@
+// Spam screening for public submission endpoints.
+// Keyword and disposable-domain lists extend the defaults below with comma-separated
+// SPAM_KEYWORDS and SPAM_DISPOSABLE_DOMAINS
+const defaultKeywords = [
+  'viagra',
+  'cialis',
+  'casino',
+  'betting tips',
+  'porn',
+  'escort',
+  'forex',
+  'bitcoin',
+  'crypto investment',
+  'payday loan',
+  'loan offer',
+  'seo services',
+  'backlinks',
+  'web design services',
+  'guest post',
+  'earn money',
+  'work from home'
+];
+
+// Throwaway inbox providers; subdomains match too
+const defaultDisposableDomains = [
+  '10minutemail.com',
+  'burnermail.io',
+  'discard.email',
+  'dispostable.com',
+  'emailondeck.com',
+  'fakeinbox.com',
+  'getnada.com',
+  'guerrillamail.com',
+  'guerrillamail.net',
+  'mailcatch.com',
+  'maildrop.cc',
+  'mailinator.com',
+  'mailnesia.com',
+  'mintemail.com',
+  'moakt.com',
+  'mohmal.com',
+  'mytemp.email',
+  'sharklasers.com',
+  'spamgourmet.com',
+  'temp-mail.org',
+  'tempail.com',
+  'tempmail.com',
+  'tempmailo.com',
+  'tempr.email',
+  'throwawaymail.com',
+  'trashmail.com',
+  'yopmail.com'
+];
+
+const listFromEnv = (value) => String(value || '')
+  .split(',')
+  .map(entry => entry.trim().toLowerCase())
+  .filter(Boolean);
+
+const numberFromEnv = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? fallback : number;
+};
+
+const spamSettings = {
+  // Submissions scoring at least this much are quarantined
+  threshold: numberFromEnv(process.env.SPAM_SCORE_THRESHOLD, 5),
+  // People take longer than this to fill in a form; bots post at once
+  minSubmitSeconds: numberFromEnv(process.env.SPAM_MIN_SUBMIT_SECONDS, 3),
+  // Hidden field people never see or fill in
+  honeypotField: process.env.SPAM_HONEYPOT_FIELD || 'website',
+  keywords: [...new Set([...defaultKeywords, ...listFromEnv(process.env.SPAM_KEYWORDS)])],
+  disposableDomains: new Set([...defaultDisposableDomains, ...listFromEnv(process.env.SPAM_DISPOSABLE_DOMAINS)]),
+  // Days a quarantined submission is kept unless released
+  quarantineDays: numberFromEnv(process.env.SPAM_QUARANTINE_DAYS, 30)
+};
+
+module.exports = {
+  spamSettings
+};
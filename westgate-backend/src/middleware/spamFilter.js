@@ -0,0 +1,51 @@
+const { validationResult } = require('express-validator');
+const { assessSubmission, stripScreeningFields } = require('../utils/spam');
+const { quarantineSubmission } = require('../utils/quarantine');
+
+// Score a public submission for spam before validation strips the screening fields
+// (the honeypot, form token and CAPTCHA token), then remove them from the body
+const checkSpam = async (req, res, next) => {
+  try {
+    req.body = req.body || {};
+    req.spam = await assessSubmission(req.body, { ipAddress: req.ip });
+  } catch (error) {
+    // Screening must never stop a genuine submission
+    console.error('Spam screening error:', error);
+    req.spam = { score: 0, reasons: [], suspected: false };
+  }
+
+  stripScreeningFields(req.body);
+  next();
+};
+
+// After validation, hold suspected spam in quarantine instead of creating it
+// The sender gets the same kind of acknowledgement either way, so bots learn nothing;
+// invalid submissions carry on to the route and get the usual validation errors.
+// `onQuarantine(req)` tidies up after a quarantined submission (e.g. removes its draft)
+const quarantineSpam = (kind, { onQuarantine } = {}) => async (req, res, next) => {
+  if (!req.spam || !req.spam.suspected || !validationResult(req).isEmpty()) {
+    return next();
+  }
+
+  try {
+    await quarantineSubmission(kind, req);
+    if (onQuarantine) await onQuarantine(req);
+
+    res.status(202).json({
+      success: true,
+      message: 'Thank you, your submission has been received.'
+    });
+  } catch (error) {
+    console.error('Spam quarantine error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process submission',
+      code: 'SPAM_QUARANTINE_ERROR'
+    });
+  }
+};
+
+module.exports = {
+  checkSpam,
+  quarantineSpam
+};
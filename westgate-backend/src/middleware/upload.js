@@ -0,0 +1,42 @@
+const multer = require('multer');
+
+// File types accepted as application documents and email attachments (images and PDFs)
+const isAllowedDocumentType = (mimetype = '') => {
+  return mimetype.startsWith('image/') || mimetype === 'application/pdf';
+};
+
+// Run a multer upload middleware, answering a rejected file with 400 instead of
+// passing the error on to the global handler (which would report a 500)
+// `maxSize` describes the size limit in the too-large message (e.g. '10MB')
+const handleUpload = (upload, { maxSize } = {}) => (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      return res.status(400).json({
+        success: false,
+        message: tooLarge ? `File is too large${maxSize ? ` (maximum ${maxSize})` : ''}` : error.message,
+        code: tooLarge ? 'FILE_TOO_LARGE' : 'INVALID_UPLOAD'
+      });
+    }
+
+    // Raised by a file filter
+    if (error.code === 'INVALID_FILE_TYPE') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    next(error);
+  });
+};
+
+module.exports = {
+  isAllowedDocumentType,
+  handleUpload
+};
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Age band a child must fall in on the intake's cut-off date to join a program (optionally a grade)
+const ageRuleSchema = new mongoose.Schema({
+  program: {
+    type: String,
+    required: [true, 'Program is required'],
+    enum: ['playgroup', 'nursery', 'pre-primary', 'primary']
+  },
+  // Empty grade means the rule covers the whole program
+  grade: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [20, 'Grade cannot exceed 20 characters']
+  },
+  // Inclusive bounds, in completed months of age
+  minAgeMonths: {
+    type: Number,
+    min: [0, 'Minimum age cannot be negative'],
+    max: [300, 'Minimum age is too high']
+  },
+  maxAgeMonths: {
+    type: Number,
+    min: [0, 'Maximum age cannot be negative'],
+    max: [300, 'Maximum age is too high']
+  },
+  // Reject the submission outright, or accept it and flag it for manual review
+  action: {
+    type: String,
+    enum: ['reject', 'flag'],
+    default: 'reject'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+// One rule per program and grade
+ageRuleSchema.index({ program: 1, grade: 1 }, { unique: true });
+
+// A rule needs at least one bound, in the right order
+ageRuleSchema.pre('validate', function(next) {
+  const hasMin = this.minAgeMonths !== undefined && this.minAgeMonths !== null;
+  const hasMax = this.maxAgeMonths !== undefined && this.maxAgeMonths !== null;
+
+  if (!hasMin && !hasMax) {
+    this.invalidate('minAgeMonths', 'A minimum or maximum age is required');
+  } else if (hasMin && hasMax && this.minAgeMonths > this.maxAgeMonths) {
+    this.invalidate('maxAgeMonths', 'Maximum age must not be below the minimum age');
+  }
+  next();
+});
+
+// Static method to find the rule for an applicant (grade rule wins over program rule)
+ageRuleSchema.statics.findRule = async function(program, grade) {
+  const rules = await this.find({ program });
+  const normalisedGrade = String(grade || '').trim().toLowerCase();
+
+  return rules.find(rule => rule.grade !== '' && rule.grade.toLowerCase() === normalisedGrade) ||
+    rules.find(rule => rule.grade === '') ||
+    null;
+};
+
+const AgeRule = mongoose.model('AgeRule', ageRuleSchema);
+
+module.exports = AgeRule;
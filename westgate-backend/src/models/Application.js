@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const ApplicationHistory = require('./ApplicationHistory');
+const Counter = require('./Counter');
+const FormDefinition = require('./FormDefinition');
+const { getApplicationNumberPrefix, formatApplicationNumber } = require('../config/applicationNumbers');
+const { APPLICATION_STATUSES, DOCUMENT_TYPES, GENERATED_DOCUMENT_TYPES, assertTransition } = require('../utils/applicationWorkflow');
+const { REVIEW_RECOMMENDATIONS, reviewPercentage, summariseReviews } = require('../utils/reviews');
 
 const applicationSchema = new mongoose.Schema({
   // Student Information
@@ -49,6 +56,17 @@ const applicationSchema = new mongoose.Schema({
     trim: true,
     maxlength: [20, 'Grade cannot exceed 20 characters']
   },
+  intake: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Intake'
+  },
+  // Mirrors the intake's year so capacity and waitlists can be scoped without a lookup
+  intakeYear: {
+    type: Number,
+    default: () => new Date().getFullYear(),
+    min: [2000, 'Intake year is invalid'],
+    max: [2100, 'Intake year is invalid']
+  },
 
   // Parent/Guardian Information
   parentFirstName: {
@@ -131,11 +149,30 @@ const applicationSchema = new mongoose.Schema({
     maxlength: [500, 'Extracurriculars cannot exceed 500 characters']
   },
 
+  // Answers to the program's custom form questions (labels kept as asked at the time)
+  formDefinition: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FormDefinition'
+  },
+  formVersion: {
+    type: Number
+  },
+  customFields: [{
+    _id: false,
+    key: String,
+    label: String,
+    type: {
+      type: String
+    },
+    // Text, select option, date or boolean; file answers hold the uploaded document's ID
+    value: mongoose.Schema.Types.Mixed
+  }],
+
   // Application Status
   status: {
     type: String,
-    enum: ['pending', 'review', 'approved', 'rejected'],
-    default: 'pending'
+    enum: APPLICATION_STATUSES,
+    default: 'submitted'
   },
   reviewNotes: {
     type: String,
@@ -149,18 +186,150 @@ const applicationSchema = new mongoose.Schema({
   reviewedAt: {
     type: Date
   },
+  // Panel reviewers assigned to score the application; scores are filled in when each one submits
+  reviews: [{
+    _id: false,
+    reviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      required: true
+    },
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    assignedAt: {
+      type: Date,
+      default: Date.now
+    },
+    scores: [{
+      _id: false,
+      criterion: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [50, 'Criterion cannot exceed 50 characters']
+      },
+      score: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      maxScore: {
+        type: Number,
+        required: true,
+        min: 1
+      }
+    }],
+    recommendation: {
+      type: String,
+      enum: REVIEW_RECOMMENDATIONS
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Review comment cannot exceed 1000 characters']
+    },
+    submittedAt: {
+      type: Date
+    }
+  }],
+  interviewDate: {
+    type: Date
+  },
+  // Age check against the program's age rule at submission
+  eligibility: {
+    status: {
+      type: String,
+      enum: ['eligible', 'flagged', 'cleared']
+    },
+    ageMonths: Number,
+    cutoffDate: Date,
+    message: String,
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AgeRule'
+    },
+    clearedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    clearedAt: Date
+  },
+  // Position key on the waitlist (lower is promoted first)
+  waitlistRank: {
+    type: Number
+  },
+
+  // Latest recorded interview/assessment result
+  assessment: {
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment'
+    },
+    outcome: {
+      type: String,
+      enum: ['pass', 'borderline', 'fail', 'absent']
+    },
+    percentage: Number,
+    recordedAt: Date
+  },
 
   // Documents (file paths or URLs)
   documents: [{
-    name: String,
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Document name cannot exceed 100 characters']
+    },
     url: String,
-    type: String,
+    type: {
+      type: String,
+      enum: [...DOCUMENT_TYPES, ...GENERATED_DOCUMENT_TYPES],
+      default: 'other'
+    },
+    cloudinaryId: String,
+    format: String,
+    size: Number,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    uploadSource: {
+      type: String,
+      enum: ['admin', 'parent'],
+      default: 'admin'
+    },
     uploadedAt: {
       type: Date,
       default: Date.now
     }
   }],
 
+  // Emails sent to the applicant
+  emailLog: [{
+    _id: false,
+    template: String,
+    to: String,
+    subject: String,
+    status: {
+      type: String,
+      enum: ['sent', 'failed']
+    },
+    messageId: String,
+    error: String,
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Hash of the secret parents use to access their application publicly
+  accessSecretHash: {
+    type: String,
+    select: false
+  },
+
   // Application tracking
   applicationNumber: {
     type: String,
@@ -170,6 +339,44 @@ const applicationSchema = new mongoose.Schema({
     type: String,
     enum: ['website', 'phone', 'walk-in', 'referral'],
     default: 'website'
+  },
+  // Household this application belongs to
+  family: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Family'
+  },
+  // Another child from the same family has applied
+  hasSibling: {
+    type: Boolean,
+    default: false
+  },
+
+  // Duplicate applications folded into this one
+  mergedFrom: [{
+    _id: false,
+    application: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    applicationNumber: String,
+    mergedAt: {
+      type: Date,
+      default: Date.now
+    },
+    mergedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    }
+  }],
+  // Set on applications created by a bulk CSV import
+  importBatch: {
+    type: String,
+    trim: true
+  },
+  branch: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Branch cannot exceed 50 characters']
   }
 }, {
   timestamps: true
@@ -181,20 +388,17 @@ applicationSchema.index({ status: 1 });
 applicationSchema.index({ program: 1 });
 applicationSchema.index({ createdAt: -1 });
 applicationSchema.index({ applicationNumber: 1 });
+applicationSchema.index({ program: 1, intakeYear: 1, status: 1, waitlistRank: 1 });
+applicationSchema.index({ intake: 1, createdAt: -1 });
+applicationSchema.index({ family: 1 });
+applicationSchema.index({ 'eligibility.status': 1 });
+applicationSchema.index({ 'reviews.reviewer': 1 });
 
 // Generate application number before saving
 applicationSchema.pre('save', async function(next) {
-  if (this.isNew) {
+  if (this.isNew && !this.applicationNumber) {
     try {
-      const year = new Date().getFullYear();
-      const count = await this.constructor.countDocuments({
-        createdAt: {
-          $gte: new Date(year, 0, 1),
-          $lt: new Date(year + 1, 0, 1)
-        }
-      });
-      
-      this.applicationNumber = `WG${year}${String(count + 1).padStart(4, '0')}`;
+      await this.assignApplicationNumber();
     } catch (error) {
       return next(error);
     }
@@ -202,6 +406,11 @@ applicationSchema.pre('save', async function(next) {
   next();
 });
 
+// Virtual for the aggregated panel review
+applicationSchema.virtual('reviewSummary').get(function() {
+  return summariseReviews(this.reviews);
+});
+
 // Virtual for full student name
 applicationSchema.virtual('studentFullName').get(function() {
   return `${this.studentFirstName} ${this.studentLastName}`;
@@ -219,6 +428,36 @@ applicationSchema.virtual('applicationAge').get(function() {
   return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 });
 
+// Static method to get the highest sequence already used for a prefix and year
+applicationSchema.statics.getHighestSequence = async function(prefix, year) {
+  const escapedPrefix = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`^${escapedPrefix}${year}(\\d+)$`);
+
+  const applications = await this.find({ applicationNumber: pattern })
+    .select('applicationNumber')
+    .lean();
+
+  return applications.reduce((highest, application) => {
+    const seq = parseInt(application.applicationNumber.match(pattern)[1], 10);
+    return seq > highest ? seq : highest;
+  }, 0);
+};
+
+// Static method to get the rank for the next application joining a waitlist
+applicationSchema.statics.getNextWaitlistRank = async function(program, intakeYear) {
+  const last = await this.findOne({ program, intakeYear, status: 'waitlisted' })
+    .sort({ waitlistRank: -1 })
+    .select('waitlistRank');
+
+  return last && last.waitlistRank ? last.waitlistRank + 1 : 1;
+};
+
+// Static method to get a ranked waitlist
+applicationSchema.statics.getWaitlist = function(filter = {}) {
+  return this.find({ ...filter, status: 'waitlisted' })
+    .sort({ waitlistRank: 1, createdAt: 1 });
+};
+
 // Static method to get applications by status
 applicationSchema.statics.getByStatus = function(status) {
   return this.find({ status }).sort({ createdAt: -1 });
@@ -232,15 +471,285 @@ applicationSchema.statics.getRecent = function(limit = 10) {
     .populate('reviewedBy', 'username');
 };
 
-// Method to update status
-applicationSchema.methods.updateStatus = function(status, reviewNotes, reviewedBy) {
+// Method to update status (enforces the admissions pipeline)
+applicationSchema.methods.updateStatus = async function(status, details = {}, reviewedBy) {
+  assertTransition(this.status, status, details, this);
+
+  const fromStatus = this.status;
+  if (status === 'waitlisted') {
+    this.waitlistRank = await this.constructor.getNextWaitlistRank(this.program, this.intakeYear);
+  } else {
+    this.waitlistRank = undefined;
+  }
   this.status = status;
-  this.reviewNotes = reviewNotes;
+  if (details.reviewNotes !== undefined) this.reviewNotes = details.reviewNotes;
+  if (details.interviewDate !== undefined) this.interviewDate = details.interviewDate;
   this.reviewedBy = reviewedBy;
   this.reviewedAt = new Date();
+  await this.save();
+
+  await ApplicationHistory.record(this, {
+    action: 'status_change',
+    fromStatus,
+    toStatus: status,
+    note: details.reviewNotes,
+    performedBy: reviewedBy,
+    actorType: reviewedBy ? 'admin' : 'system'
+  });
+
+  return this;
+};
+
+// Method to get the IDs whose history makes up this application's timeline
+applicationSchema.methods.getHistoryIds = function() {
+  return [this._id, ...(this.mergedFrom || []).map(entry => entry.application)];
+};
+
+// Method to add a review note without changing status
+applicationSchema.methods.addNote = async function(note, performedBy) {
+  await ApplicationHistory.record(this, {
+    action: 'note',
+    note,
+    performedBy,
+    actorType: performedBy ? 'admin' : 'system'
+  });
+  return this;
+};
+
+// Method to find an admin's review entry
+applicationSchema.methods.getReview = function(reviewerId) {
+  return this.reviews.find(review => review.reviewer.toString() === reviewerId.toString()) || null;
+};
+
+// Method to assign panel reviewers (returns the IDs newly assigned)
+applicationSchema.methods.assignReviewers = async function(reviewerIds, performedBy) {
+  const added = [...new Set(reviewerIds.map(id => id.toString()))]
+    .filter(id => !this.getReview(id));
+
+  if (added.length === 0) return added;
+
+  added.forEach(reviewer => {
+    this.reviews.push({ reviewer, assignedBy: performedBy, assignedAt: new Date() });
+  });
+  await this.save();
+
+  await ApplicationHistory.record(this, {
+    action: 'review',
+    note: `${added.length} reviewer(s) assigned`,
+    performedBy,
+    actorType: performedBy ? 'admin' : 'system'
+  });
+
+  return added;
+};
+
+// Method to remove a reviewer who has not submitted a review
+applicationSchema.methods.unassignReviewer = async function(reviewerId, performedBy) {
+  this.reviews = this.reviews.filter(review => review.reviewer.toString() !== reviewerId.toString());
+  await this.save();
+
+  await ApplicationHistory.record(this, {
+    action: 'review',
+    note: 'Reviewer unassigned',
+    performedBy,
+    actorType: performedBy ? 'admin' : 'system'
+  });
+
+  return this;
+};
+
+// Method to record (or replace) a reviewer's scores, recommendation and comment
+applicationSchema.methods.submitReview = async function(reviewerId, { scores, recommendation, comment }) {
+  const review = this.getReview(reviewerId);
+  const isUpdate = !!review.submittedAt;
+
+  review.scores = scores || [];
+  review.recommendation = recommendation;
+  review.comment = comment;
+  review.submittedAt = new Date();
+  await this.save();
+
+  const percentage = reviewPercentage(review);
+  await ApplicationHistory.record(this, {
+    action: 'review',
+    note: `Review ${isUpdate ? 'updated' : 'submitted'}${percentage !== null ? ` (${percentage}%)` : ''}${recommendation ? `: ${recommendation}` : ''}`,
+    performedBy: reviewerId
+  });
+
+  return review;
+};
+
+// Normalise dates and IDs so edits can be compared by value
+const comparableValue = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  return value;
+};
+
+// Method to edit application fields, recording each change
+applicationSchema.methods.applyEdits = async function(updates, performedBy) {
+  const changes = [];
+
+  Object.keys(updates).forEach(field => {
+    const from = this.get(field);
+    const to = updates[field];
+    const fromValue = comparableValue(from);
+    const toValue = comparableValue(to);
+
+    if (fromValue !== toValue) {
+      changes.push({ field, from: fromValue, to: toValue });
+      this.set(field, to);
+    }
+  });
+
+  if (changes.length === 0) return changes;
+
+  await this.save();
+
+  await ApplicationHistory.record(this, {
+    action: 'field_update',
+    changes,
+    performedBy,
+    actorType: performedBy ? 'admin' : 'system'
+  });
+
+  return changes;
+};
+
+// Method to issue the next application number (atomic per-prefix, per-year counter)
+// Called on first save; bulk inserts, which skip save hooks, call it for each application first
+applicationSchema.methods.assignApplicationNumber = async function() {
+  const year = new Date().getFullYear();
+  const prefix = getApplicationNumberPrefix({ branch: this.branch, program: this.program });
+  const key = `application:${prefix}:${year}`;
+
+  // Seed a brand-new counter from numbers issued before counters existed
+  let floor = 0;
+  if (!(await Counter.exists({ _id: key }))) {
+    floor = await this.constructor.getHighestSequence(prefix, year);
+  }
+
+  const seq = await Counter.next(key, floor);
+  this.applicationNumber = formatApplicationNumber(prefix, year, seq);
+  return this.applicationNumber;
+};
+
+// Method to generate a new public access secret (returns the plain secret once)
+applicationSchema.methods.generateAccessSecret = function() {
+  const secret = crypto.randomBytes(24).toString('hex');
+  this.accessSecretHash = crypto.createHash('sha256').update(secret).digest('hex');
+  return secret;
+};
+
+// Static method to find an application by its number and public access secret
+applicationSchema.statics.findByAccessSecret = async function(applicationNumber, secret) {
+  if (!applicationNumber || !secret) return null;
+
+  const application = await this.findOne({ applicationNumber }).select('+accessSecretHash');
+  if (!application || !application.accessSecretHash) return null;
+
+  const expected = Buffer.from(application.accessSecretHash, 'hex');
+  const provided = crypto.createHash('sha256').update(String(secret)).digest();
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return null;
+  }
+
+  return application;
+};
+
+// Method to check a parent's verifying fact (email or student date of birth)
+applicationSchema.methods.matchesVerification = function({ email, dateOfBirth } = {}) {
+  if (email && this.email === String(email).trim().toLowerCase()) {
+    return true;
+  }
+
+  if (dateOfBirth && this.dateOfBirth) {
+    const provided = new Date(dateOfBirth);
+    if (!isNaN(provided) && provided.toISOString().slice(0, 10) === this.dateOfBirth.toISOString().slice(0, 10)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+// Method to record an email sent to the applicant (atomic push, leaves the loaded document untouched)
+applicationSchema.methods.recordEmail = function(entry) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $push: { emailLog: entry } }
+  );
+};
+
+// Method to attach an uploaded document
+applicationSchema.methods.addDocument = async function(document, performedBy) {
+  this.documents.push(document);
+  await this.save();
+
+  const added = this.documents[this.documents.length - 1];
+
+  await ApplicationHistory.record(this, {
+    action: 'document_added',
+    note: `${added.type}: ${added.name}`,
+    performedBy,
+    actorType: performedBy ? 'admin' : 'public'
+  });
+
+  return added;
+};
+
+// Method to answer a custom file question with an uploaded document
+applicationSchema.methods.setFileAnswer = function(key, documentId) {
+  const answer = this.customFields.find(entry => entry.key === key && entry.type === 'file');
+  if (!answer) return null;
+
+  answer.value = documentId;
+  this.markModified('customFields');
   return this.save();
 };
 
+// Method to get required custom file questions that still have no upload
+applicationSchema.methods.getPendingUploads = async function() {
+  if (!this.formDefinition) return [];
+
+  const definition = await FormDefinition.findById(this.formDefinition);
+  if (!definition) return [];
+
+  return definition.fields
+    .filter(field => field.type === 'file' && field.required)
+    .filter(field => {
+      const answer = this.customFields.find(entry => entry.key === field.key);
+      return !answer || !answer.value;
+    })
+    .map(field => ({ key: field.key, label: field.label }));
+};
+
+// Method to remove a document
+applicationSchema.methods.removeDocument = async function(documentId, performedBy) {
+  const document = this.documents.id(documentId);
+  if (!document) return null;
+
+  document.deleteOne();
+
+  // A removed upload no longer answers its file question
+  this.customFields
+    .filter(entry => entry.type === 'file' && String(entry.value) === String(document._id))
+    .forEach(entry => {
+      entry.value = null;
+      this.markModified('customFields');
+    });
+  await this.save();
+
+  await ApplicationHistory.record(this, {
+    action: 'document_removed',
+    note: `${document.type}: ${document.name}`,
+    performedBy,
+    actorType: performedBy ? 'admin' : 'public'
+  });
+
+  return document;
+};
+
 // Ensure virtual fields are serialized
 applicationSchema.set('toJSON', { virtuals: true });
 applicationSchema.set('toObject', { virtuals: true });
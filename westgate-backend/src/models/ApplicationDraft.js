@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Days an untouched draft is kept before it expires
+const DRAFT_EXPIRY_DAYS = parseInt(process.env.APPLICATION_DRAFT_EXPIRY_DAYS, 10) || 30;
+
+// A partly filled public application, resumed from an emailed link
+const applicationDraftSchema = new mongoose.Schema({
+  // Where the resume link is sent
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email address']
+  },
+  // Answers so far, keyed by application field; only checked on final submit
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  saveCount: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  ipAddress: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Indexes for performance
+applicationDraftSchema.index({ tokenHash: 1 }, { unique: true });
+applicationDraftSchema.index({ email: 1 });
+// MongoDB removes drafts once they pass their expiry date
+applicationDraftSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to generate a new resume link token (returns the plain token once)
+applicationDraftSchema.methods.generateToken = function() {
+  const token = crypto.randomBytes(24).toString('hex');
+  this.tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  return token;
+};
+
+// Method to push the expiry back after the parent saves progress
+applicationDraftSchema.methods.extendExpiry = function() {
+  this.expiresAt = new Date(Date.now() + DRAFT_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+  return this.expiresAt;
+};
+
+// Static method to find an unexpired draft from a resume link token
+// (the TTL monitor only runs once a minute, so expiry is checked here too)
+applicationDraftSchema.statics.findByToken = function(token) {
+  if (!token) return null;
+  const tokenHash = crypto.createHash('sha256').update(String(token)).digest('hex');
+  return this.findOne({ tokenHash, expiresAt: { $gt: new Date() } });
+};
+
+const ApplicationDraft = mongoose.model('ApplicationDraft', applicationDraftSchema);
+
+module.exports = ApplicationDraft;
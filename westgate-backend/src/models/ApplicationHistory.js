@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+// Append-only audit trail of everything that happens to an application
+const applicationHistorySchema = new mongoose.Schema({
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: [true, 'Application is required']
+  },
+  applicationNumber: {
+    type: String,
+    trim: true
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    enum: ['created', 'status_change', 'note', 'field_update', 'document_added', 'document_removed', 'assessment', 'review', 'merged']
+  },
+
+  // Status changes
+  fromStatus: {
+    type: String
+  },
+  toStatus: {
+    type: String
+  },
+
+  // Field edits
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Note cannot exceed 1000 characters']
+  },
+
+  // Who made the change
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  actorType: {
+    type: String,
+    enum: ['admin', 'public', 'system'],
+    default: 'admin'
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for performance
+applicationHistorySchema.index({ application: 1, createdAt: 1 });
+applicationHistorySchema.index({ performedBy: 1 });
+
+// History entries can never be changed or removed
+const rejectMutation = function(next) {
+  const error = new Error('Application history is append-only');
+  error.status = 405;
+  error.code = 'HISTORY_IMMUTABLE';
+  next(error);
+};
+
+applicationHistorySchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], rejectMutation);
+
+applicationHistorySchema.pre('save', function(next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+// Static method to append an entry
+applicationHistorySchema.statics.record = function(application, entry = {}) {
+  return this.create({
+    application: application._id,
+    applicationNumber: application.applicationNumber,
+    ...entry
+  });
+};
+
+// Static method to get the full timeline for an application (or several merged ones)
+applicationHistorySchema.statics.getTimeline = function(applicationIds) {
+  return this.find({ application: { $in: [].concat(applicationIds) } })
+    .sort({ createdAt: 1 })
+    .populate('performedBy', 'username');
+};
+
+const ApplicationHistory = mongoose.model('ApplicationHistory', applicationHistorySchema);
+
+module.exports = ApplicationHistory;
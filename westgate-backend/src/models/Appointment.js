@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const AssessmentSlot = require('./AssessmentSlot');
+
+const appointmentSchema = new mongoose.Schema({
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: [true, 'Application is required']
+  },
+  slot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AssessmentSlot',
+    required: [true, 'Slot is required']
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'confirmed', 'completed', 'cancelled', 'no-show'],
+    default: 'scheduled'
+  },
+  scheduledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  confirmedAt: {
+    type: Date
+  },
+  rescheduleCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Parent confirm/reschedule link
+  tokenHash: {
+    type: String,
+    select: false
+  },
+
+  // Outcome
+  assessor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  scores: [{
+    _id: false,
+    criterion: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [50, 'Criterion cannot exceed 50 characters']
+    },
+    score: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    maxScore: {
+      type: Number,
+      required: true,
+      min: 1
+    }
+  }],
+  outcome: {
+    type: String,
+    enum: ['pass', 'borderline', 'fail', 'absent']
+  },
+  comments: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Comments cannot exceed 1000 characters']
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  recordedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+appointmentSchema.index({ application: 1, status: 1 });
+appointmentSchema.index({ slot: 1 });
+appointmentSchema.index({ tokenHash: 1 });
+
+// Virtual for total score
+appointmentSchema.virtual('totalScore').get(function() {
+  if (!this.scores || this.scores.length === 0) return null;
+  return this.scores.reduce((total, entry) => total + entry.score, 0);
+});
+
+// Virtual for score as a percentage of the maximum
+appointmentSchema.virtual('percentage').get(function() {
+  if (!this.scores || this.scores.length === 0) return null;
+  const max = this.scores.reduce((total, entry) => total + entry.maxScore, 0);
+  return Math.round((this.totalScore / max) * 1000) / 10;
+});
+
+// Method to generate a new parent link token (returns the plain token once)
+appointmentSchema.methods.generateToken = function() {
+  const token = crypto.randomBytes(24).toString('hex');
+  this.tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  return token;
+};
+
+// Static method to find an open appointment from a parent link token
+appointmentSchema.statics.findByToken = function(token) {
+  if (!token) return null;
+  const tokenHash = crypto.createHash('sha256').update(String(token)).digest('hex');
+  return this.findOne({ tokenHash, status: { $in: ['scheduled', 'confirmed'] } });
+};
+
+// Static method to get the active appointment for an application
+appointmentSchema.statics.getActiveForApplication = function(applicationId) {
+  return this.findOne({
+    application: applicationId,
+    status: { $in: ['scheduled', 'confirmed'] }
+  });
+};
+
+// Static method to cancel an application's open appointments and free their places
+// Each appointment is cancelled atomically, so running this twice never frees a place twice
+appointmentSchema.statics.cancelActiveForApplication = async function(applicationId) {
+  const open = await this.find({
+    application: applicationId,
+    status: { $in: ['scheduled', 'confirmed'] }
+  }).select('_id');
+
+  const cancelled = [];
+  for (const { _id } of open) {
+    const appointment = await this.findOneAndUpdate(
+      { _id, status: { $in: ['scheduled', 'confirmed'] } },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+    if (appointment) {
+      await AssessmentSlot.release(appointment.slot);
+      cancelled.push(appointment);
+    }
+  }
+
+  return cancelled;
+};
+
+// Ensure virtual fields are serialized
+appointmentSchema.set('toJSON', { virtuals: true });
+appointmentSchema.set('toObject', { virtuals: true });
+
+const Appointment = mongoose.model('Appointment', appointmentSchema);
+
+module.exports = Appointment;
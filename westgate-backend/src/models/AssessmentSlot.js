@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const assessmentSlotSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Slot type is required'],
+    enum: ['interview', 'assessment'],
+    default: 'assessment'
+  },
+  programs: [{
+    type: String,
+    enum: ['playgroup', 'nursery', 'pre-primary', 'primary']
+  }],
+  startsAt: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endsAt: {
+    type: Date,
+    required: [true, 'End time is required'],
+    validate: {
+      validator: function(endsAt) {
+        return !this.startsAt || endsAt > this.startsAt;
+      },
+      message: 'End time must be after start time'
+    }
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Location cannot exceed 100 characters']
+  },
+  capacity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Capacity must be at least 1']
+  },
+  bookedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  assessor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+assessmentSlotSchema.index({ startsAt: 1, isActive: 1 });
+assessmentSlotSchema.index({ programs: 1 });
+
+// Virtual for remaining places
+assessmentSlotSchema.virtual('remaining').get(function() {
+  return Math.max(this.capacity - this.bookedCount, 0);
+});
+
+// Static method to get upcoming slots with free places
+assessmentSlotSchema.statics.getAvailable = function({ program, type } = {}) {
+  const filter = {
+    isActive: true,
+    startsAt: { $gt: new Date() },
+    $expr: { $lt: ['$bookedCount', '$capacity'] }
+  };
+  if (program) filter.programs = program;
+  if (type) filter.type = type;
+
+  return this.find(filter).sort({ startsAt: 1 });
+};
+
+// Static method to atomically take a place in a slot (null if full, past or inactive)
+assessmentSlotSchema.statics.reserve = function(slotId) {
+  return this.findOneAndUpdate(
+    {
+      _id: slotId,
+      isActive: true,
+      startsAt: { $gt: new Date() },
+      $expr: { $lt: ['$bookedCount', '$capacity'] }
+    },
+    { $inc: { bookedCount: 1 } },
+    { new: true }
+  );
+};
+
+// Static method to give a place back
+assessmentSlotSchema.statics.release = function(slotId) {
+  return this.updateOne(
+    { _id: slotId, bookedCount: { $gt: 0 } },
+    { $inc: { bookedCount: -1 } }
+  );
+};
+
+// Ensure virtual fields are serialized
+assessmentSlotSchema.set('toJSON', { virtuals: true });
+assessmentSlotSchema.set('toObject', { virtuals: true });
+
+const AssessmentSlot = mongoose.model('AssessmentSlot', assessmentSlotSchema);
+
+module.exports = AssessmentSlot;
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { MESSAGE_TYPES, MESSAGE_PRIORITIES, isValidKeyword } = require('../utils/classification');
+
+// Keywords that, found in a new message's subject or text, suggest its type, priority and tags
+const classificationRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  // Words or phrases; a trailing * matches any ending
+  keywords: {
+    type: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [50, 'Keywords cannot exceed 50 characters']
+    }],
+    validate: [
+      {
+        validator: (keywords) => keywords.length > 0,
+        message: 'At least one keyword is required'
+      },
+      {
+        validator: (keywords) => keywords.every(isValidKeyword),
+        message: 'Keywords must contain letters or numbers'
+      }
+    ]
+  },
+  // What a match suggests; a rule suggests at least one of these
+  messageType: {
+    type: String,
+    enum: MESSAGE_TYPES
+  },
+  priority: {
+    type: String,
+    enum: MESSAGE_PRIORITIES
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [20, 'Tags cannot exceed 20 characters']
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // How many messages the rule has matched, to spot rules that never fire or fire too often
+  matchCount: {
+    type: Number,
+    default: 0
+  },
+  lastMatchedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+classificationRuleSchema.index({ isActive: 1 });
+
+// A rule has to suggest something
+classificationRuleSchema.pre('validate', function(next) {
+  if (!this.messageType && !this.priority && this.tags.length === 0) {
+    this.invalidate('messageType', 'A rule must suggest a message type, priority or tags');
+  }
+  next();
+});
+
+// Static method to get the rules new messages are checked against
+classificationRuleSchema.statics.getActive = function() {
+  return this.find({ isActive: true }).lean();
+};
+
+// Static method to count a match for each rule (atomic, so concurrent messages all count)
+classificationRuleSchema.statics.recordMatches = function(ruleIds) {
+  return this.updateMany(
+    { _id: { $in: ruleIds } },
+    { $inc: { matchCount: 1 }, $set: { lastMatchedAt: new Date() } }
+  );
+};
+
+const ClassificationRule = mongoose.model('ClassificationRule', classificationRuleSchema);
+
+module.exports = ClassificationRule;
@@ -64,9 +64,32 @@ const contactSchema = new mongoose.Schema({
   responseDate: {
     type: Date
   },
+  // Latest reply emailed to the inquirer
+  response: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Response cannot exceed 2000 characters']
+  },
+  respondedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  responseDelivery: {
+    status: {
+      type: String,
+      enum: ['sent', 'failed']
+    },
+    messageId: String,
+    error: String,
+    sentAt: Date
+  },
   assignedTo: {
     type: String,
     trim: true
+  },
+  family: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Family'
   }
 }, {
   timestamps: true
@@ -76,6 +99,7 @@ const contactSchema = new mongoose.Schema({
 contactSchema.index({ status: 1, createdAt: -1 });
 contactSchema.index({ email: 1 });
 contactSchema.index({ inquiryType: 1 });
+contactSchema.index({ family: 1 });
 
 // Virtual for full contact info
 contactSchema.virtual('fullContactInfo').get(function() {
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Named sequences incremented atomically (e.g. application numbers per prefix and year)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the next value of a sequence
+// `floor` seeds a new sequence so it never goes below existing values
+counterSchema.statics.next = async function(key, floor = 0) {
+  if (floor > 0) {
+    await this.updateOne(
+      { _id: key },
+      { $max: { seq: floor } },
+      { upsert: true }
+    );
+  }
+
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  return counter.seq;
+};
+
+// Static method to read a sequence without incrementing it
+counterSchema.statics.current = async function(key) {
+  const counter = await this.findById(key);
+  return counter ? counter.seq : 0;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
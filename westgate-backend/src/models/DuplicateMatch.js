@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// A suspected duplicate pair awaiting admin review
+const duplicateMatchSchema = new mongoose.Schema({
+  // The newer application that triggered the match
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: [true, 'Application is required']
+  },
+  // The existing application it resembles
+  matchedApplication: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: [true, 'Matched application is required']
+  },
+  score: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  reasons: [{
+    type: String,
+    enum: ['student-name', 'date-of-birth', 'parent-phone', 'parent-email']
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'dismissed', 'merged'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  reviewedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// One match per pair; queue ordered by newest first
+duplicateMatchSchema.index({ application: 1, matchedApplication: 1 }, { unique: true });
+duplicateMatchSchema.index({ status: 1, createdAt: -1 });
+duplicateMatchSchema.index({ matchedApplication: 1 });
+
+// Static method to get the review queue
+duplicateMatchSchema.statics.getQueue = function(status = 'pending') {
+  const summary = 'applicationNumber studentFirstName studentLastName dateOfBirth parentFirstName parentLastName email phone program status createdAt';
+
+  return this.find({ status })
+    .sort({ score: -1, createdAt: -1 })
+    .populate('application', summary)
+    .populate('matchedApplication', summary)
+    .populate('reviewedBy', 'username');
+};
+
+const DuplicateMatch = mongoose.model('DuplicateMatch', duplicateMatchSchema);
+
+module.exports = DuplicateMatch;
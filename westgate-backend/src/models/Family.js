@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const { phoneKey } = require('../utils/phone');
+
+// A household: the guardians behind applications, enquiries and subscriptions
+const familySchema = new mongoose.Schema({
+  familyName: {
+    type: String,
+    required: [true, 'Family name is required'],
+    trim: true,
+    maxlength: [100, 'Family name cannot exceed 100 characters']
+  },
+  guardians: [{
+    firstName: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'First name cannot exceed 50 characters']
+    },
+    lastName: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Last name cannot exceed 50 characters']
+    },
+    relationship: {
+      type: String,
+      enum: ['parent', 'guardian', 'relative', 'aunt', 'uncle', 'grandparent', 'other'],
+      default: 'parent'
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    phone: {
+      type: String,
+      trim: true
+    },
+    isPrimary: {
+      type: Boolean,
+      default: false
+    }
+  }],
+
+  // Match keys for linking records to the family
+  emails: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  phoneKeys: [{
+    type: String
+  }],
+
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Address cannot exceed 200 characters']
+  },
+  city: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'City cannot exceed 50 characters']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+familySchema.index({ emails: 1 });
+familySchema.index({ phoneKeys: 1 });
+familySchema.index({ familyName: 1 });
+
+// Rebuild match keys from the guardians
+familySchema.pre('save', function(next) {
+  const emails = this.guardians.map(guardian => guardian.email).filter(Boolean);
+  const phoneKeys = this.guardians.map(guardian => phoneKey(guardian.phone)).filter(key => key.length === 9);
+
+  this.emails = [...new Set(emails)];
+  this.phoneKeys = [...new Set(phoneKeys)];
+  next();
+});
+
+// Method to add a guardian unless one with the same email or phone is already recorded
+familySchema.methods.addGuardian = function(guardian) {
+  const email = guardian.email ? guardian.email.toLowerCase() : null;
+  const key = phoneKey(guardian.phone);
+
+  const existing = this.guardians.find(entry =>
+    (email && entry.email === email) || (key.length === 9 && phoneKey(entry.phone) === key)
+  );
+  if (existing) return existing;
+
+  this.guardians.push({ ...guardian, isPrimary: this.guardians.length === 0 });
+  return this.guardians[this.guardians.length - 1];
+};
+
+// Static method to find the family matching an email or phone number
+familySchema.statics.findByContact = function({ email, phone } = {}) {
+  const or = [];
+  if (email) or.push({ emails: email.toLowerCase() });
+  const key = phoneKey(phone);
+  if (key.length === 9) or.push({ phoneKeys: key });
+  if (or.length === 0) return Promise.resolve(null);
+
+  return this.findOne({ $or: or }).sort({ createdAt: 1 });
+};
+
+const Family = mongoose.model('Family', familySchema);
+
+module.exports = Family;
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const { CUSTOM_FIELD_TYPES, OPTIONAL_CORE_FIELDS, CUSTOM_FIELD_KEY_PATTERN } = require('../utils/formDefinitions');
+
+// A custom question on the application form
+const formFieldSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Field key is required'],
+    trim: true,
+    match: [CUSTOM_FIELD_KEY_PATTERN, 'Field key must start with a letter and contain only letters, numbers and underscores']
+  },
+  label: {
+    type: String,
+    required: [true, 'Field label is required'],
+    trim: true,
+    maxlength: [200, 'Field label cannot exceed 200 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Field type is required'],
+    enum: CUSTOM_FIELD_TYPES
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Choices for select fields
+  options: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'Option cannot exceed 100 characters']
+  }],
+  // Longest accepted answer for text fields
+  maxLength: {
+    type: Number,
+    min: [1, 'Maximum length must be at least 1'],
+    max: [2000, 'Maximum length cannot exceed 2000']
+  },
+  helpText: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Help text cannot exceed 300 characters']
+  }
+}, {
+  _id: false
+});
+
+// The application form for a program: custom questions plus which optional core fields it requires
+const formDefinitionSchema = new mongoose.Schema({
+  program: {
+    type: String,
+    required: [true, 'Program is required'],
+    enum: ['playgroup', 'nursery', 'pre-primary', 'primary']
+  },
+  name: {
+    type: String,
+    required: [true, 'Form name is required'],
+    trim: true,
+    maxlength: [100, 'Form name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  fields: [formFieldSchema],
+  requiredCoreFields: [{
+    type: String,
+    enum: OPTIONAL_CORE_FIELDS
+  }],
+  // Bumped whenever the questions change; applications record the version they answered
+  version: {
+    type: Number,
+    default: 1
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+// One active form per program
+formDefinitionSchema.index(
+  { program: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+// Keys must be unique and select fields need choices
+formDefinitionSchema.pre('validate', function(next) {
+  const seen = new Set();
+
+  this.fields.forEach((field, index) => {
+    if (seen.has(field.key)) {
+      this.invalidate(`fields.${index}.key`, `Field key "${field.key}" is used more than once`);
+    }
+    seen.add(field.key);
+
+    if (field.type === 'select' && field.options.length === 0) {
+      this.invalidate(`fields.${index}.options`, `Select field "${field.key}" needs at least one option`);
+    }
+  });
+
+  next();
+});
+
+// Bump the version when the questions change
+formDefinitionSchema.pre('save', function(next) {
+  if (!this.isNew && (this.isModified('fields') || this.isModified('requiredCoreFields'))) {
+    this.version += 1;
+  }
+  next();
+});
+
+// Static method to get the active form for a program
+formDefinitionSchema.statics.getActive = function(program) {
+  return this.findOne({ program, isActive: true });
+};
+
+const FormDefinition = mongoose.model('FormDefinition', formDefinitionSchema);
+
+module.exports = FormDefinition;
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+
+// An admissions intake (e.g. the January or September term of an academic year)
+const intakeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Intake name is required'],
+    trim: true,
+    maxlength: [100, 'Intake name cannot exceed 100 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Intake code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9-]{2,20}$/, 'Intake code may only contain letters, numbers and dashes']
+  },
+  academicYear: {
+    type: String,
+    required: [true, 'Academic year is required'],
+    trim: true,
+    match: [/^\d{4}(\/\d{4})?$/, 'Academic year must look like 2025 or 2025/2026']
+  },
+  // Calendar year the intake starts in (used for capacity and numbering)
+  year: {
+    type: Number,
+    required: [true, 'Intake year is required'],
+    min: [2000, 'Intake year is invalid'],
+    max: [2100, 'Intake year is invalid']
+  },
+  startsOn: {
+    type: Date
+  },
+  // Date applicants' ages are measured on for eligibility (defaults to the start date)
+  ageCutoffDate: {
+    type: Date
+  },
+
+  // Public submission window
+  opensAt: {
+    type: Date,
+    required: [true, 'Opening date is required']
+  },
+  closesAt: {
+    type: Date,
+    required: [true, 'Closing date is required'],
+    validate: {
+      validator: function(closesAt) {
+        return !this.opensAt || closesAt > this.opensAt;
+      },
+      message: 'Closing date must be after opening date'
+    }
+  },
+
+  // Programs admitted in this intake (empty means all programs)
+  programs: [{
+    type: String,
+    enum: ['playgroup', 'nursery', 'pre-primary', 'primary']
+  }],
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+intakeSchema.index({ opensAt: 1, closesAt: 1, isActive: 1 });
+intakeSchema.index({ year: -1 });
+
+// Virtual for whether public submissions are currently accepted
+intakeSchema.virtual('isOpen').get(function() {
+  const now = new Date();
+  return this.isActive && this.opensAt <= now && this.closesAt > now;
+});
+
+// Method to check whether an intake admits a program
+intakeSchema.methods.acceptsProgram = function(program) {
+  return this.programs.length === 0 || this.programs.includes(program);
+};
+
+// Static method to get intakes open for submissions, soonest closing first
+intakeSchema.statics.getOpen = function({ program, at = new Date() } = {}) {
+  const filter = {
+    isActive: true,
+    opensAt: { $lte: at },
+    closesAt: { $gt: at }
+  };
+  if (program) {
+    filter.$or = [{ programs: program }, { programs: { $size: 0 } }];
+  }
+
+  return this.find(filter).sort({ closesAt: 1 });
+};
+
+// Static method to create the default intake (open for the whole current year) when there are none
+// Run on startup so a deploy that introduces intakes keeps accepting public applications
+intakeSchema.statics.createDefaultIntake = async function() {
+  try {
+    if (await this.exists({})) {
+      return null;
+    }
+
+    const year = new Date().getFullYear();
+    const intake = await this.create({
+      name: `${year} Intake`,
+      code: `${year}-MAIN`,
+      academicYear: String(year),
+      year,
+      opensAt: new Date(year, 0, 1),
+      closesAt: new Date(year + 1, 0, 1)
+    });
+
+    console.log(`✅ Default intake ${intake.code} created`);
+    return intake;
+  } catch (error) {
+    console.error('❌ Error creating default intake:', error);
+    throw error;
+  }
+};
+
+// Static method to warn when public applications are (or are about to be) refused for want of an open intake
+intakeSchema.statics.checkOpenIntakes = async function({ warningDays = 30 } = {}) {
+  const open = await this.getOpen();
+
+  if (open.length === 0) {
+    console.log('⚠️  No intake is open: public applications are refused with INTAKE_CLOSED until one is created');
+    return open;
+  }
+
+  const warnBefore = new Date(Date.now() + warningDays * 24 * 60 * 60 * 1000);
+  const lastClosing = open.reduce((latest, intake) => (intake.closesAt > latest.closesAt ? intake : latest));
+  if (lastClosing.closesAt <= warnBefore) {
+    console.log(`⚠️  The last open intake (${lastClosing.code}) closes on ${lastClosing.closesAt.toISOString().slice(0, 10)}: create the next intake to keep accepting applications`);
+  }
+
+  return open;
+};
+
+// Ensure virtual fields are serialized
+intakeSchema.set('toJSON', { virtuals: true });
+intakeSchema.set('toObject', { virtuals: true });
+
+const Intake = mongoose.model('Intake', intakeSchema);
+
+module.exports = Intake;
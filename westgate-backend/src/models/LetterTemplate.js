@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const { LETTER_PLACEHOLDERS, findPlaceholders } = require('../utils/letters');
+
+// Reject placeholders the letter generator cannot fill
+const knownPlaceholders = {
+  validator: (text) => findPlaceholders(text).every(name => LETTER_PLACEHOLDERS.includes(name)),
+  message: props => `Unknown placeholder in "${props.path}". Available: ${LETTER_PLACEHOLDERS.join(', ')}`
+};
+
+// Editable offer/regret letter, optionally specific to one program
+const letterTemplateSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Letter type is required'],
+    enum: ['offer', 'regret']
+  },
+  // Empty program means the template covers every program
+  program: {
+    type: String,
+    enum: ['', 'playgroup', 'nursery', 'pre-primary', 'primary'],
+    default: ''
+  },
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  title: {
+    type: String,
+    required: [true, 'Letter title is required'],
+    trim: true,
+    maxlength: [150, 'Letter title cannot exceed 150 characters'],
+    validate: knownPlaceholders
+  },
+  // Email subject for the letter
+  subject: {
+    type: String,
+    required: [true, 'Email subject is required'],
+    trim: true,
+    maxlength: [200, 'Email subject cannot exceed 200 characters'],
+    validate: knownPlaceholders
+  },
+  // Letter text; blank lines separate paragraphs
+  body: {
+    type: String,
+    required: [true, 'Letter body is required'],
+    maxlength: [10000, 'Letter body cannot exceed 10000 characters'],
+    validate: knownPlaceholders
+  },
+  signatory: {
+    type: String,
+    trim: true,
+    default: 'Admissions Office',
+    maxlength: [100, 'Signatory cannot exceed 100 characters']
+  },
+  // Defaults for {{fees}} (per term, KES) and {{reportingDate}}; can be overridden per letter
+  fees: {
+    type: Number,
+    min: [0, 'Fees cannot be negative']
+  },
+  reportingDate: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+// One active template per letter type and program
+letterTemplateSchema.index(
+  { type: 1, program: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+// Placeholders used anywhere in the template
+letterTemplateSchema.virtual('placeholders').get(function() {
+  return [...new Set([
+    ...findPlaceholders(this.title),
+    ...findPlaceholders(this.subject),
+    ...findPlaceholders(this.body)
+  ])];
+});
+
+// Static method to find the template for an application (program template wins over the general one)
+letterTemplateSchema.statics.findForProgram = async function(type, program) {
+  const templates = await this.find({
+    type,
+    isActive: true,
+    program: { $in: [program || '', ''] }
+  });
+
+  return templates.find(template => template.program !== '') || templates.find(template => template.program === '') || null;
+};
+
+// Ensure virtual fields are serialized
+letterTemplateSchema.set('toJSON', { virtuals: true });
+letterTemplateSchema.set('toObject', { virtuals: true });
+
+const LetterTemplate = mongoose.model('LetterTemplate', letterTemplateSchema);
+
+module.exports = LetterTemplate;
@@ -1,4 +1,74 @@
 const mongoose = require('mongoose');
+const { getSlaHours } = require('../config/messageSla');
+const { MESSAGE_TYPES, MESSAGE_PRIORITIES, OVERRIDABLE_FIELDS } = require('../utils/classification');
+
+// Days a sender's unresolved conversation stays open to follow-ups
+const FOLLOW_UP_WINDOW_DAYS = 30;
+
+// One entry in a conversation: the sender's messages, admin replies, or internal notes
+const threadEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['message', 'reply', 'note'],
+    required: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Entry text is required'],
+    trim: true,
+    maxlength: [2000, 'Entry cannot exceed 2000 characters']
+  },
+  // Admin who wrote a reply or note
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  // Subject and phone a sender gave on a website follow-up, when they differ from the conversation's
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Subject cannot exceed 100 characters']
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  // Message-ID header of a message that arrived by email
+  emailMessageId: {
+    type: String,
+    trim: true
+  },
+  attachments: [{
+    _id: false,
+    filename: String,
+    contentType: String,
+    size: Number,
+    // Unset when the file could not be stored
+    url: String,
+    cloudinaryId: String
+  }],
+  // Email delivery of a reply to the sender (unset until a send is attempted)
+  delivery: {
+    status: {
+      type: String,
+      enum: ['sent', 'failed']
+    },
+    to: String,
+    messageId: String,
+    error: String,
+    attempts: Number,
+    lastAttemptAt: Date
+  },
+  // Whether a reply arrived within the SLA it was due under
+  sla: {
+    dueAt: Date,
+    met: Boolean
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 const messageSchema = new mongoose.Schema({
   // Contact Information
@@ -8,9 +78,10 @@ const messageSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'First name cannot exceed 50 characters']
   },
+  // Emailed messages only carry whatever display name the sender's mail client set
   lastName: {
     type: String,
-    required: [true, 'Last name is required'],
+    required: [function() { return this.source !== 'email'; }, 'Last name is required'],
     trim: true,
     maxlength: [50, 'Last name cannot exceed 50 characters']
   },
@@ -42,7 +113,7 @@ const messageSchema = new mongoose.Schema({
   },
   messageType: {
     type: String,
-    enum: ['inquiry', 'complaint', 'suggestion', 'general'],
+    enum: MESSAGE_TYPES,
     default: 'general'
   },
 
@@ -54,11 +125,75 @@ const messageSchema = new mongoose.Schema({
   },
   priority: {
     type: String,
-    enum: ['low', 'medium', 'high', 'urgent'],
+    enum: MESSAGE_PRIORITIES,
     default: 'medium'
   },
 
-  // Admin Response
+  // What the classification rules suggested on arrival and why; admin changes are kept as overrides
+  classification: {
+    classifiedAt: Date,
+    // The type the sender picked, before any suggestion was applied
+    senderType: {
+      type: String,
+      enum: MESSAGE_TYPES
+    },
+    messageType: {
+      type: String,
+      enum: MESSAGE_TYPES
+    },
+    priority: {
+      type: String,
+      enum: MESSAGE_PRIORITIES
+    },
+    tags: [String],
+    matches: [{
+      _id: false,
+      rule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ClassificationRule'
+      },
+      name: String,
+      keywords: [String]
+    }],
+    overrides: [{
+      _id: false,
+      field: {
+        type: String,
+        enum: OVERRIDABLE_FIELDS
+      },
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed,
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+      },
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+
+  // Reply deadline while the sender is waiting; unset once replied or resolved
+  sla: {
+    dueAt: Date,
+    // Set when the SLA check finds the deadline missed
+    breachedAt: Date,
+    escalatedAt: Date,
+    escalatedFrom: {
+      type: String,
+      enum: MESSAGE_PRIORITIES
+    }
+  },
+
+  // Full conversation in order; the opening message is the first entry
+  thread: [threadEntrySchema],
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Latest admin reply (kept alongside the thread for lists and exports)
   response: {
     type: String,
     trim: true,
@@ -99,7 +234,11 @@ const messageSchema = new mongoose.Schema({
     type: String,
     trim: true,
     maxlength: 20
-  }]
+  }],
+  family: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Family'
+  }
 }, {
   timestamps: true
 });
@@ -110,10 +249,41 @@ messageSchema.index({ status: 1 });
 messageSchema.index({ priority: 1 });
 messageSchema.index({ createdAt: -1 });
 messageSchema.index({ messageType: 1 });
+messageSchema.index({ family: 1 });
+messageSchema.index({ email: 1, lastActivityAt: -1 });
+messageSchema.index({ 'thread.emailMessageId': 1 });
+messageSchema.index({ 'thread.delivery.messageId': 1 });
+messageSchema.index({ 'sla.dueAt': 1, 'sla.breachedAt': 1 });
+messageSchema.index({ followUpRequired: 1, followUpDate: 1 });
+messageSchema.index({ 'classification.matches.rule': 1 });
+
+// Start the thread with the opening message
+messageSchema.pre('save', function(next) {
+  if (this.isNew && this.thread.length === 0) {
+    this.thread.push({ type: 'message', body: this.message, createdAt: this.createdAt || new Date() });
+  }
+  next();
+});
+
+// Keep the reply deadline in step with the conversation, type and priority
+messageSchema.pre('save', function(next) {
+  const since = this.awaitingReplySince();
+
+  if (!since) {
+    this.sla.dueAt = undefined;
+    this.sla.breachedAt = undefined;
+  } else {
+    this.sla.dueAt = new Date(since.getTime() + getSlaHours(this) * 60 * 60 * 1000);
+    // A looser deadline (e.g. lowered priority) can lift a breach
+    if (this.sla.breachedAt && this.sla.dueAt > new Date()) this.sla.breachedAt = undefined;
+  }
+
+  next();
+});
 
 // Virtual for full name
 messageSchema.virtual('fullName').get(function() {
-  return `${this.firstName} ${this.lastName}`;
+  return [this.firstName, this.lastName].filter(Boolean).join(' ');
 });
 
 // Virtual for message age (days since submission)
@@ -123,10 +293,12 @@ messageSchema.virtual('messageAge').get(function() {
   return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 });
 
-// Virtual for response time (if responded)
+// Virtual for time to the first reply (if responded)
 messageSchema.virtual('responseTime').get(function() {
-  if (!this.respondedAt) return null;
-  const diffTime = Math.abs(this.respondedAt - this.createdAt);
+  const firstReply = (this.thread || []).find(entry => entry.type === 'reply');
+  const respondedAt = firstReply ? firstReply.createdAt : this.respondedAt;
+  if (!respondedAt) return null;
+  const diffTime = Math.abs(respondedAt - this.createdAt);
   return Math.ceil(diffTime / (1000 * 60 * 60)); // in hours
 });
 
@@ -156,6 +328,162 @@ messageSchema.statics.getRecent = function(limit = 10) {
     .populate('respondedBy', 'username');
 };
 
+// Static method to find the open conversation a follow-up from the same sender belongs to
+messageSchema.statics.findOpenThread = function(email) {
+  const since = new Date(Date.now() - FOLLOW_UP_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  return this.findOne({
+    email: String(email).toLowerCase(),
+    status: { $ne: 'resolved' },
+    lastActivityAt: { $gte: since }
+  }).sort({ lastActivityAt: -1 });
+};
+
+// Static method to find the conversation an email belongs to from its Message-ID references
+// (earlier emails from the sender, or replies we emailed them)
+messageSchema.statics.findByEmailReferences = function(messageIds) {
+  const ids = messageIds.filter(Boolean);
+  if (ids.length === 0) return null;
+  return this.findOne({
+    $or: [
+      { 'thread.emailMessageId': { $in: ids } },
+      { 'thread.delivery.messageId': { $in: ids } }
+    ]
+  });
+};
+
+// Static method to find messages past their reply deadline that have not been flagged yet
+messageSchema.statics.findNewSlaBreaches = function(now = new Date()) {
+  return this.find({
+    'sla.dueAt': { $lte: now },
+    'sla.breachedAt': null
+  }).sort({ 'sla.dueAt': 1 });
+};
+
+// Static method to get messages past their reply deadline or follow-up date
+messageSchema.statics.getOverdue = function(now = new Date()) {
+  return this.find({
+    $or: [
+      { 'sla.dueAt': { $lte: now } },
+      { followUpRequired: true, followUpDate: { $lte: now }, status: { $ne: 'resolved' } }
+    ]
+  }).sort({ 'sla.dueAt': 1, followUpDate: 1 });
+};
+
+// Method to find when the sender started waiting for a reply (null if they are not)
+messageSchema.methods.awaitingReplySince = function() {
+  if (this.status === 'replied' || this.status === 'resolved') return null;
+
+  let since = null;
+  for (const entry of this.thread) {
+    if (entry.type === 'reply') since = null;
+    else if (entry.type === 'message' && !since) since = entry.createdAt;
+  }
+  return since;
+};
+
+// Method to find a reply in the conversation
+messageSchema.methods.getReply = function(replyId) {
+  const entry = this.thread.id(replyId);
+  return entry && entry.type === 'reply' ? entry : null;
+};
+
+// Method to add an entry to the conversation
+messageSchema.methods.addEntry = function(type, body, author, details = {}) {
+  const entry = { ...details, type, body, author, createdAt: new Date() };
+
+  // Record whether a reply met the deadline it was due under
+  if (type === 'reply' && this.sla.dueAt) {
+    entry.sla = { dueAt: this.sla.dueAt, met: entry.createdAt <= this.sla.dueAt };
+  }
+
+  this.thread.push(entry);
+
+  // Internal notes leave the status and activity alone
+  if (type === 'message') {
+    this.status = 'unread';
+    this.lastActivityAt = entry.createdAt;
+  } else if (type === 'reply') {
+    this.response = body;
+    this.respondedBy = author;
+    this.respondedAt = entry.createdAt;
+    this.status = 'replied';
+    this.lastActivityAt = entry.createdAt;
+  }
+
+  return this.save();
+};
+
+// Method to add a follow-up from the sender (with `emailMessageId` and `attachments` when emailed,
+// or the `subject` and `phone` from the website form)
+messageSchema.methods.addFollowUp = function(body, details) {
+  return this.addEntry('message', body, undefined, details);
+};
+
+// Method to add an internal note only admins see
+messageSchema.methods.addNote = function(note, author) {
+  return this.addEntry('note', note, author);
+};
+
+// Method to flag a missed reply deadline and raise the priority a level (noted in the thread)
+messageSchema.methods.escalate = function() {
+  const now = new Date();
+  const hours = getSlaHours(this);
+  const from = this.priority;
+  const to = MESSAGE_PRIORITIES[Math.min(MESSAGE_PRIORITIES.indexOf(from) + 1, MESSAGE_PRIORITIES.length - 1)];
+
+  this.sla.breachedAt = now;
+  let note = `No reply within the ${hours}h SLA`;
+
+  if (to !== from) {
+    this.priority = to;
+    this.sla.escalatedAt = now;
+    this.sla.escalatedFrom = from;
+    note += `; priority raised from ${from} to ${to}`;
+  }
+
+  this.thread.push({ type: 'note', body: note, createdAt: now });
+  return this.save();
+};
+
+// Method to apply a classification suggestion (from matchRules), keeping the sender's own choice
+messageSchema.methods.applyClassification = function(suggestion) {
+  this.classification = {
+    classifiedAt: new Date(),
+    senderType: this.messageType,
+    messageType: suggestion.messageType,
+    priority: suggestion.priority,
+    tags: suggestion.tags,
+    matches: suggestion.matches,
+    overrides: []
+  };
+
+  if (suggestion.messageType) this.messageType = suggestion.messageType;
+  if (suggestion.priority) this.priority = suggestion.priority;
+  this.tags = [...new Set([...this.tags, ...suggestion.tags])];
+  return this;
+};
+
+// Method to record an admin changing what the classification suggested
+// Only classified fields that actually change are recorded
+messageSchema.methods.recordOverrides = function(updates, adminId) {
+  if (!this.classification || !this.classification.classifiedAt) return this;
+
+  OVERRIDABLE_FIELDS.forEach(field => {
+    if (updates[field] === undefined) return;
+
+    const from = field === 'tags' ? [...this[field]] : this[field];
+    const to = updates[field];
+    const changed = field === 'tags'
+      ? from.length !== to.length || from.some(tag => !to.includes(tag))
+      : from !== to;
+
+    if (changed) {
+      this.classification.overrides.push({ field, from, to, by: adminId });
+    }
+  });
+  return this;
+};
+
 // Method to mark as read
 messageSchema.methods.markAsRead = function() {
   if (this.status === 'unread') {
@@ -165,13 +493,9 @@ messageSchema.methods.markAsRead = function() {
   return Promise.resolve(this);
 };
 
-// Method to respond to message
+// Method to respond to message (adds a reply to the thread)
 messageSchema.methods.respond = function(response, respondedBy) {
-  this.response = response;
-  this.respondedBy = respondedBy;
-  this.respondedAt = new Date();
-  this.status = 'replied';
-  return this.save();
+  return this.addEntry('reply', response, respondedBy);
 };
 
 // Method to resolve message
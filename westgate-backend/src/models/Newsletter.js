@@ -60,6 +60,10 @@ const newsletterSchema = new mongoose.Schema({
   }],
   metadata: {
     type: mongoose.Schema.Types.Mixed
+  },
+  family: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Family'
   }
 }, {
   timestamps: true
@@ -70,6 +74,7 @@ newsletterSchema.index({ email: 1 }, { unique: true });
 newsletterSchema.index({ status: 1, subscriptionDate: -1 });
 newsletterSchema.index({ preferences: 1 });
 newsletterSchema.index({ tags: 1 });
+newsletterSchema.index({ family: 1 });
 
 // Virtual for engagement rate
 newsletterSchema.virtual('engagementRate').get(function() {
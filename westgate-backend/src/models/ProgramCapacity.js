@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Seats available per program (optionally per grade) for an intake year
+const programCapacitySchema = new mongoose.Schema({
+  program: {
+    type: String,
+    required: [true, 'Program is required'],
+    enum: ['playgroup', 'nursery', 'pre-primary', 'primary']
+  },
+  // Empty grade means the rule covers the whole program
+  grade: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [20, 'Grade cannot exceed 20 characters']
+  },
+  intakeYear: {
+    type: Number,
+    required: [true, 'Intake year is required'],
+    min: [2000, 'Intake year is invalid'],
+    max: [2100, 'Intake year is invalid']
+  },
+  capacity: {
+    type: Number,
+    required: [true, 'Capacity is required'],
+    min: [0, 'Capacity cannot be negative']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+// One rule per program, grade and intake year
+programCapacitySchema.index({ program: 1, grade: 1, intakeYear: 1 }, { unique: true });
+
+// Static method to find the rules an application pool falls under: its grade rule and the
+// program-wide rule, either of which may be missing (a seat needs room under every one)
+// Grades match ignoring case and surrounding spaces, as the pool's applications are counted
+programCapacitySchema.statics.findRules = async function(program, grade, intakeYear) {
+  const rules = await this.find({ program, intakeYear });
+  const normalisedGrade = String(grade || '').trim().toLowerCase();
+
+  return rules.filter(rule => rule.grade === '' || (normalisedGrade && rule.grade.toLowerCase() === normalisedGrade));
+};
+
+const ProgramCapacity = mongoose.model('ProgramCapacity', programCapacitySchema);
+
+module.exports = ProgramCapacity;
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const { spamSettings } = require('../config/spam');
+const { QUARANTINE_KINDS } = require('../utils/spam');
+
+// A public form submission held back as suspected spam until an admin releases or discards it
+const quarantinedSubmissionSchema = new mongoose.Schema({
+  // Which form it came from, and so how it is created on release
+  kind: {
+    type: String,
+    enum: QUARANTINE_KINDS,
+    required: true
+  },
+  // The validated request body, exactly as it would have been saved
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  score: {
+    type: Number,
+    required: true
+  },
+  // The checks that flagged it
+  reasons: [{
+    _id: false,
+    check: {
+      type: String,
+      required: true
+    },
+    score: {
+      type: Number,
+      required: true
+    },
+    detail: {
+      type: String
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'released', 'discarded'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  // The message, inquiry, subscription or application created on release
+  releasedRecord: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    reference: {
+      type: String
+    }
+  },
+  // Why the last release attempt was refused (e.g. the intake has since closed)
+  releaseError: {
+    type: String
+  },
+  // Removed by MongoDB after this date; cleared once released so the audit trail stays
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + spamSettings.quarantineDays * 24 * 60 * 60 * 1000)
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Indexes for performance
+quarantinedSubmissionSchema.index({ status: 1, createdAt: -1 });
+quarantinedSubmissionSchema.index({ kind: 1, status: 1 });
+quarantinedSubmissionSchema.index({ email: 1 });
+// MongoDB removes unreviewed and discarded submissions once they pass their expiry date
+quarantinedSubmissionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to mark the submission discarded
+quarantinedSubmissionSchema.methods.discard = function(adminId) {
+  this.status = 'discarded';
+  this.reviewedBy = adminId;
+  this.reviewedAt = new Date();
+  return this.save();
+};
+
+// Static method to count pending submissions per form
+quarantinedSubmissionSchema.statics.getPendingCounts = async function() {
+  const counts = await this.aggregate([
+    { $match: { status: 'pending' } },
+    { $group: { _id: '$kind', count: { $sum: 1 } } }
+  ]);
+
+  return QUARANTINE_KINDS.reduce((result, kind) => {
+    const entry = counts.find(count => count._id === kind);
+    result[kind] = entry ? entry.count : 0;
+    return result;
+  }, {});
+};
+
+const QuarantinedSubmission = mongoose.model('QuarantinedSubmission', quarantinedSubmissionSchema);
+
+module.exports = QuarantinedSubmission;
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const { findPlaceholders } = require('../utils/letters');
+const {
+  REPLY_PLACEHOLDERS,
+  REPLY_MESSAGE_TYPES,
+  REPLY_INQUIRY_TYPES,
+  MAX_REPLY_LENGTH
+} = require('../utils/replyTemplates');
+
+// Reusable answer admins can send to messages and contact inquiries
+const replyTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  // Reply text with {{placeholders}}
+  body: {
+    type: String,
+    required: [true, 'Reply text is required'],
+    trim: true,
+    maxlength: [MAX_REPLY_LENGTH, `Reply text cannot exceed ${MAX_REPLY_LENGTH} characters`],
+    validate: {
+      validator: (text) => findPlaceholders(text).every(name => REPLY_PLACEHOLDERS.includes(name)),
+      message: `Unknown placeholder in reply text. Available: ${REPLY_PLACEHOLDERS.join(', ')}`
+    }
+  },
+  // Message types and contact inquiry types the template is offered for
+  messageTypes: [{
+    type: String,
+    enum: REPLY_MESSAGE_TYPES
+  }],
+  inquiryTypes: [{
+    type: String,
+    enum: REPLY_INQUIRY_TYPES
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // How often admins have replied with it, to put the common answers first
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+replyTemplateSchema.index({ messageTypes: 1, isActive: 1 });
+replyTemplateSchema.index({ inquiryTypes: 1, isActive: 1 });
+
+// Placeholders used in the reply text
+replyTemplateSchema.virtual('placeholders').get(function() {
+  return [...new Set(findPlaceholders(this.body))];
+});
+
+// Method to count a reply sent with the template (atomic, so concurrent replies all count)
+replyTemplateSchema.methods.recordUse = function() {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } }
+  );
+};
+
+// Ensure virtual fields are serialized
+replyTemplateSchema.set('toJSON', { virtuals: true });
+replyTemplateSchema.set('toObject', { virtuals: true });
+
+const ReplyTemplate = mongoose.model('ReplyTemplate', replyTemplateSchema);
+
+module.exports = ReplyTemplate;
@@ -1,8 +1,62 @@
 const express = require('express');
+const multer = require('multer');
 const rateLimit = require('express-rate-limit');
 const { body, param, query, validationResult } = require('express-validator');
 const Application = require('../models/Application');
+const ApplicationHistory = require('../models/ApplicationHistory');
+const ProgramCapacity = require('../models/ProgramCapacity');
+const DuplicateMatch = require('../models/DuplicateMatch');
+const FormDefinition = require('../models/FormDefinition');
+const AgeRule = require('../models/AgeRule');
+const ApplicationDraft = require('../models/ApplicationDraft');
+const Admin = require('../models/Admin');
+const Appointment = require('../models/Appointment');
+const {
+  APPLICATION_STATUSES,
+  DOCUMENT_TYPES,
+  STATUS_DESCRIPTIONS,
+  getAllowedTransitions,
+  getMissingDocuments,
+  canTransition
+} = require('../utils/applicationWorkflow');
+const {
+  gradeMatcher,
+  poolFilter,
+  getSeatUsage,
+  hasSeatAvailable,
+  getCapacityOverview,
+  countRemainingSeats
+} = require('../utils/capacity');
+const { resolveSubmissionIntake, intakeFilter, findIntake } = require('../utils/intakes');
+const { EXPORT_FORMATS, resolveColumns, streamExport } = require('../utils/export');
+const {
+  IMPORT_SOURCES,
+  customFieldColumns,
+  parseApplicationCsv,
+  pickCustomAnswers,
+  validateImportRow
+} = require('../utils/applicationImport');
+const { findDuplicateCandidates, flagDuplicates, mergeApplications } = require('../utils/duplicates');
+const { linkApplicationToFamily } = require('../utils/families');
+const { LETTER_STATUSES } = require('../utils/letters');
+const { CUSTOM_FIELD_KEY_PATTERN, validateFormAnswers } = require('../utils/formDefinitions');
+const { assessEligibility, noteEligibilityFlag } = require('../utils/eligibility');
+const { REVIEW_RECOMMENDATIONS, REVIEW_FILTERS, reviewFilter } = require('../utils/reviews');
+const { issueDecisionLetter } = require('../utils/applicationLetters');
+const { registerReleaseHandler } = require('../utils/quarantine');
 const { verifyToken, requireRole } = require('../middleware/auth');
+const { checkSpam, quarantineSpam } = require('../middleware/spamFilter');
+const { isAllowedDocumentType, handleUpload } = require('../middleware/upload');
+const { pickScreeningFields } = require('../utils/spam');
+const { uploadImageWithSizes, deleteImage } = require('../config/cloudinary');
+const {
+  notifyApplicationSubmitted,
+  notifyDraftSaved,
+  notifyDocumentRequest,
+  notifyStatusChange,
+  notifyDecisionLetter,
+  sendNewApplicationsDigest
+} = require('../utils/applicationNotifications');
 
 const router = express.Router();
 
@@ -19,6 +73,475 @@ const createLimiter = rateLimit({
   legacyHeaders: false
 });
 
+// Rate limiting for starting drafts (each one emails a resume link)
+const draftCreateLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // limit each IP to 10 new drafts per hour
+  message: {
+    success: false,
+    message: 'Too many drafts started, please try again later.',
+    code: 'DRAFT_RATE_LIMIT_EXCEEDED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Rate limiting for resuming and saving drafts (slows down token guessing)
+const draftLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // limit each IP to 100 draft saves and loads per 15 minutes
+  message: {
+    success: false,
+    message: 'Too many draft requests, please try again later.',
+    code: 'DRAFT_RATE_LIMIT_EXCEEDED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Rate limiting for submitting drafts; answers that fail validation stay in the draft and do not count
+const draftSubmitLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // limit each IP to 3 applications per hour
+  skipFailedRequests: true,
+  message: {
+    success: false,
+    message: 'Too many applications submitted, please try again later.',
+    code: 'APPLICATION_RATE_LIMIT_EXCEEDED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Configure multer for document uploads (images and PDFs)
+const MAX_DOCUMENTS_PER_APPLICATION = 20;
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (isAllowedDocumentType(file.mimetype)) {
+      cb(null, true);
+    } else {
+      const error = new Error('Only image and PDF files are allowed');
+      error.status = 400;
+      error.code = 'INVALID_FILE_TYPE';
+      cb(error, false);
+    }
+  }
+});
+
+// Configure multer for CSV imports of paper applications
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const isCsv = ['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.mimetype) ||
+      file.originalname.toLowerCase().endsWith('.csv');
+    if (isCsv) {
+      cb(null, true);
+    } else {
+      const error = new Error('Only CSV files can be imported');
+      error.status = 400;
+      error.code = 'INVALID_FILE_TYPE';
+      cb(error, false);
+    }
+  }
+});
+
+// Rate limiting for public document uploads
+const documentUploadLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 20, // limit each IP to 20 document uploads per hour
+  message: {
+    success: false,
+    message: 'Too many document uploads, please try again later.',
+    code: 'DOCUMENT_UPLOAD_RATE_LIMIT_EXCEEDED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Rate limiting for public status lookups (slows down number guessing)
+const trackLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 lookups per 15 minutes
+  message: {
+    success: false,
+    message: 'Too many status lookups, please try again later.',
+    code: 'TRACK_RATE_LIMIT_EXCEEDED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Upload a document buffer to Cloudinary and build the application document entry
+const uploadApplicationDocument = async (application, file, fields, uploadedBy) => {
+  const baseName = (fields.name || file.originalname || fields.type)
+    .replace(/\.[^.]+$/, '')
+    .replace(/[^a-zA-Z0-9]/g, '-')
+    .toLowerCase();
+
+  const cloudinaryResult = await uploadImageWithSizes(file.buffer, {
+    folder: `westgate-applications/${application.applicationNumber}`,
+    public_id: `${Date.now()}-${baseName}`,
+    resource_type: 'image',
+    allowed_formats: ['jpg', 'jpeg', 'png', 'webp', 'pdf'],
+    transformation: []
+  });
+
+  return {
+    name: fields.name || file.originalname,
+    url: cloudinaryResult.secure_url,
+    type: fields.type,
+    cloudinaryId: cloudinaryResult.public_id,
+    format: cloudinaryResult.format,
+    size: cloudinaryResult.bytes,
+    uploadedBy,
+    uploadSource: uploadedBy ? 'admin' : 'parent'
+  };
+};
+
+// Check that an upload's `field` names a file question on the application's form
+const checkFileField = (application, field) => {
+  if (!field || application.customFields.some(entry => entry.key === field && entry.type === 'file')) {
+    return null;
+  }
+
+  return {
+    status: 400,
+    message: `The application form has no file question "${field}"`,
+    code: 'UNKNOWN_FORM_FIELD'
+  };
+};
+
+// Generate the offer/regret letter for an application's new status and email the parent
+// Falls back to the plain status email when there is no letter for the status or it could not be generated
+const sendDecision = async (application, { generateLetter = true, notifyParent = true, fees, reportingDate, performedBy } = {}) => {
+  const letterType = LETTER_STATUSES[application.status];
+  const { letter, error } = letterType && generateLetter
+    ? await issueDecisionLetter(application, letterType, { fees, reportingDate, performedBy })
+    : {};
+
+  if (notifyParent) {
+    await (letter ? notifyDecisionLetter(application, letter) : notifyStatusChange(application));
+  }
+
+  return {
+    letter: letter ? letter.document : null,
+    ...(error && { letterError: error })
+  };
+};
+
+// Load an application from its public number and access secret
+const verifyApplicationSecret = async (req, res, next) => {
+  try {
+    const application = await Application.findByAccessSecret(
+      req.params.applicationNumber,
+      req.get('X-Application-Secret') || req.body.secret
+    );
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found or secret is incorrect',
+        code: 'APPLICATION_NOT_FOUND'
+      });
+    }
+
+    req.application = application;
+    next();
+  } catch (error) {
+    console.error('Application secret verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify application access',
+      code: 'APPLICATION_ACCESS_ERROR'
+    });
+  }
+};
+
+// Check and save a website submission that passed field validation, then notify the parent
+// Returns { submission } or { error } (form answer errors come back as `errors`)
+const submitWebsiteApplication = async (body, ipAddress) => {
+  // Attach to an intake whose submission window is open
+  const { intake, error: intakeError } = await resolveSubmissionIntake({
+    program: body.program,
+    intake: body.intake
+  });
+
+  if (intakeError) {
+    return { error: intakeError };
+  }
+
+  // Check the program's custom questions and extra required fields
+  const formDefinition = await FormDefinition.getActive(body.program);
+  const { answers, errors: formErrors } = validateFormAnswers(formDefinition, body);
+
+  if (formErrors.length > 0) {
+    return { error: { status: 400, message: 'Validation failed', errors: formErrors } };
+  }
+
+  // Check the child's age against the program's rule on the intake cut-off date
+  const { eligibility, error: eligibilityError } = await assessEligibility(body, intake);
+
+  if (eligibilityError) {
+    return { error: eligibilityError };
+  }
+
+  // Create application
+  const submitted = {};
+  SUBMISSION_FIELDS.forEach(field => {
+    if (body[field] !== undefined) submitted[field] = body[field];
+  });
+
+  const application = new Application({
+    ...submitted,
+    intake: intake._id,
+    intakeYear: intake.year,
+    source: 'website',
+    ...(eligibility && { eligibility }),
+    ...(formDefinition && {
+      formDefinition: formDefinition._id,
+      formVersion: formDefinition.version,
+      customFields: answers
+    })
+  });
+  const accessSecret = application.generateAccessSecret();
+
+  await application.save();
+
+  await ApplicationHistory.record(application, {
+    action: 'created',
+    toStatus: application.status,
+    actorType: 'public',
+    ipAddress
+  });
+  await noteEligibilityFlag(application);
+
+  // Queue look-alike applications for admin review (siblings sharing an email are not blocked)
+  await flagDuplicates(application);
+  await linkApplicationToFamily(application);
+
+  // Send confirmation to parent (failures are recorded, not raised)
+  await notifyApplicationSubmitted(application, accessSecret);
+
+  console.log(`📝 New application submitted: ${application.applicationNumber} - ${application.studentFullName}`);
+
+  return { submission: { application, intake, accessSecret } };
+};
+
+// Respond to a submission refused after field validation
+const sendSubmissionError = (res, error) => {
+  return res.status(error.status).json({
+    success: false,
+    message: error.message,
+    code: error.code,
+    errors: error.errors,
+    details: error.details
+  });
+};
+
+// Response body for a successful public submission
+const formatSubmission = async ({ application, intake, accessSecret }) => ({
+  application: {
+    applicationNumber: application.applicationNumber,
+    studentFullName: application.studentFullName,
+    program: application.program,
+    intake: intake.name,
+    status: application.status,
+    submittedAt: application.createdAt
+  },
+  // Shown once: parents need it to upload documents and track the application
+  accessSecret,
+  // File questions to answer by uploading a document with `field` set to the key
+  pendingUploads: await application.getPendingUploads()
+});
+
+// Fold newly saved answers into a draft: known fields as short text, custom answers by key;
+// null or empty values clear an answer
+const mergeDraftData = (existing = {}, incoming) => {
+  const data = { ...existing };
+  if (!incoming || typeof incoming !== 'object') return data;
+
+  const keep = (value) => (typeof value === 'boolean' ? value : String(value).slice(0, MAX_DRAFT_VALUE_LENGTH));
+  const isCleared = (value) => value === null || value === '';
+  const isScalar = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+
+  DRAFT_FIELDS.forEach(field => {
+    const value = incoming[field];
+    if (isCleared(value)) {
+      delete data[field];
+    } else if (isScalar(value)) {
+      data[field] = keep(value);
+    }
+  });
+
+  const customFields = incoming.customFields;
+  if (customFields && typeof customFields === 'object' && !Array.isArray(customFields)) {
+    data.customFields = { ...(data.customFields || {}) };
+    Object.keys(customFields)
+      .filter(key => CUSTOM_FIELD_KEY_PATTERN.test(key))
+      .forEach(key => {
+        const value = customFields[key];
+        if (isCleared(value)) {
+          delete data.customFields[key];
+        } else if (isScalar(value)) {
+          data.customFields[key] = keep(value);
+        }
+      });
+  }
+
+  return data;
+};
+
+// Draft fields a parent may see when resuming
+const formatDraft = (draft) => ({
+  email: draft.email,
+  data: draft.data,
+  expiresAt: draft.expiresAt,
+  createdAt: draft.createdAt,
+  updatedAt: draft.updatedAt
+});
+
+// Load a draft from its resume link token
+const loadDraft = async (req, res, next) => {
+  try {
+    const draft = await ApplicationDraft.findByToken(req.params.token);
+
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        message: 'Draft not found; it may have expired or already been submitted',
+        code: 'DRAFT_NOT_FOUND'
+      });
+    }
+
+    req.draft = draft;
+    next();
+  } catch (error) {
+    console.error('Application draft lookup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve draft',
+      code: 'DRAFT_RETRIEVAL_ERROR'
+    });
+  }
+};
+
+// Validate a draft's saved answers (plus any sent with the submit) as a one-step submission
+// (the spam screening fields sent with the submit are kept for checkSpam)
+const useDraftAnswers = (req, res, next) => {
+  req.body = {
+    ...mergeDraftData(req.draft.data, req.body.data),
+    ...pickScreeningFields(req.body)
+  };
+  next();
+};
+
+// Build the filter shared by the admin list and export (null when the intake does not exist)
+// `review` narrows to applications assigned to (or awaiting a review from) `adminId`
+const buildApplicationFilter = async ({ status, program, intake, family, hasSibling, eligibility, review, adminId, search }) => {
+  const filter = await intakeFilter(intake);
+  if (!filter) return null;
+
+  if (family) {
+    filter.family = family;
+  }
+
+  if (hasSibling !== undefined && hasSibling !== 'all') {
+    filter.hasSibling = hasSibling === 'true';
+  }
+
+  if (eligibility && eligibility !== 'all') {
+    filter['eligibility.status'] = eligibility;
+  }
+
+  if (review) {
+    Object.assign(filter, reviewFilter(review, adminId));
+  }
+  
+  if (status && status !== 'all') {
+    filter.status = status;
+  }
+  
+  if (program && program !== 'all') {
+    filter.program = program;
+  }
+  
+  if (search) {
+    filter.$or = [
+      { studentFirstName: { $regex: search, $options: 'i' } },
+      { studentLastName: { $regex: search, $options: 'i' } },
+      { parentFirstName: { $regex: search, $options: 'i' } },
+      { parentLastName: { $regex: search, $options: 'i' } },
+      { email: { $regex: search, $options: 'i' } },
+      { applicationNumber: { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  return filter;
+};
+
+// Format a date-only field for spreadsheets
+const formatDate = (date) => (date ? date.toISOString().slice(0, 10) : '');
+
+// Flatten custom form answers into one readable cell
+const formatCustomAnswers = (answers = []) => {
+  return answers.map(answer => {
+    let value = answer.value;
+    if (answer.type === 'file') value = value ? 'uploaded' : 'not uploaded';
+    else if (answer.type === 'boolean') value = value ? 'Yes' : 'No';
+    else if (answer.type === 'date') value = formatDate(value && new Date(value));
+    return `${answer.label}: ${value}`;
+  }).join('; ');
+};
+
+// Columns available to exports (`default: false` columns are included only when requested)
+const EXPORT_COLUMNS = [
+  { key: 'applicationNumber', header: 'Application Number' },
+  { key: 'status', header: 'Status' },
+  { key: 'intake', header: 'Intake', value: doc => (doc.intake ? doc.intake.name : '') },
+  { key: 'program', header: 'Program' },
+  { key: 'currentGrade', header: 'Grade' },
+  { key: 'studentFirstName', header: 'Student First Name' },
+  { key: 'studentLastName', header: 'Student Last Name' },
+  { key: 'dateOfBirth', header: 'Date of Birth', value: doc => formatDate(doc.dateOfBirth) },
+  { key: 'gender', header: 'Gender' },
+  { key: 'nationality', header: 'Nationality' },
+  { key: 'parentFirstName', header: 'Parent First Name' },
+  { key: 'parentLastName', header: 'Parent Last Name' },
+  { key: 'relationship', header: 'Relationship' },
+  { key: 'email', header: 'Email', width: 30 },
+  { key: 'phone', header: 'Phone' },
+  { key: 'city', header: 'City' },
+  { key: 'address', header: 'Address', default: false, width: 30 },
+  { key: 'previousSchool', header: 'Previous School', default: false, width: 30 },
+  { key: 'previousGrade', header: 'Previous Grade', default: false },
+  { key: 'reasonForTransfer', header: 'Reason for Transfer', default: false, width: 40 },
+  { key: 'medicalConditions', header: 'Medical Conditions', default: false, width: 30 },
+  { key: 'specialNeeds', header: 'Special Needs', default: false, width: 30 },
+  { key: 'extracurriculars', header: 'Extracurriculars', default: false, width: 30 },
+  { key: 'hasSibling', header: 'Sibling Applied', default: false },
+  { key: 'eligibility', header: 'Age Eligibility', default: false, value: doc => (doc.eligibility ? doc.eligibility.status : '') },
+  { key: 'waitlistRank', header: 'Waitlist Rank', default: false },
+  { key: 'interviewDate', header: 'Interview Date', default: false },
+  { key: 'assessmentOutcome', header: 'Assessment Outcome', default: false, value: doc => (doc.assessment ? doc.assessment.outcome : '') },
+  { key: 'customFields', header: 'Custom Answers', default: false, width: 50, value: doc => formatCustomAnswers(doc.customFields) },
+  { key: 'documentCount', header: 'Documents', default: false, value: doc => doc.documents.length },
+  { key: 'reviewedBy', header: 'Reviewed By', default: false, value: doc => (doc.reviewedBy ? doc.reviewedBy.username : '') },
+  { key: 'reviewNotes', header: 'Review Notes', default: false, width: 40 },
+  { key: 'reviewScore', header: 'Panel Score (%)', default: false, value: doc => {
+    const { averagePercentage } = doc.reviewSummary;
+    return averagePercentage === null ? '' : averagePercentage;
+  } },
+  { key: 'source', header: 'Source', default: false },
+  { key: 'createdAt', header: 'Submitted At' }
+];
+
 // Validation rules
 const createApplicationValidation = [
   body('studentFirstName')
@@ -69,7 +592,35 @@ const createApplicationValidation = [
   body('city')
     .trim()
     .isLength({ min: 2, max: 50 })
-    .withMessage('City must be between 2 and 50 characters')
+    .withMessage('City must be between 2 and 50 characters'),
+  body('branch')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Branch must be between 2 and 50 characters'),
+  body('intake')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 30 })
+    .withMessage('Intake must be an intake ID or code')
+];
+
+// Drafts only need somewhere to send the resume link; answers are checked on submit
+const draftValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  body('data')
+    .optional()
+    .isObject()
+    .withMessage('Draft data must be an object of answers')
+];
+
+const draftUpdateValidation = [
+  body('data')
+    .isObject()
+    .withMessage('Draft data must be an object of answers')
 ];
 
 const updateStatusValidation = [
@@ -77,19 +628,2467 @@ const updateStatusValidation = [
     .isMongoId()
     .withMessage('Invalid application ID'),
   body('status')
-    .isIn(['pending', 'review', 'approved', 'rejected'])
-    .withMessage('Status must be pending, review, approved, or rejected'),
+    .isIn(APPLICATION_STATUSES)
+    .withMessage(`Status must be one of: ${APPLICATION_STATUSES.join(', ')}`),
   body('reviewNotes')
     .optional()
     .trim()
     .isLength({ max: 1000 })
-    .withMessage('Review notes cannot exceed 1000 characters')
+    .withMessage('Review notes cannot exceed 1000 characters'),
+  body('interviewDate')
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage('Interview date must be a valid date'),
+  body('notifyParent')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('Notify parent must be a boolean'),
+  body('generateLetter')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('Generate letter must be a boolean'),
+  body('fees')
+    .optional()
+    .isFloat({ min: 0 })
+    .toFloat()
+    .withMessage('Fees must be a positive amount'),
+  body('reportingDate')
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage('Reporting date must be a valid date')
+];
+
+const letterValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid application ID'),
+  body('fees')
+    .optional()
+    .isFloat({ min: 0 })
+    .toFloat()
+    .withMessage('Fees must be a positive amount'),
+  body('reportingDate')
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage('Reporting date must be a valid date'),
+  body('notifyParent')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('Notify parent must be a boolean')
+];
+
+const capacityValidation = [
+  body('program')
+    .isIn(['playgroup', 'nursery', 'pre-primary', 'primary'])
+    .withMessage('Program must be playgroup, nursery, pre-primary, or primary'),
+  body('grade')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Grade cannot exceed 20 characters'),
+  body('intakeYear')
+    .isInt({ min: 2000, max: 2100 })
+    .toInt()
+    .withMessage('Intake year must be a valid year'),
+  body('capacity')
+    .isInt({ min: 0, max: 10000 })
+    .toInt()
+    .withMessage('Capacity must be a whole number of seats')
+];
+
+const ageRuleValidation = [
+  body('program')
+    .isIn(['playgroup', 'nursery', 'pre-primary', 'primary'])
+    .withMessage('Program must be playgroup, nursery, pre-primary, or primary'),
+  body('grade')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Grade cannot exceed 20 characters'),
+  body('minAgeMonths')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 300 })
+    .toInt()
+    .withMessage('Minimum age must be a whole number of months'),
+  body('maxAgeMonths')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 300 })
+    .toInt()
+    .withMessage('Maximum age must be a whole number of months'),
+  body('action')
+    .optional()
+    .isIn(['reject', 'flag'])
+    .withMessage('Action must be reject or flag')
+];
+
+const promoteValidation = [
+  body('program')
+    .isIn(['playgroup', 'nursery', 'pre-primary', 'primary'])
+    .withMessage('Program must be playgroup, nursery, pre-primary, or primary'),
+  body('grade')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Grade cannot exceed 20 characters'),
+  body('intakeYear')
+    .isInt({ min: 2000, max: 2100 })
+    .toInt()
+    .withMessage('Intake year must be a valid year')
+];
+
+const documentRequestValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid application ID'),
+  body('documents')
+    .optional()
+    .isArray()
+    .withMessage('Documents must be an array'),
+  body('documents.*')
+    .isIn(DOCUMENT_TYPES)
+    .withMessage(`Document type must be one of: ${DOCUMENT_TYPES.join(', ')}`),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Message cannot exceed 1000 characters')
+];
+
+// Fields admins may correct after submission (status has its own endpoint)
+const EDITABLE_FIELDS = [
+  'studentFirstName', 'studentLastName', 'dateOfBirth', 'gender', 'nationality',
+  'program', 'currentGrade', 'intake', 'parentFirstName', 'parentLastName', 'relationship',
+  'email', 'phone', 'address', 'city', 'previousSchool', 'previousGrade',
+  'reasonForTransfer', 'medicalConditions', 'specialNeeds', 'extracurriculars'
+];
+
+// Fields a parent or an imported CSV row may set on a new application
+// (intake and source are resolved separately; everything else is managed by the server)
+const SUBMISSION_FIELDS = [...EDITABLE_FIELDS.filter(field => field !== 'intake'), 'branch'];
+
+// Fields a draft may hold before it is submitted (plus customFields answers)
+const DRAFT_FIELDS = [...SUBMISSION_FIELDS, 'intake'];
+const MAX_DRAFT_VALUE_LENGTH = 2000;
+
+// CSV headers accepted by imports: field names or the matching export headers
+const IMPORT_COLUMNS = [...SUBMISSION_FIELDS, 'intake', 'source'].map(key => {
+  const exportColumn = EXPORT_COLUMNS.find(column => column.key === key);
+  return { key, header: exportColumn ? exportColumn.header : null };
+});
+
+const mergeValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid application ID'),
+  body('duplicateId')
+    .isMongoId()
+    .withMessage('Invalid duplicate application ID'),
+  body('keepFields')
+    .optional()
+    .isArray()
+    .withMessage('Keep fields must be an array'),
+  body('keepFields.*')
+    .custom(field => EDITABLE_FIELDS.includes(field))
+    .withMessage(`Keep fields may only include: ${EDITABLE_FIELDS.join(', ')}`)
+];
+
+const updateApplicationValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid application ID'),
+  body('dateOfBirth')
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage('Date of birth must be a valid date'),
+  body('gender')
+    .optional()
+    .isIn(['male', 'female'])
+    .withMessage('Gender must be male or female'),
+  body('program')
+    .optional()
+    .isIn(['playgroup', 'nursery', 'pre-primary', 'primary'])
+    .withMessage('Program must be playgroup, nursery, pre-primary, or primary'),
+  body('intake')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 30 })
+    .withMessage('Intake must be an intake ID or code'),
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  body('phone')
+    .optional()
+    .matches(/^[\+]?[0-9\s\-\(\)]{10,15}$/)
+    .withMessage('Please provide a valid phone number')
+];
+
+const documentValidation = [
+  body('type')
+    .isIn(DOCUMENT_TYPES)
+    .withMessage(`Document type must be one of: ${DOCUMENT_TYPES.join(', ')}`),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Document name must be between 1 and 100 characters'),
+  body('field')
+    .optional()
+    .matches(CUSTOM_FIELD_KEY_PATTERN)
+    .withMessage('Field must be the key of a file question on the application form')
 ];
 
-// POST /api/applications - Create new application (public)
-router.post('/', createLimiter, createApplicationValidation, async (req, res) => {
+const trackApplicationValidation = [
+  body('applicationNumber')
+    .trim()
+    .isLength({ min: 4, max: 30 })
+    .withMessage('Application number is required'),
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  body('dateOfBirth')
+    .optional()
+    .isISO8601()
+    .withMessage('Date of birth must be a valid date'),
+  body()
+    .custom((value) => Boolean(value.email || value.dateOfBirth))
+    .withMessage('Provide the parent email or the student date of birth')
+];
+
+const assignReviewersValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid application ID'),
+  body('reviewers')
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Reviewers must be a list of 1 to 10 admin IDs'),
+  body('reviewers.*')
+    .isMongoId()
+    .withMessage('Invalid reviewer ID')
+];
+
+const reviewValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid application ID'),
+  body('scores')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Scores must be a list of 1 to 20 criteria'),
+  body('scores.*.criterion')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each score needs a criterion of up to 50 characters'),
+  body('scores.*.score')
+    .isFloat({ min: 0 })
+    .toFloat()
+    .withMessage('Each score must be a positive number'),
+  body('scores.*.maxScore')
+    .isFloat({ min: 1 })
+    .toFloat()
+    .withMessage('Each maximum score must be at least 1'),
+  body('scores')
+    .custom((scores) => scores.every(entry => entry.score <= entry.maxScore))
+    .withMessage('A score cannot exceed its maximum'),
+  body('recommendation')
+    .optional()
+    .isIn(REVIEW_RECOMMENDATIONS)
+    .withMessage(`Recommendation must be one of: ${REVIEW_RECOMMENDATIONS.join(', ')}`),
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Comment cannot exceed 1000 characters')
+];
+
+const addNoteValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid application ID'),
+  body('note')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Note must be between 1 and 1000 characters')
+];
+
+// POST /api/applications - Create new application (public)
+router.post('/', createLimiter, checkSpam, createApplicationValidation, quarantineSpam('application'), async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { submission, error } = await submitWebsiteApplication(req.body, req.ip);
+
+    if (error) {
+      return sendSubmissionError(res, error);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Application submitted successfully',
+      data: await formatSubmission(submission)
+    });
+
+  } catch (error) {
+    console.error('Application creation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit application',
+      code: 'APPLICATION_CREATION_ERROR'
+    });
+  }
+});
+
+// Quarantined applications are checked and submitted the same way once released,
+// so the parent only then receives their application number and access secret
+registerReleaseHandler('application', async (payload, { ipAddress }) => {
+  const { submission, error } = await submitWebsiteApplication(payload, ipAddress);
+  if (error) return { error };
+  return { record: { id: submission.application._id, reference: submission.application.applicationNumber } };
+});
+
+// POST /api/applications/drafts - Save a partly filled application and email a resume link (public)
+router.post('/drafts', draftCreateLimiter, checkSpam, draftValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const draft = new ApplicationDraft({
+      email: req.body.email,
+      data: mergeDraftData({ email: req.body.email }, req.body.data),
+      ipAddress: req.ip
+    });
+    const resumeToken = draft.generateToken();
+    draft.extendExpiry();
+
+    await draft.save();
+
+    // Suspected spam still gets its draft, but no resume link is emailed to the address given
+    const emailSent = req.spam.suspected ? false : await notifyDraftSaved(draft, resumeToken);
+
+    if (req.spam.suspected) {
+      console.log(`🚫 Resume link not emailed for suspected spam draft (score ${req.spam.score}): ${draft.email}`);
+    }
+
+    console.log(`💾 Application draft started for ${draft.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Draft saved successfully',
+      data: {
+        draft: formatDraft(draft),
+        // Shown once and emailed: the browser keeps it to save further progress
+        resumeToken,
+        emailSent
+      }
+    });
+
+  } catch (error) {
+    console.error('Application draft creation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save draft',
+      code: 'DRAFT_CREATION_ERROR'
+    });
+  }
+});
+
+// GET /api/applications/drafts/:token - Resume a saved draft (public, requires resume token)
+router.get('/drafts/:token', draftLimiter, loadDraft, (req, res) => {
+  res.json({
+    success: true,
+    message: 'Draft retrieved successfully',
+    data: {
+      draft: formatDraft(req.draft)
+    }
+  });
+});
+
+// PUT /api/applications/drafts/:token - Save more answers to a draft (public, requires resume token)
+router.put('/drafts/:token', draftLimiter, loadDraft, draftUpdateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const draft = req.draft;
+    draft.data = mergeDraftData(draft.data, req.body.data);
+    draft.saveCount += 1;
+    draft.extendExpiry();
+
+    await draft.save();
+
+    res.json({
+      success: true,
+      message: 'Draft saved successfully',
+      data: {
+        draft: formatDraft(draft)
+      }
+    });
+
+  } catch (error) {
+    console.error('Application draft update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save draft',
+      code: 'DRAFT_UPDATE_ERROR'
+    });
+  }
+});
+
+// DELETE /api/applications/drafts/:token - Discard a draft (public, requires resume token)
+router.delete('/drafts/:token', draftLimiter, loadDraft, async (req, res) => {
+  try {
+    await req.draft.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Draft discarded successfully'
+    });
+
+  } catch (error) {
+    console.error('Application draft deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to discard draft',
+      code: 'DRAFT_DELETION_ERROR'
+    });
+  }
+});
+
+// POST /api/applications/drafts/:token/submit - Validate a draft and submit it as an application (public, requires resume token)
+router.post('/drafts/:token/submit', draftSubmitLimiter, loadDraft, useDraftAnswers, checkSpam, createApplicationValidation, quarantineSpam('application', {
+  // The quarantined copy replaces the draft, so it cannot be submitted again
+  onQuarantine: (req) => req.draft.deleteOne()
+}), async (req, res) => {
+  try {
+    // Field-level validation only happens here; the draft is kept so the parent can fix the answers
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { submission, error } = await submitWebsiteApplication(req.body, req.ip);
+
+    if (error) {
+      return sendSubmissionError(res, error);
+    }
+
+    await req.draft.deleteOne();
+
+    res.status(201).json({
+      success: true,
+      message: 'Application submitted successfully',
+      data: await formatSubmission(submission)
+    });
+
+  } catch (error) {
+    console.error('Application draft submission error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit application',
+      code: 'APPLICATION_CREATION_ERROR'
+    });
+  }
+});
+
+// POST /api/applications/import - Bulk import paper applications from CSV (admin only)
+router.post('/import', verifyToken, handleUpload(importUpload.single('file'), { maxSize: '2MB' }), [
+  body('source')
+    .optional()
+    .isIn(IMPORT_SOURCES)
+    .withMessage(`Source must be one of: ${IMPORT_SOURCES.join(', ')}`),
+  body('intake')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 30 })
+    .withMessage('Intake must be an intake ID or code'),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('Dry run must be a boolean'),
+  body('notifyParents')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('Notify parents must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A CSV file is required',
+        code: 'NO_FILE_PROVIDED'
+      });
+    }
+
+    const { source: defaultSource = 'walk-in', intake: defaultIntake, dryRun = false, notifyParents = false } = req.body;
+
+    // Each program's active form decides its custom questions and extra required fields
+    const formDefinitions = await FormDefinition.find({ isActive: true });
+    const formFor = program => formDefinitions.find(definition => definition.program === program) || null;
+
+    let rows;
+    try {
+      rows = parseApplicationCsv(req.file.buffer, [...IMPORT_COLUMNS, ...customFieldColumns(formDefinitions)]);
+    } catch (parseError) {
+      return res.status(parseError.status || 400).json({
+        success: false,
+        message: parseError.message,
+        code: parseError.code || 'INVALID_CSV'
+      });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The CSV has no application rows',
+        code: 'EMPTY_IMPORT'
+      });
+    }
+
+    // Validate every row before anything is written
+    const results = [];
+
+    for (const [index, row] of rows.entries()) {
+      const result = { row: index + 2, status: 'valid', errors: [] }; // row 1 is the header
+      const { values, errors: rowErrors } = await validateImportRow(row, createApplicationValidation);
+      result.errors.push(...rowErrors);
+
+      const source = values.source || defaultSource;
+      if (!IMPORT_SOURCES.includes(source)) {
+        result.errors.push({ field: 'source', message: `Source must be one of: ${IMPORT_SOURCES.join(', ')}` });
+      }
+
+      // Offline applications may be filed against any intake; otherwise use the open one
+      let intake = null;
+      if (values.program && !rowErrors.some(error => error.field === 'program')) {
+        const intakeReference = values.intake || defaultIntake;
+        const resolved = await resolveSubmissionIntake({
+          program: values.program,
+          intake: intakeReference,
+          enforceWindow: !intakeReference
+        });
+        if (resolved.error) {
+          result.errors.push({ field: 'intake', message: resolved.error.message });
+        } else {
+          intake = resolved.intake;
+        }
+      }
+
+      const data = { source };
+      SUBMISSION_FIELDS.forEach(field => {
+        if (values[field] !== undefined) data[field] = values[field];
+      });
+      if (intake) {
+        data.intake = intake._id;
+        data.intakeYear = intake.year;
+      }
+
+      // Same custom questions and program-required fields as a website submission
+      if (values.program && !rowErrors.some(error => error.field === 'program')) {
+        const formDefinition = formFor(values.program);
+        const { answers, errors: formErrors } = validateFormAnswers(formDefinition, {
+          ...values,
+          customFields: pickCustomAnswers(values)
+        });
+        result.errors.push(...formErrors.map(error => ({ field: error.path, message: error.msg })));
+
+        if (formDefinition) {
+          data.formDefinition = formDefinition._id;
+          data.formVersion = formDefinition.version;
+          data.customFields = answers;
+        }
+      }
+
+      // Catch model rules (enums, lengths) that the request validation does not cover
+      if (result.errors.length === 0) {
+        const validationError = new Application(data).validateSync();
+        if (validationError) {
+          Object.values(validationError.errors).forEach(error => {
+            result.errors.push({ field: error.path, message: error.message });
+          });
+        }
+      }
+
+      // Rows outside a rejecting age rule are invalid; flagging rules mark the row for review
+      if (result.errors.length === 0) {
+        const { eligibility, error: eligibilityError } = await assessEligibility(data, intake);
+        if (eligibilityError) {
+          result.errors.push({ field: 'dateOfBirth', message: eligibilityError.message });
+        } else if (eligibility) {
+          data.eligibility = eligibility;
+          if (eligibility.status === 'flagged') result.ageFlag = eligibility.message;
+        }
+      }
+
+      if (result.errors.length > 0) {
+        result.status = 'invalid';
+      } else {
+        // Look-alikes do not block the row; they are queued for review once imported
+        const matches = await findDuplicateCandidates(data);
+        result.possibleDuplicates = matches.map(({ candidate, match }) => ({
+          applicationNumber: candidate.applicationNumber,
+          score: match.score,
+          reasons: match.reasons
+        }));
+      }
+      results.push({ ...result, data });
+    }
+
+    const validRows = results.filter(result => result.status === 'valid');
+    const importBatch = `IMP-${Date.now().toString(36).toUpperCase()}`;
+
+    if (!dryRun && validRows.length > 0) {
+      const imported = [];
+      let batchError = null;
+
+      try {
+        // Number every application first: the batch insert skips save hooks
+        const documents = [];
+        for (const result of validRows) {
+          const application = new Application({ ...result.data, importBatch });
+          const accessSecret = application.generateAccessSecret();
+          await application.assignApplicationNumber();
+          documents.push(application);
+          imported.push({ result, application, accessSecret });
+        }
+
+        await Application.insertMany(documents);
+      } catch (insertError) {
+        // All rows or none: remove whatever part of the batch was written
+        batchError = insertError;
+        await Application.deleteMany({ importBatch });
+      }
+
+      if (batchError) {
+        console.error(`Application import batch ${importBatch} error:`, batchError);
+        validRows.forEach(result => {
+          result.status = 'failed';
+          result.errors.push({ field: null, message: 'The import could not be saved; no rows were imported' });
+        });
+      } else {
+        // History, review queues, family links and emails once the whole batch is saved
+        for (const { result, application, accessSecret } of imported) {
+          result.status = 'imported';
+          result.application = {
+            id: application._id,
+            applicationNumber: application.applicationNumber,
+            studentFullName: application.studentFullName
+          };
+
+          try {
+            await ApplicationHistory.record(application, {
+              action: 'created',
+              toStatus: application.status,
+              note: `Imported from ${req.file.originalname} (batch ${importBatch})`,
+              performedBy: req.admin._id,
+              actorType: 'admin'
+            });
+            await noteEligibilityFlag(application);
+
+            await flagDuplicates(application);
+            await linkApplicationToFamily(application);
+
+            if (notifyParents) {
+              await notifyApplicationSubmitted(application, accessSecret);
+            }
+          } catch (followUpError) {
+            console.error(`Application import follow-up error for ${application.applicationNumber}:`, followUpError);
+          }
+        }
+
+        console.log(`📥 ${imported.length} application(s) imported from ${req.file.originalname} by ${req.admin.username}`);
+      }
+    }
+
+    const count = status => results.filter(result => result.status === status).length;
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun ? 'Import preview generated' : 'Import completed',
+      data: {
+        dryRun,
+        importBatch: dryRun ? null : importBatch,
+        summary: {
+          total: results.length,
+          valid: validRows.length,
+          invalid: count('invalid'),
+          imported: count('imported'),
+          failed: count('failed')
+        },
+        rows: results.map(({ data, ...result }) => (dryRun
+          ? { ...result, preview: data }
+          : result))
+      }
+    });
+
+  } catch (error) {
+    console.error('Application import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import applications',
+      code: 'APPLICATION_IMPORT_ERROR'
+    });
+  }
+});
+
+// GET /api/applications - Get all applications (admin only)
+router.get('/', verifyToken, [
+  query('family').optional().isMongoId().withMessage('Invalid family ID'),
+  query('eligibility').optional().isIn(['all', 'eligible', 'flagged', 'cleared']).withMessage('Eligibility must be eligible, flagged or cleared'),
+  query('review').optional().isIn(REVIEW_FILTERS).withMessage('Review must be assigned or awaiting')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      page = 1,
+      limit = 10,
+      status,
+      program,
+      intake,
+      family,
+      hasSibling,
+      eligibility,
+      review,
+      search,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    // Build filter object
+    const filter = await buildApplicationFilter({
+      status, program, intake, family, hasSibling, eligibility, review, adminId: req.admin._id, search
+    });
+
+    if (!filter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Intake not found',
+        code: 'INTAKE_NOT_FOUND'
+      });
+    }
+
+    // Build sort object
+    const sort = {};
+    sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Execute query
+    const [applications, total] = await Promise.all([
+      Application.find(filter)
+        .populate('reviewedBy', 'username')
+        .populate('reviews.reviewer', 'username')
+        .populate('intake', 'name code')
+        .sort(sort)
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Application.countDocuments(filter)
+    ]);
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(total / parseInt(limit));
+    const hasNext = page < totalPages;
+    const hasPrev = page > 1;
+
+    res.json({
+      success: true,
+      message: 'Applications retrieved successfully',
+      data: {
+        applications,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalItems: total,
+          itemsPerPage: parseInt(limit),
+          hasNext,
+          hasPrev
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Applications retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve applications',
+      code: 'APPLICATIONS_RETRIEVAL_ERROR'
+    });
+  }
+});
+
+// GET /api/applications/export - Download the filtered applications as CSV or XLSX (admin only)
+router.get('/export', verifyToken, [
+  query('format').optional().isIn(EXPORT_FORMATS).withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+  query('family').optional().isMongoId().withMessage('Invalid family ID'),
+  query('eligibility').optional().isIn(['all', 'eligible', 'flagged', 'cleared']).withMessage('Eligibility must be eligible, flagged or cleared'),
+  query('review').optional().isIn(REVIEW_FILTERS).withMessage('Review must be assigned or awaiting')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      format = 'csv',
+      status,
+      program,
+      intake,
+      family,
+      hasSibling,
+      eligibility,
+      review,
+      search,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    const { columns, error: columnError } = resolveColumns(EXPORT_COLUMNS, req.query.columns);
+    if (columnError) {
+      return res.status(columnError.status).json({
+        success: false,
+        message: columnError.message,
+        code: columnError.code,
+        availableColumns: columnError.availableColumns
+      });
+    }
+
+    const filter = await buildApplicationFilter({
+      status, program, intake, family, hasSibling, eligibility, review, adminId: req.admin._id, search
+    });
+    if (!filter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Intake not found',
+        code: 'INTAKE_NOT_FOUND'
+      });
+    }
+
+    const sort = {};
+    sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
+
+    const cursor = Application.find(filter)
+      .populate('reviewedBy', 'username')
+      .populate('intake', 'name')
+      .sort(sort)
+      .cursor();
+
+    const rowCount = await streamExport(res, {
+      cursor,
+      columns,
+      format,
+      filename: 'applications',
+      sheetName: 'Applications'
+    });
+
+    console.log(`📤 ${rowCount} application(s) exported as ${format} by ${req.admin.username}`);
+
+  } catch (error) {
+    console.error('Application export error:', error);
+
+    // The download has started, so the only signal left is a broken transfer
+    if (res.headersSent) return res.destroy(error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export applications',
+      code: 'APPLICATION_EXPORT_ERROR'
+    });
+  }
+});
+
+// GET /api/applications/stats - Get application statistics (admin only)
+router.get('/stats', verifyToken, async (req, res) => {
+  try {
+    const filter = await intakeFilter(req.query.intake);
+
+    if (!filter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Intake not found',
+        code: 'INTAKE_NOT_FOUND'
+      });
+    }
+
+    // Seats are counted for the selected intake's year, or the requested/current year
+    const intake = filter.intake ? await findIntake(filter.intake) : null;
+    const intakeYear = intake ? intake.year : (parseInt(req.query.intakeYear) || new Date().getFullYear());
+
+    const [
+      totalApplications,
+      statusCounts,
+      recentApplications,
+      programStats,
+      monthlyStats,
+      intakeStats,
+      capacity
+    ] = await Promise.all([
+      Application.countDocuments(filter),
+      Application.aggregate([
+        { $match: filter },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      Application.find(filter).sort({ createdAt: -1 }).limit(5),
+      Application.aggregate([
+        { $match: filter },
+        { $group: { _id: '$program', count: { $sum: 1 } } }
+      ]),
+      Application.aggregate([
+        { $match: filter },
+        {
+          $group: {
+            _id: { 
+              year: { $year: '$createdAt' },
+              month: { $month: '$createdAt' }
+            },
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { '_id.year': -1, '_id.month': -1 } },
+        { $limit: 12 }
+      ]),
+      Application.aggregate([
+        { $match: filter },
+        { $group: { _id: '$intake', count: { $sum: 1 } } },
+        { $lookup: { from: 'intakes', localField: '_id', foreignField: '_id', as: 'intake' } },
+        { $unwind: { path: '$intake', preserveNullAndEmptyArrays: true } },
+        {
+          $project: {
+            count: 1,
+            name: '$intake.name',
+            code: '$intake.code',
+            academicYear: '$intake.academicYear'
+          }
+        },
+        { $sort: { academicYear: -1, name: 1 } }
+      ]),
+      getCapacityOverview(intakeYear)
+    ]);
+
+    // One count per pipeline status, zero-filled
+    const overview = { total: totalApplications };
+    APPLICATION_STATUSES.forEach(status => {
+      const stat = statusCounts.find(s => s._id === status);
+      overview[status] = stat ? stat.count : 0;
+    });
+
+    res.json({
+      success: true,
+      message: 'Application statistics retrieved successfully',
+      data: {
+        intake: intake ? { id: intake._id, name: intake.name, code: intake.code } : null,
+        overview,
+        recentApplications,
+        programStats,
+        monthlyStats,
+        intakeStats,
+        capacity: {
+          intakeYear,
+          programs: capacity,
+          remainingSeats: countRemainingSeats(capacity)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Application stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve application statistics',
+      code: 'STATS_RETRIEVAL_ERROR'
+    });
+  }
+});
+
+// GET /api/applications/capacity - Get seat capacity and usage for an intake year (admin only)
+router.get('/capacity', verifyToken, [
+  query('intakeYear').optional().isInt({ min: 2000, max: 2100 }).withMessage('Intake year must be a valid year')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const intakeYear = parseInt(req.query.intakeYear) || new Date().getFullYear();
+
+    res.json({
+      success: true,
+      message: 'Capacity retrieved successfully',
+      data: {
+        intakeYear,
+        capacity: await getCapacityOverview(intakeYear)
+      }
+    });
+
+  } catch (error) {
+    console.error('Capacity retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve capacity',
+      code: 'CAPACITY_RETRIEVAL_ERROR'
+    });
+  }
+});
+
+// PUT /api/applications/capacity - Set seat capacity for a program/grade/intake year (admin only)
+router.put('/capacity', verifyToken, capacityValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { program, intakeYear, capacity } = req.body;
+
+    // Grades are matched ignoring case, so update an existing rule however its grade was written
+    const existing = req.body.grade
+      ? await ProgramCapacity.findOne({ program, intakeYear, grade: gradeMatcher(req.body.grade) })
+      : null;
+    const grade = existing ? existing.grade : (req.body.grade || '');
+
+    const rule = await ProgramCapacity.findOneAndUpdate(
+      { program, grade, intakeYear },
+      { capacity, updatedBy: req.admin._id },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    console.log(`🪑 Capacity for ${program}${grade ? ` ${grade}` : ''} ${intakeYear} set to ${capacity} by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: 'Capacity updated successfully',
+      data: {
+        capacity: rule
+      }
+    });
+
+  } catch (error) {
+    console.error('Capacity update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update capacity',
+      code: 'CAPACITY_UPDATE_ERROR'
+    });
+  }
+});
+
+// DELETE /api/applications/capacity/:id - Remove a capacity rule (admin only)
+router.delete('/capacity/:id', verifyToken, [
+  param('id').isMongoId().withMessage('Invalid capacity ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await ProgramCapacity.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Capacity rule not found',
+        code: 'CAPACITY_NOT_FOUND'
+      });
+    }
+
+    console.log(`🗑️ Capacity rule for ${rule.program} ${rule.intakeYear} deleted by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: 'Capacity rule deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Capacity deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete capacity rule',
+      code: 'CAPACITY_DELETION_ERROR'
+    });
+  }
+});
+
+// GET /api/applications/age-rules - Get age-eligibility rules (admin only)
+router.get('/age-rules', verifyToken, async (req, res) => {
+  try {
+    const rules = await AgeRule.find()
+      .sort({ program: 1, grade: 1 })
+      .populate('updatedBy', 'username');
+
+    res.json({
+      success: true,
+      message: 'Age rules retrieved successfully',
+      data: {
+        rules
+      }
+    });
+
+  } catch (error) {
+    console.error('Age rules retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve age rules',
+      code: 'AGE_RULES_RETRIEVAL_ERROR'
+    });
+  }
+});
+
+// PUT /api/applications/age-rules - Set the age band for a program or grade (admin only)
+router.put('/age-rules', verifyToken, ageRuleValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { program, minAgeMonths, maxAgeMonths, action } = req.body;
+    const grade = req.body.grade || '';
+
+    // Saved as a document so the band checks in the model run; grades are matched ignoring case,
+    // as applicants are, so an existing rule is updated however its grade was written
+    const rule = await AgeRule.findOne({ program, grade: gradeMatcher(grade) }) || new AgeRule({ program, grade });
+    rule.minAgeMonths = minAgeMonths;
+    rule.maxAgeMonths = maxAgeMonths;
+    rule.action = action || 'reject';
+    rule.updatedBy = req.admin._id;
+    await rule.save();
+
+    console.log(`🎂 Age rule for ${program}${grade ? ` ${grade}` : ''} set by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: 'Age rule updated successfully',
+      data: {
+        rule
+      }
+    });
+
+  } catch (error) {
+    console.error('Age rule update error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update age rule',
+      code: 'AGE_RULE_UPDATE_ERROR'
+    });
+  }
+});
+
+// DELETE /api/applications/age-rules/:id - Remove an age rule (admin only)
+router.delete('/age-rules/:id', verifyToken, [
+  param('id').isMongoId().withMessage('Invalid age rule ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await AgeRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Age rule not found',
+        code: 'AGE_RULE_NOT_FOUND'
+      });
+    }
+
+    console.log(`🗑️ Age rule for ${rule.program}${rule.grade ? ` ${rule.grade}` : ''} deleted by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: 'Age rule deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Age rule deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete age rule',
+      code: 'AGE_RULE_DELETION_ERROR'
+    });
+  }
+});
+
+// GET /api/applications/waitlist - Get the ranked waitlist (admin only)
+router.get('/waitlist', verifyToken, async (req, res) => {
+  try {
+    const { program, grade, intakeYear } = req.query;
+
+    const filter = {};
+    if (program && program !== 'all') filter.program = program;
+    if (grade) filter.currentGrade = gradeMatcher(grade);
+    if (intakeYear) filter.intakeYear = parseInt(intakeYear);
+
+    const waitlist = await Application.getWaitlist(filter)
+      .select('applicationNumber studentFirstName studentLastName program currentGrade intakeYear waitlistRank createdAt');
+
+    res.json({
+      success: true,
+      message: 'Waitlist retrieved successfully',
+      data: {
+        waitlist: waitlist.map((application, index) => ({
+          position: index + 1,
+          ...application.toJSON()
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Waitlist retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve waitlist',
+      code: 'WAITLIST_RETRIEVAL_ERROR'
+    });
+  }
+});
+
+// POST /api/applications/waitlist/promote - Offer a seat to the next waitlisted applicant (admin only)
+router.post('/waitlist/promote', verifyToken, promoteValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { program, grade, intakeYear } = req.body;
+
+    const usage = await getSeatUsage({ program, currentGrade: grade, intakeYear });
+    if (usage && usage.remaining <= 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'No seats remaining for this program and intake',
+        code: 'NO_SEATS_AVAILABLE',
+        data: { capacity: usage }
+      });
+    }
+
+    const candidates = await Application.getWaitlist(poolFilter({ program, grade, intakeYear }));
+
+    // Skip applicants who cannot take an offer yet (e.g. assessment outstanding) or whose grade is full
+    const skipped = [];
+    let promoted = null;
+    for (const candidate of candidates) {
+      if (!(await hasSeatAvailable(candidate))) {
+        skipped.push({ applicationNumber: candidate.applicationNumber, reason: 'NO_SEATS_AVAILABLE' });
+        continue;
+      }
+
+      try {
+        await candidate.updateStatus('offer-made', { reviewNotes: 'Promoted from waitlist' }, req.admin._id);
+        promoted = candidate;
+        break;
+      } catch (transitionError) {
+        if (!transitionError.isTransitionError) throw transitionError;
+        skipped.push({ applicationNumber: candidate.applicationNumber, reason: transitionError.code });
+      }
+    }
+
+    if (!promoted) {
+      return res.status(404).json({
+        success: false,
+        message: 'No eligible waitlisted applicant to promote',
+        code: 'WAITLIST_EMPTY',
+        data: { skipped }
+      });
+    }
+
+    const decision = await sendDecision(promoted, { performedBy: req.admin._id });
+
+    console.log(`⬆️ Application ${promoted.applicationNumber} promoted from waitlist by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: 'Applicant promoted from waitlist',
+      data: {
+        application: promoted,
+        skipped,
+        ...decision
+      }
+    });
+
+  } catch (error) {
+    console.error('Waitlist promotion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to promote from waitlist',
+      code: 'WAITLIST_PROMOTION_ERROR'
+    });
+  }
+});
+
+// GET /api/applications/duplicates - Get the suspected duplicates queue (admin only)
+router.get('/duplicates', verifyToken, [
+  query('status').optional().isIn(['pending', 'dismissed', 'merged']).withMessage('Status must be pending, dismissed, or merged')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const matches = await DuplicateMatch.getQueue(req.query.status);
+
+    res.json({
+      success: true,
+      message: 'Suspected duplicates retrieved successfully',
+      data: {
+        matches
+      }
+    });
+
+  } catch (error) {
+    console.error('Duplicates retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve suspected duplicates',
+      code: 'DUPLICATES_RETRIEVAL_ERROR'
+    });
+  }
+});
+
+// POST /api/applications/duplicates/scan - Re-check every application for duplicates (admin only)
+router.post('/duplicates/scan', verifyToken, async (req, res) => {
+  try {
+    let scanned = 0;
+    let flagged = 0;
+
+    const cursor = Application.find()
+      .select('applicationNumber studentFirstName studentLastName dateOfBirth email phone createdAt')
+      .cursor();
+
+    for await (const application of cursor) {
+      const matches = await flagDuplicates(application);
+      scanned += 1;
+      if (matches.length > 0) flagged += 1;
+    }
+
+    console.log(`🔍 Duplicate scan of ${scanned} application(s) run by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: 'Duplicate scan completed',
+      data: {
+        scanned,
+        flagged,
+        pending: await DuplicateMatch.countDocuments({ status: 'pending' })
+      }
+    });
+
+  } catch (error) {
+    console.error('Duplicate scan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to scan for duplicates',
+      code: 'DUPLICATE_SCAN_ERROR'
+    });
+  }
+});
+
+// PUT /api/applications/duplicates/:id/dismiss - Mark a suspected duplicate as distinct (admin only)
+router.put('/duplicates/:id/dismiss', verifyToken, [
+  param('id').isMongoId().withMessage('Invalid duplicate match ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const match = await DuplicateMatch.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      { status: 'dismissed', reviewedBy: req.admin._id, reviewedAt: new Date() },
+      { new: true }
+    );
+
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending duplicate match not found',
+        code: 'DUPLICATE_MATCH_NOT_FOUND'
+      });
+    }
+
+    console.log(`🙅 Duplicate match ${match._id} dismissed by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: 'Suspected duplicate dismissed',
+      data: {
+        match
+      }
+    });
+
+  } catch (error) {
+    console.error('Duplicate dismissal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to dismiss suspected duplicate',
+      code: 'DUPLICATE_DISMISS_ERROR'
+    });
+  }
+});
+
+// POST /api/applications/digest - Email a digest of new applications to the admissions team (admin only)
+router.post('/digest', verifyToken, [
+  body('hours')
+    .optional()
+    .isInt({ min: 1, max: 24 * 31 })
+    .toInt()
+    .withMessage('Hours must be between 1 and 744')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const hours = req.body.hours || 24;
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+    const count = await sendNewApplicationsDigest(since);
+
+    console.log(`📬 Admissions digest (${count} application(s)) sent by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: 'Admissions digest sent successfully',
+      data: {
+        since,
+        applications: count
+      }
+    });
+
+  } catch (error) {
+    console.error('Admissions digest error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send admissions digest',
+      code: 'DIGEST_SEND_ERROR'
+    });
+  }
+});
+
+// GET /api/applications/:id - Get specific application (admin only)
+router.get('/:id', verifyToken, [
+  param('id').isMongoId().withMessage('Invalid application ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const application = await Application.findById(req.params.id)
+      .populate('reviewedBy', 'username')
+      .populate('reviews.reviewer', 'username')
+      .populate('intake', 'name code academicYear');
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+        code: 'APPLICATION_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Application retrieved successfully',
+      data: {
+        application
+      }
+    });
+
+  } catch (error) {
+    console.error('Application retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve application',
+      code: 'APPLICATION_RETRIEVAL_ERROR'
+    });
+  }
+});
+
+// GET /api/applications/:id/history - Get application audit trail (admin only)
+router.get('/:id/history', verifyToken, [
+  param('id').isMongoId().withMessage('Invalid application ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const application = await Application.findById(req.params.id).select('applicationNumber status mergedFrom');
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+        code: 'APPLICATION_NOT_FOUND'
+      });
+    }
+
+    const history = await ApplicationHistory.getTimeline(application.getHistoryIds());
+
+    res.json({
+      success: true,
+      message: 'Application history retrieved successfully',
+      data: {
+        applicationNumber: application.applicationNumber,
+        currentStatus: application.status,
+        history
+      }
+    });
+
+  } catch (error) {
+    console.error('Application history retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve application history',
+      code: 'HISTORY_RETRIEVAL_ERROR'
+    });
+  }
+});
+
+// POST /api/applications/:id/notes - Add a review note (admin only)
+router.post('/:id/notes', verifyToken, addNoteValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const application = await Application.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+        code: 'APPLICATION_NOT_FOUND'
+      });
+    }
+
+    await application.addNote(req.body.note, req.admin._id);
+
+    console.log(`🗒️ Note added to application ${application.applicationNumber} by ${req.admin.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Note added successfully',
+      data: {
+        history: await ApplicationHistory.getTimeline(application.getHistoryIds())
+      }
+    });
+
+  } catch (error) {
+    console.error('Application note error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add note',
+      code: 'NOTE_CREATION_ERROR'
+    });
+  }
+});
+
+// POST /api/applications/public/track - Look up application progress (public)
+router.post('/public/track', trackLimiter, trackApplicationValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { applicationNumber, email, dateOfBirth } = req.body;
+
+    const application = await Application.findOne({ applicationNumber: applicationNumber.toUpperCase() });
+
+    // Same response whether the number or the verifying fact is wrong
+    if (!application || !application.matchesVerification({ email, dateOfBirth })) {
+      return res.status(404).json({
+        success: false,
+        message: 'No application matches the details provided',
+        code: 'APPLICATION_NOT_FOUND'
+      });
+    }
+
+    const description = STATUS_DESCRIPTIONS[application.status] || {};
+    const uploadsOpen = ['submitted', 'documents-pending', 'under-review'].includes(application.status);
+    const missingDocuments = uploadsOpen ? getMissingDocuments(application) : [];
+    const pendingUploads = uploadsOpen ? await application.getPendingUploads() : [];
+
+    res.json({
+      success: true,
+      message: 'Application status retrieved successfully',
+      data: {
+        application: {
+          applicationNumber: application.applicationNumber,
+          studentFirstName: application.studentFirstName,
+          program: application.program,
+          status: application.status,
+          statusLabel: description.label,
+          submittedAt: application.createdAt,
+          lastUpdatedAt: application.updatedAt,
+          ...(application.status === 'interview-scheduled' && { interviewDate: application.interviewDate })
+        },
+        missingDocuments,
+        pendingUploads,
+        nextSteps: description.nextSteps || []
+      }
+    });
+
+  } catch (error) {
+    console.error('Application tracking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve application status',
+      code: 'APPLICATION_TRACKING_ERROR'
+    });
+  }
+});
+
+// POST /api/applications/public/:applicationNumber/documents - Upload a document (public, requires secret)
+router.post('/public/:applicationNumber/documents', documentUploadLimiter, handleUpload(documentUpload.single('document'), { maxSize: '10MB' }), verifyApplicationSecret, documentValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No document file provided',
+        code: 'NO_FILE'
+      });
+    }
+
+    const application = req.application;
+
+    if (!['submitted', 'documents-pending', 'under-review'].includes(application.status)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Documents can no longer be uploaded for this application',
+        code: 'DOCUMENT_UPLOAD_CLOSED'
+      });
+    }
+
+    if (application.documents.length >= MAX_DOCUMENTS_PER_APPLICATION) {
+      return res.status(409).json({
+        success: false,
+        message: `An application cannot have more than ${MAX_DOCUMENTS_PER_APPLICATION} documents`,
+        code: 'DOCUMENT_LIMIT_REACHED'
+      });
+    }
+
+    const fieldError = checkFileField(application, req.body.field);
+    if (fieldError) {
+      return res.status(fieldError.status).json({
+        success: false,
+        message: fieldError.message,
+        code: fieldError.code
+      });
+    }
+
+    const documentData = await uploadApplicationDocument(application, req.file, req.body, null);
+    const document = await application.addDocument(documentData, null);
+    if (req.body.field) await application.setFileAnswer(req.body.field, document._id);
+
+    console.log(`📎 Document uploaded by parent for application ${application.applicationNumber}: ${document.type}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Document uploaded successfully',
+      data: {
+        document: {
+          id: document._id,
+          name: document.name,
+          type: document.type,
+          uploadedAt: document.uploadedAt
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Public document upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload document',
+      code: 'DOCUMENT_UPLOAD_ERROR'
+    });
+  }
+});
+
+// GET /api/applications/public/:applicationNumber/documents - List uploaded documents (public, requires secret)
+router.get('/public/:applicationNumber/documents', verifyApplicationSecret, async (req, res) => {
+  res.json({
+    success: true,
+    message: 'Documents retrieved successfully',
+    data: {
+      documents: req.application.documents.map(document => ({
+        id: document._id,
+        name: document.name,
+        type: document.type,
+        uploadedAt: document.uploadedAt
+      }))
+    }
+  });
+});
+
+// DELETE /api/applications/public/:applicationNumber/documents/:documentId - Remove own upload (public, requires secret)
+router.delete('/public/:applicationNumber/documents/:documentId', [
+  param('documentId').isMongoId().withMessage('Invalid document ID')
+], verifyApplicationSecret, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const application = req.application;
+    const document = application.documents.id(req.params.documentId);
+
+    // Parents may only remove their own uploads before review finishes
+    if (!document || document.uploadSource !== 'parent') {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found',
+        code: 'DOCUMENT_NOT_FOUND'
+      });
+    }
+
+    if (!['submitted', 'documents-pending'].includes(application.status)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Documents can no longer be removed for this application',
+        code: 'DOCUMENT_REMOVAL_CLOSED'
+      });
+    }
+
+    if (document.cloudinaryId) {
+      try {
+        await deleteImage(document.cloudinaryId);
+      } catch (cloudinaryError) {
+        console.error('Cloudinary deletion error:', cloudinaryError);
+        // Continue with database removal even if Cloudinary fails
+      }
+    }
+
+    await application.removeDocument(document._id, null);
+
+    res.json({
+      success: true,
+      message: 'Document deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Public document deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete document',
+      code: 'DOCUMENT_DELETION_ERROR'
+    });
+  }
+});
+
+// POST /api/applications/:id/documents - Upload a document (admin only)
+router.post('/:id/documents', verifyToken, handleUpload(documentUpload.single('document'), { maxSize: '10MB' }), [
+  param('id').isMongoId().withMessage('Invalid application ID'),
+  ...documentValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No document file provided',
+        code: 'NO_FILE'
+      });
+    }
+
+    const application = await Application.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+        code: 'APPLICATION_NOT_FOUND'
+      });
+    }
+
+    if (application.documents.length >= MAX_DOCUMENTS_PER_APPLICATION) {
+      return res.status(409).json({
+        success: false,
+        message: `An application cannot have more than ${MAX_DOCUMENTS_PER_APPLICATION} documents`,
+        code: 'DOCUMENT_LIMIT_REACHED'
+      });
+    }
+
+    const fieldError = checkFileField(application, req.body.field);
+    if (fieldError) {
+      return res.status(fieldError.status).json({
+        success: false,
+        message: fieldError.message,
+        code: fieldError.code
+      });
+    }
+
+    const documentData = await uploadApplicationDocument(application, req.file, req.body, req.admin._id);
+    const document = await application.addDocument(documentData, req.admin._id);
+    if (req.body.field) await application.setFileAnswer(req.body.field, document._id);
+
+    console.log(`📎 Document uploaded for application ${application.applicationNumber} by ${req.admin.username}: ${document.type}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Document uploaded successfully',
+      data: {
+        document
+      }
+    });
+
+  } catch (error) {
+    console.error('Document upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload document',
+      code: 'DOCUMENT_UPLOAD_ERROR'
+    });
+  }
+});
+
+// GET /api/applications/:id/documents - List application documents (admin only)
+router.get('/:id/documents', verifyToken, [
+  param('id').isMongoId().withMessage('Invalid application ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const application = await Application.findById(req.params.id)
+      .select('applicationNumber documents')
+      .populate('documents.uploadedBy', 'username');
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+        code: 'APPLICATION_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Documents retrieved successfully',
+      data: {
+        applicationNumber: application.applicationNumber,
+        documents: application.documents
+      }
+    });
+
+  } catch (error) {
+    console.error('Documents retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve documents',
+      code: 'DOCUMENTS_RETRIEVAL_ERROR'
+    });
+  }
+});
+
+// DELETE /api/applications/:id/documents/:documentId - Delete a document (admin only)
+router.delete('/:id/documents/:documentId', verifyToken, [
+  param('id').isMongoId().withMessage('Invalid application ID'),
+  param('documentId').isMongoId().withMessage('Invalid document ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const application = await Application.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+        code: 'APPLICATION_NOT_FOUND'
+      });
+    }
+
+    const document = application.documents.id(req.params.documentId);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found',
+        code: 'DOCUMENT_NOT_FOUND'
+      });
+    }
+
+    if (document.cloudinaryId) {
+      try {
+        await deleteImage(document.cloudinaryId);
+      } catch (cloudinaryError) {
+        console.error('Cloudinary deletion error:', cloudinaryError);
+        // Continue with database removal even if Cloudinary fails
+      }
+    }
+
+    await application.removeDocument(document._id, req.admin._id);
+
+    console.log(`🗑️ Document ${document.name} removed from application ${application.applicationNumber} by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: 'Document deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Document deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete document',
+      code: 'DOCUMENT_DELETION_ERROR'
+    });
+  }
+});
+
+// PUT /api/applications/:id - Edit application details (admin only)
+router.put('/:id', verifyToken, updateApplicationValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const application = await Application.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+        code: 'APPLICATION_NOT_FOUND'
+      });
+    }
+
+    const updates = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    // Admins may move applications between intakes regardless of the submission window
+    if (updates.intake !== undefined) {
+      const { intake, error: intakeError } = await resolveSubmissionIntake({
+        program: updates.program || application.program,
+        intake: updates.intake,
+        enforceWindow: false
+      });
+
+      if (intakeError) {
+        return res.status(intakeError.status).json({
+          success: false,
+          message: intakeError.message,
+          code: intakeError.code
+        });
+      }
+
+      updates.intake = intake._id;
+      updates.intakeYear = intake.year;
+    }
+
+    const changes = await application.applyEdits(updates, req.admin._id);
+
+    console.log(`✏️ Application ${application.applicationNumber} edited by ${req.admin.username} (${changes.length} field(s))`);
+
+    res.json({
+      success: true,
+      message: changes.length > 0 ? 'Application updated successfully' : 'No changes to apply',
+      data: {
+        application: await Application.findById(req.params.id)
+          .populate('reviewedBy', 'username'),
+        changes
+      }
+    });
+
+  } catch (error) {
+    console.error('Application update error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update application',
+      code: 'APPLICATION_UPDATE_ERROR'
+    });
+  }
+});
+
+// POST /api/applications/:id/request-documents - Email the parent a document request (admin only)
+router.post('/:id/request-documents', verifyToken, documentRequestValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const application = await Application.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+        code: 'APPLICATION_NOT_FOUND'
+      });
+    }
+
+    const email = await notifyDocumentRequest(application, req.body.documents, req.body.message);
+
+    await application.addNote(
+      `Document request emailed${req.body.message ? `: ${req.body.message}` : ''}`,
+      req.admin._id
+    );
+
+    console.log(`📨 Document request for application ${application.applicationNumber} by ${req.admin.username}: ${email.status}`);
+
+    if (email.status === 'failed') {
+      return res.status(502).json({
+        success: false,
+        message: 'Failed to send document request email',
+        code: 'EMAIL_SEND_FAILED',
+        data: { email }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Document request sent successfully',
+      data: { email }
+    });
+
+  } catch (error) {
+    console.error('Document request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send document request',
+      code: 'DOCUMENT_REQUEST_ERROR'
+    });
+  }
+});
+
+// PUT /api/applications/:id/waitlist-position - Move an applicant within the waitlist (admin only)
+router.put('/:id/waitlist-position', verifyToken, [
+  param('id').isMongoId().withMessage('Invalid application ID'),
+  body('position').isInt({ min: 1 }).toInt().withMessage('Position must be a positive whole number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const application = await Application.findById(req.params.id);
+
+    if (!application || application.status !== 'waitlisted') {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlisted application not found',
+        code: 'APPLICATION_NOT_FOUND'
+      });
+    }
+
+    const waitlist = await Application.getWaitlist({
+      program: application.program,
+      intakeYear: application.intakeYear
+    }).select('_id');
+
+    const ids = waitlist.map(entry => entry._id.toString()).filter(id => id !== application._id.toString());
+    const position = Math.min(req.body.position, ids.length + 1);
+    ids.splice(position - 1, 0, application._id.toString());
+
+    await Application.bulkWrite(ids.map((id, index) => ({
+      updateOne: {
+        filter: { _id: id },
+        update: { $set: { waitlistRank: index + 1 } }
+      }
+    })));
+
+    await application.addNote(`Waitlist position set to ${position}`, req.admin._id);
+
+    console.log(`↕️ Application ${application.applicationNumber} moved to waitlist position ${position} by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: 'Waitlist position updated successfully',
+      data: {
+        position
+      }
+    });
+
+  } catch (error) {
+    console.error('Waitlist position error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update waitlist position',
+      code: 'WAITLIST_POSITION_ERROR'
+    });
+  }
+});
+
+// GET /api/applications/:id/duplicates - Get applications that look like the same child (admin only)
+router.get('/:id/duplicates', verifyToken, [
+  param('id').isMongoId().withMessage('Invalid application ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const application = await Application.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+        code: 'APPLICATION_NOT_FOUND'
+      });
+    }
+
+    const matches = await findDuplicateCandidates(application);
+
+    res.json({
+      success: true,
+      message: 'Possible duplicates retrieved successfully',
+      data: {
+        duplicates: matches.map(({ candidate, match }) => ({
+          application: candidate,
+          score: match.score,
+          reasons: match.reasons
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Duplicate lookup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to look up possible duplicates',
+      code: 'DUPLICATE_LOOKUP_ERROR'
+    });
+  }
+});
+
+// POST /api/applications/:id/merge - Fold a duplicate application into this one (admin only)
+router.post('/:id/merge', verifyToken, mergeValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.params.id === req.body.duplicateId) {
+      return res.status(400).json({
+        success: false,
+        message: 'An application cannot be merged into itself',
+        code: 'INVALID_MERGE'
+      });
+    }
+
+    const [primary, duplicate] = await Promise.all([
+      Application.findById(req.params.id),
+      Application.findById(req.body.duplicateId)
+    ]);
+
+    if (!primary || !duplicate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+        code: 'APPLICATION_NOT_FOUND'
+      });
+    }
+
+    const merged = await mergeApplications(primary, duplicate, {
+      keepFields: req.body.keepFields,
+      performedBy: req.admin._id
+    });
+
+    console.log(`🔗 Application ${duplicate.applicationNumber} merged into ${primary.applicationNumber} by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: 'Applications merged successfully',
+      data: {
+        application: merged
+      }
+    });
+
+  } catch (error) {
+    console.error('Application merge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to merge applications',
+      code: 'APPLICATION_MERGE_ERROR'
+    });
+  }
+});
+
+// POST /api/applications/:id/letters - Regenerate the offer/regret letter for the current status (admin only)
+router.post('/:id/letters', verifyToken, letterValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const application = await Application.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+        code: 'APPLICATION_NOT_FOUND'
+      });
+    }
+
+    const letterType = LETTER_STATUSES[application.status];
+    if (!letterType) {
+      return res.status(409).json({
+        success: false,
+        message: `Letters are only issued for applications in: ${Object.keys(LETTER_STATUSES).join(', ')}`,
+        code: 'LETTER_NOT_AVAILABLE',
+        currentStatus: application.status
+      });
+    }
+
+    const { letter, error } = await issueDecisionLetter(application, letterType, {
+      fees: req.body.fees,
+      reportingDate: req.body.reportingDate,
+      performedBy: req.admin._id
+    });
+
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        ...(error.missingFields && { missingFields: error.missingFields })
+      });
+    }
+
+    const email = req.body.notifyParent !== false
+      ? await notifyDecisionLetter(application, letter)
+      : null;
+
+    console.log(`📄 ${letterType} letter for ${application.applicationNumber} regenerated by ${req.admin.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: email && email.status === 'failed'
+        ? 'Letter generated but the email could not be sent'
+        : 'Letter generated successfully',
+      data: {
+        letter: letter.document,
+        email
+      }
+    });
+
+  } catch (error) {
+    console.error('Letter generation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate letter',
+      code: 'LETTER_GENERATION_ERROR'
+    });
+  }
+});
+
+// GET /api/applications/:id/reviews - Get panel reviews and the aggregated score (admin only)
+router.get('/:id/reviews', verifyToken, [
+  param('id').isMongoId().withMessage('Invalid application ID')
+], async (req, res) => {
   try {
-    // Check validation errors
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -99,205 +3098,286 @@ router.post('/', createLimiter, createApplicationValidation, async (req, res) =>
       });
     }
 
-    // Check for duplicate email within last 30 days
-    const existingApp = await Application.findOne({
-      email: req.body.email,
-      createdAt: {
-        $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) // 30 days ago
+    const application = await Application.findById(req.params.id)
+      .select('applicationNumber reviews')
+      .populate('reviews.reviewer', 'username')
+      .populate('reviews.assignedBy', 'username');
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+        code: 'APPLICATION_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Application reviews retrieved successfully',
+      data: {
+        applicationNumber: application.applicationNumber,
+        reviews: application.reviews,
+        summary: application.reviewSummary
       }
     });
 
-    if (existingApp) {
-      return res.status(409).json({
+  } catch (error) {
+    console.error('Application reviews retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve application reviews',
+      code: 'REVIEWS_RETRIEVAL_ERROR'
+    });
+  }
+});
+
+// POST /api/applications/:id/reviewers - Assign admins to review an application (admin only)
+router.post('/:id/reviewers', verifyToken, assignReviewersValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'An application with this email already exists within the last 30 days',
-        code: 'DUPLICATE_APPLICATION'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Create application
-    const application = new Application({
-      ...req.body,
-      source: 'website'
-    });
+    const application = await Application.findById(req.params.id);
 
-    await application.save();
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+        code: 'APPLICATION_NOT_FOUND'
+      });
+    }
 
-    console.log(`📝 New application submitted: ${application.applicationNumber} - ${application.studentFullName}`);
+    const reviewerIds = [...new Set(req.body.reviewers)];
+    const reviewers = await Admin.find({ _id: { $in: reviewerIds }, isActive: true }).select('username');
 
-    res.status(201).json({
+    if (reviewers.length !== reviewerIds.length) {
+      const found = reviewers.map(reviewer => reviewer._id.toString());
+      return res.status(400).json({
+        success: false,
+        message: 'Reviewers must be active admins',
+        code: 'INVALID_REVIEWER',
+        details: {
+          invalidReviewers: reviewerIds.filter(id => !found.includes(id))
+        }
+      });
+    }
+
+    const assigned = await application.assignReviewers(reviewerIds, req.admin._id);
+
+    if (assigned.length > 0) {
+      console.log(`👥 ${assigned.length} reviewer(s) assigned to ${application.applicationNumber} by ${req.admin.username}`);
+    }
+
+    await application.populate('reviews.reviewer', 'username');
+
+    res.json({
       success: true,
-      message: 'Application submitted successfully',
+      message: assigned.length > 0 ? 'Reviewers assigned successfully' : 'Reviewers were already assigned',
       data: {
-        application: {
-          applicationNumber: application.applicationNumber,
-          studentFullName: application.studentFullName,
-          program: application.program,
-          status: application.status,
-          submittedAt: application.createdAt
-        }
+        assigned,
+        reviews: application.reviews,
+        summary: application.reviewSummary
       }
     });
 
   } catch (error) {
-    console.error('Application creation error:', error);
+    console.error('Reviewer assignment error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to submit application',
-      code: 'APPLICATION_CREATION_ERROR'
+      message: 'Failed to assign reviewers',
+      code: 'REVIEWER_ASSIGNMENT_ERROR'
     });
   }
 });
 
-// GET /api/applications - Get all applications (admin only)
-router.get('/', verifyToken, async (req, res) => {
+// DELETE /api/applications/:id/reviewers/:reviewerId - Unassign a reviewer who has not reviewed yet (admin only)
+router.delete('/:id/reviewers/:reviewerId', verifyToken, [
+  param('id').isMongoId().withMessage('Invalid application ID'),
+  param('reviewerId').isMongoId().withMessage('Invalid reviewer ID')
+], async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 10,
-      status,
-      program,
-      search,
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
-    } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-    // Build filter object
-    const filter = {};
-    
-    if (status && status !== 'all') {
-      filter.status = status;
+    const application = await Application.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+        code: 'APPLICATION_NOT_FOUND'
+      });
     }
-    
-    if (program && program !== 'all') {
-      filter.program = program;
+
+    const review = application.getReview(req.params.reviewerId);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'This admin is not assigned to review the application',
+        code: 'REVIEWER_NOT_ASSIGNED'
+      });
     }
-    
-    if (search) {
-      filter.$or = [
-        { studentFirstName: { $regex: search, $options: 'i' } },
-        { studentLastName: { $regex: search, $options: 'i' } },
-        { parentFirstName: { $regex: search, $options: 'i' } },
-        { parentLastName: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } },
-        { applicationNumber: { $regex: search, $options: 'i' } }
-      ];
+
+    // Submitted scores are part of the aggregate and stay on record
+    if (review.submittedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'This reviewer has already submitted a review',
+        code: 'REVIEW_ALREADY_SUBMITTED'
+      });
     }
 
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
+    await application.unassignReviewer(req.params.reviewerId, req.admin._id);
 
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    console.log(`👥 Reviewer unassigned from ${application.applicationNumber} by ${req.admin.username}`);
 
-    // Execute query
-    const [applications, total] = await Promise.all([
-      Application.find(filter)
-        .populate('reviewedBy', 'username')
-        .sort(sort)
-        .skip(skip)
-        .limit(parseInt(limit)),
-      Application.countDocuments(filter)
-    ]);
+    res.json({
+      success: true,
+      message: 'Reviewer unassigned successfully'
+    });
 
-    // Calculate pagination info
-    const totalPages = Math.ceil(total / parseInt(limit));
-    const hasNext = page < totalPages;
-    const hasPrev = page > 1;
+  } catch (error) {
+    console.error('Reviewer unassignment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unassign reviewer',
+      code: 'REVIEWER_ASSIGNMENT_ERROR'
+    });
+  }
+});
+
+// PUT /api/applications/:id/review - Submit or update your own review (assigned reviewers only)
+router.put('/:id/review', verifyToken, reviewValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const application = await Application.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+        code: 'APPLICATION_NOT_FOUND'
+      });
+    }
+
+    if (!application.getReview(req.admin._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not assigned to review this application',
+        code: 'NOT_ASSIGNED_REVIEWER'
+      });
+    }
+
+    const { scores, recommendation, comment } = req.body;
+    const review = await application.submitReview(req.admin._id, { scores, recommendation, comment });
+
+    console.log(`⭐ Review of ${application.applicationNumber} submitted by ${req.admin.username}`);
 
     res.json({
       success: true,
-      message: 'Applications retrieved successfully',
+      message: 'Review submitted successfully',
       data: {
-        applications,
-        pagination: {
-          currentPage: parseInt(page),
-          totalPages,
-          totalItems: total,
-          itemsPerPage: parseInt(limit),
-          hasNext,
-          hasPrev
-        }
+        review,
+        summary: application.reviewSummary
       }
     });
 
   } catch (error) {
-    console.error('Applications retrieval error:', error);
+    console.error('Review submission error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to retrieve applications',
-      code: 'APPLICATIONS_RETRIEVAL_ERROR'
+      message: 'Failed to submit review',
+      code: 'REVIEW_SUBMISSION_ERROR'
     });
   }
 });
 
-// GET /api/applications/stats - Get application statistics (admin only)
-router.get('/stats', verifyToken, async (req, res) => {
+// PUT /api/applications/:id/eligibility - Clear an age-eligibility flag after manual review (admin only)
+router.put('/:id/eligibility', verifyToken, [
+  param('id').isMongoId().withMessage('Invalid application ID'),
+  body('note')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('A note explaining the decision is required (max 1000 characters)')
+], async (req, res) => {
   try {
-    const [
-      totalApplications,
-      pendingApplications,
-      reviewApplications,
-      approvedApplications,
-      rejectedApplications,
-      recentApplications,
-      programStats,
-      monthlyStats
-    ] = await Promise.all([
-      Application.countDocuments(),
-      Application.countDocuments({ status: 'pending' }),
-      Application.countDocuments({ status: 'review' }),
-      Application.countDocuments({ status: 'approved' }),
-      Application.countDocuments({ status: 'rejected' }),
-      Application.find().sort({ createdAt: -1 }).limit(5),
-      Application.aggregate([
-        { $group: { _id: '$program', count: { $sum: 1 } } }
-      ]),
-      Application.aggregate([
-        {
-          $group: {
-            _id: { 
-              year: { $year: '$createdAt' },
-              month: { $month: '$createdAt' }
-            },
-            count: { $sum: 1 }
-          }
-        },
-        { $sort: { '_id.year': -1, '_id.month': -1 } },
-        { $limit: 12 }
-      ])
-    ]);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const application = await Application.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+        code: 'APPLICATION_NOT_FOUND'
+      });
+    }
+
+    if (!application.eligibility || application.eligibility.status !== 'flagged') {
+      return res.status(409).json({
+        success: false,
+        message: 'This application is not flagged for age review',
+        code: 'ELIGIBILITY_NOT_FLAGGED'
+      });
+    }
+
+    application.eligibility.status = 'cleared';
+    application.eligibility.clearedBy = req.admin._id;
+    application.eligibility.clearedAt = new Date();
+    await application.save();
+
+    await application.addNote(`Age review cleared: ${req.body.note}`, req.admin._id);
+
+    console.log(`🎂 Age flag on ${application.applicationNumber} cleared by ${req.admin.username}`);
 
     res.json({
       success: true,
-      message: 'Application statistics retrieved successfully',
+      message: 'Age review cleared successfully',
       data: {
-        overview: {
-          total: totalApplications,
-          pending: pendingApplications,
-          review: reviewApplications,
-          approved: approvedApplications,
-          rejected: rejectedApplications
-        },
-        recentApplications,
-        programStats,
-        monthlyStats
+        eligibility: application.eligibility
       }
     });
 
   } catch (error) {
-    console.error('Application stats error:', error);
+    console.error('Eligibility clearance error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to retrieve application statistics',
-      code: 'STATS_RETRIEVAL_ERROR'
+      message: 'Failed to clear age review',
+      code: 'ELIGIBILITY_UPDATE_ERROR'
     });
   }
 });
 
-// GET /api/applications/:id - Get specific application (admin only)
-router.get('/:id', verifyToken, [
+// GET /api/applications/:id/transitions - Get allowed next statuses (admin only)
+router.get('/:id/transitions', verifyToken, [
   param('id').isMongoId().withMessage('Invalid application ID')
 ], async (req, res) => {
   try {
@@ -310,8 +3390,7 @@ router.get('/:id', verifyToken, [
       });
     }
 
-    const application = await Application.findById(req.params.id)
-      .populate('reviewedBy', 'username');
+    const application = await Application.findById(req.params.id).select('status applicationNumber');
 
     if (!application) {
       return res.status(404).json({
@@ -323,18 +3402,19 @@ router.get('/:id', verifyToken, [
 
     res.json({
       success: true,
-      message: 'Application retrieved successfully',
+      message: 'Allowed transitions retrieved successfully',
       data: {
-        application
+        currentStatus: application.status,
+        allowedTransitions: getAllowedTransitions(application.status)
       }
     });
 
   } catch (error) {
-    console.error('Application retrieval error:', error);
+    console.error('Application transitions error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to retrieve application',
-      code: 'APPLICATION_RETRIEVAL_ERROR'
+      message: 'Failed to retrieve allowed transitions',
+      code: 'TRANSITIONS_RETRIEVAL_ERROR'
     });
   }
 });
@@ -351,7 +3431,7 @@ router.put('/:id/status', verifyToken, updateStatusValidation, async (req, res)
       });
     }
 
-    const { status, reviewNotes } = req.body;
+    const { status, reviewNotes, interviewDate, fees, reportingDate } = req.body;
 
     const application = await Application.findById(req.params.id);
     
@@ -363,17 +3443,62 @@ router.put('/:id/status', verifyToken, updateStatusValidation, async (req, res)
       });
     }
 
-    // Update application status
-    await application.updateStatus(status, reviewNotes, req.admin._id);
+    // Waitlist instead of making an offer once the program is full
+    let targetStatus = status;
+    let targetNotes = reviewNotes;
+    if (status === 'offer-made' && !(await hasSeatAvailable(application))) {
+      if (!canTransition(application.status, 'waitlisted')) {
+        return res.status(409).json({
+          success: false,
+          message: 'No seats remaining for this program and intake',
+          code: 'NO_SEATS_AVAILABLE',
+          currentStatus: application.status
+        });
+      }
+      targetStatus = 'waitlisted';
+      targetNotes = reviewNotes || 'Automatically waitlisted: program capacity reached';
+    }
+
+    // Update application status (rejects transitions the pipeline does not allow)
+    try {
+      await application.updateStatus(targetStatus, { reviewNotes: targetNotes, interviewDate }, req.admin._id);
+    } catch (transitionError) {
+      if (transitionError.isTransitionError) {
+        return res.status(transitionError.status).json({
+          success: false,
+          message: transitionError.message,
+          code: transitionError.code,
+          currentStatus: application.status,
+          ...(transitionError.allowedTransitions && { allowedTransitions: transitionError.allowedTransitions }),
+          ...(transitionError.missingFields && { missingFields: transitionError.missingFields })
+        });
+      }
+      throw transitionError;
+    }
+
+    console.log(`📊 Application ${application.applicationNumber} status updated to ${targetStatus} by ${req.admin.username}`);
 
-    console.log(`📊 Application ${application.applicationNumber} status updated to ${status} by ${req.admin.username}`);
+    // Offers and rejections get a PDF letter; email the parent unless the admin opted out
+    const decision = await sendDecision(application, {
+      generateLetter: req.body.generateLetter !== false,
+      notifyParent: req.body.notifyParent !== false,
+      fees,
+      reportingDate,
+      performedBy: req.admin._id
+    });
+
+    const autoWaitlisted = targetStatus !== status;
 
     res.json({
       success: true,
-      message: 'Application status updated successfully',
+      message: autoWaitlisted
+        ? 'Program is at capacity; application was waitlisted'
+        : 'Application status updated successfully',
       data: {
         application: await Application.findById(req.params.id)
-          .populate('reviewedBy', 'username')
+          .populate('reviewedBy', 'username'),
+        autoWaitlisted,
+        ...decision
       }
     });
 
@@ -413,6 +3538,12 @@ router.delete('/:id', verifyToken, requireRole('super_admin'), [
 
     await Application.findByIdAndDelete(req.params.id);
 
+    // Free the places held by its interview/assessment appointments
+    const cancelled = await Appointment.cancelActiveForApplication(application._id);
+    if (cancelled.length > 0) {
+      console.log(`🚫 ${cancelled.length} appointment(s) cancelled for deleted application ${application.applicationNumber}`);
+    }
+
     console.log(`🗑️ Application ${application.applicationNumber} deleted by ${req.admin.username}`);
 
     res.json({
@@ -0,0 +1,961 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, param, query, validationResult } = require('express-validator');
+const AssessmentSlot = require('../models/AssessmentSlot');
+const Appointment = require('../models/Appointment');
+const Application = require('../models/Application');
+const ApplicationHistory = require('../models/ApplicationHistory');
+const { verifyToken } = require('../middleware/auth');
+const { notifyAssessmentScheduled } = require('../utils/applicationNotifications');
+
+const router = express.Router();
+
+// Parents may move their appointment this many times
+const MAX_RESCHEDULES = 2;
+
+// Rate limiting for public appointment links
+const publicLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // limit each IP to 30 requests per 15 minutes
+  message: {
+    success: false,
+    message: 'Too many requests, please try again later.',
+    code: 'APPOINTMENT_RATE_LIMIT_EXCEEDED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Validation rules
+const slotFieldValidation = [
+  body('type')
+    .optional()
+    .isIn(['interview', 'assessment'])
+    .withMessage('Type must be interview or assessment'),
+  body('programs')
+    .optional()
+    .isArray()
+    .withMessage('Programs must be an array'),
+  body('programs.*')
+    .isIn(['playgroup', 'nursery', 'pre-primary', 'primary'])
+    .withMessage('Program must be playgroup, nursery, pre-primary, or primary'),
+  body('location')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Location cannot exceed 100 characters'),
+  body('capacity')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .toInt()
+    .withMessage('Capacity must be between 1 and 100'),
+  body('assessor')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid assessor ID'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+const slotValidation = [
+  body('startsAt')
+    .isISO8601()
+    .toDate()
+    .withMessage('Start time must be a valid date'),
+  body('endsAt')
+    .isISO8601()
+    .toDate()
+    .withMessage('End time must be a valid date'),
+  ...slotFieldValidation
+];
+
+const updateSlotValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid slot ID'),
+  body('startsAt')
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage('Start time must be a valid date'),
+  body('endsAt')
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage('End time must be a valid date'),
+  ...slotFieldValidation,
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('Active status must be a boolean')
+];
+
+const scheduleValidation = [
+  body('applicationId')
+    .isMongoId()
+    .withMessage('Invalid application ID'),
+  body('slotId')
+    .isMongoId()
+    .withMessage('Invalid slot ID')
+];
+
+const outcomeValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid appointment ID'),
+  body('outcome')
+    .isIn(['pass', 'borderline', 'fail', 'absent'])
+    .withMessage('Outcome must be pass, borderline, fail, or absent'),
+  body('scores')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Scores must be an array'),
+  body('scores.*.criterion')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each score needs a criterion of up to 50 characters'),
+  body('scores.*.score')
+    .isFloat({ min: 0 })
+    .toFloat()
+    .withMessage('Each score must be a positive number'),
+  body('scores.*.maxScore')
+    .isFloat({ min: 1 })
+    .toFloat()
+    .withMessage('Each maximum score must be at least 1'),
+  body('scores')
+    .optional()
+    .custom((scores) => scores.every(entry => entry.score <= entry.maxScore))
+    .withMessage('A score cannot exceed its maximum'),
+  body('assessor')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid assessor ID'),
+  body('comments')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Comments cannot exceed 1000 characters')
+];
+
+// Move an appointment to another slot, issuing a new parent link token
+const moveAppointment = async (appointment, slotId, application) => {
+  const targetSlot = await AssessmentSlot.findById(slotId);
+
+  if (!targetSlot || (targetSlot.programs.length > 0 && !targetSlot.programs.includes(application.program))) {
+    return { error: { status: 400, message: 'This slot is not available for the application program', code: 'SLOT_PROGRAM_MISMATCH' } };
+  }
+
+  const newSlot = await AssessmentSlot.reserve(slotId);
+  if (!newSlot) {
+    return { error: { status: 409, message: 'The selected slot is full or no longer available', code: 'SLOT_UNAVAILABLE' } };
+  }
+
+  const previousSlotId = appointment.slot;
+  appointment.slot = newSlot._id;
+  appointment.status = 'scheduled';
+  appointment.confirmedAt = undefined;
+  const token = appointment.generateToken();
+
+  try {
+    await appointment.save();
+  } catch (error) {
+    await AssessmentSlot.release(newSlot._id);
+    throw error;
+  }
+
+  await AssessmentSlot.release(previousSlotId);
+
+  application.interviewDate = newSlot.startsAt;
+  await application.save();
+
+  return { slot: newSlot, token };
+};
+
+// POST /api/assessments/slots - Publish an interview/assessment slot (admin only)
+router.post('/slots', verifyToken, slotValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const slot = new AssessmentSlot({
+      type: req.body.type,
+      programs: req.body.programs,
+      startsAt: req.body.startsAt,
+      endsAt: req.body.endsAt,
+      location: req.body.location,
+      capacity: req.body.capacity,
+      assessor: req.body.assessor,
+      notes: req.body.notes,
+      createdBy: req.admin._id
+    });
+
+    await slot.save();
+
+    console.log(`🗓️ Assessment slot published for ${slot.startsAt.toISOString()} by ${req.admin.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Slot created successfully',
+      data: {
+        slot
+      }
+    });
+
+  } catch (error) {
+    console.error('Slot creation error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create slot',
+      code: 'SLOT_CREATION_ERROR'
+    });
+  }
+});
+
+// GET /api/assessments/slots - Get slots (admin only)
+router.get('/slots', verifyToken, [
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { from, to, program, type, available } = req.query;
+
+    let slots;
+    if (available === 'true') {
+      slots = await AssessmentSlot.getAvailable({ program, type })
+        .populate('assessor', 'username');
+    } else {
+      const filter = {};
+      if (from || to) {
+        filter.startsAt = {};
+        if (from) filter.startsAt.$gte = new Date(from);
+        if (to) filter.startsAt.$lte = new Date(to);
+      }
+      if (program && program !== 'all') filter.programs = program;
+      if (type && type !== 'all') filter.type = type;
+
+      slots = await AssessmentSlot.find(filter)
+        .sort({ startsAt: 1 })
+        .populate('assessor', 'username');
+    }
+
+    res.json({
+      success: true,
+      message: 'Slots retrieved successfully',
+      data: {
+        slots
+      }
+    });
+
+  } catch (error) {
+    console.error('Slots retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve slots',
+      code: 'SLOTS_RETRIEVAL_ERROR'
+    });
+  }
+});
+
+// PUT /api/assessments/slots/:id - Update a slot (admin only)
+router.put('/slots/:id', verifyToken, updateSlotValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const slot = await AssessmentSlot.findById(req.params.id);
+
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Slot not found',
+        code: 'SLOT_NOT_FOUND'
+      });
+    }
+
+    if (req.body.capacity !== undefined && req.body.capacity < slot.bookedCount) {
+      return res.status(409).json({
+        success: false,
+        message: `Capacity cannot be lower than the ${slot.bookedCount} place(s) already booked`,
+        code: 'CAPACITY_BELOW_BOOKINGS'
+      });
+    }
+
+    const allowedFields = ['type', 'programs', 'startsAt', 'endsAt', 'location', 'capacity', 'assessor', 'notes', 'isActive'];
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        slot[field] = req.body[field];
+      }
+    });
+
+    await slot.save();
+
+    console.log(`📝 Assessment slot ${slot._id} updated by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: 'Slot updated successfully',
+      data: {
+        slot
+      }
+    });
+
+  } catch (error) {
+    console.error('Slot update error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update slot',
+      code: 'SLOT_UPDATE_ERROR'
+    });
+  }
+});
+
+// DELETE /api/assessments/slots/:id - Delete an unbooked slot (admin only)
+router.delete('/slots/:id', verifyToken, [
+  param('id').isMongoId().withMessage('Invalid slot ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const slot = await AssessmentSlot.findById(req.params.id);
+
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Slot not found',
+        code: 'SLOT_NOT_FOUND'
+      });
+    }
+
+    if (slot.bookedCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Slot has bookings; deactivate it or move the appointments first',
+        code: 'SLOT_HAS_BOOKINGS'
+      });
+    }
+
+    await AssessmentSlot.findByIdAndDelete(req.params.id);
+
+    console.log(`🗑️ Assessment slot ${slot._id} deleted by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: 'Slot deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Slot deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete slot',
+      code: 'SLOT_DELETION_ERROR'
+    });
+  }
+});
+
+// POST /api/assessments/appointments - Schedule an applicant into a slot (admin only)
+router.post('/appointments', verifyToken, scheduleValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const application = await Application.findById(req.body.applicationId);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+        code: 'APPLICATION_NOT_FOUND'
+      });
+    }
+
+    if (!['under-review', 'interview-scheduled'].includes(application.status)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only applications under review can be scheduled',
+        code: 'INVALID_STATUS_TRANSITION',
+        currentStatus: application.status
+      });
+    }
+
+    if (await Appointment.getActiveForApplication(application._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This application already has an active appointment; reschedule it instead',
+        code: 'APPOINTMENT_EXISTS'
+      });
+    }
+
+    const targetSlot = await AssessmentSlot.findById(req.body.slotId);
+
+    if (!targetSlot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Slot not found',
+        code: 'SLOT_NOT_FOUND'
+      });
+    }
+
+    if (targetSlot.programs.length > 0 && !targetSlot.programs.includes(application.program)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This slot is not available for the application program',
+        code: 'SLOT_PROGRAM_MISMATCH'
+      });
+    }
+
+    const slot = await AssessmentSlot.reserve(targetSlot._id);
+
+    if (!slot) {
+      return res.status(409).json({
+        success: false,
+        message: 'The selected slot is full or no longer available',
+        code: 'SLOT_UNAVAILABLE'
+      });
+    }
+
+    const appointment = new Appointment({
+      application: application._id,
+      slot: slot._id,
+      scheduledBy: req.admin._id,
+      assessor: slot.assessor
+    });
+    const token = appointment.generateToken();
+
+    try {
+      await appointment.save();
+    } catch (saveError) {
+      await AssessmentSlot.release(slot._id);
+      throw saveError;
+    }
+
+    if (application.status === 'under-review') {
+      await application.updateStatus('interview-scheduled', { interviewDate: slot.startsAt }, req.admin._id);
+    } else {
+      application.interviewDate = slot.startsAt;
+      await application.save();
+    }
+
+    await ApplicationHistory.record(application, {
+      action: 'assessment',
+      note: `${slot.type} scheduled for ${slot.startsAt.toISOString()}`,
+      performedBy: req.admin._id
+    });
+
+    const email = await notifyAssessmentScheduled(application, slot, token);
+
+    console.log(`🗓️ Application ${application.applicationNumber} scheduled for ${slot.type} by ${req.admin.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Appointment scheduled successfully',
+      data: {
+        appointment,
+        slot,
+        email
+      }
+    });
+
+  } catch (error) {
+    console.error('Appointment scheduling error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to schedule appointment',
+      code: 'APPOINTMENT_SCHEDULING_ERROR'
+    });
+  }
+});
+
+// GET /api/assessments/appointments - Get appointments (admin only)
+router.get('/appointments', verifyToken, [
+  query('application').optional().isMongoId().withMessage('Invalid application ID'),
+  query('slot').optional().isMongoId().withMessage('Invalid slot ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { application, slot, status } = req.query;
+
+    const filter = {};
+    if (application) filter.application = application;
+    if (slot) filter.slot = slot;
+    if (status && status !== 'all') filter.status = status;
+
+    const appointments = await Appointment.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('application', 'applicationNumber studentFirstName studentLastName program status')
+      .populate('slot')
+      .populate('assessor', 'username')
+      .populate('recordedBy', 'username');
+
+    res.json({
+      success: true,
+      message: 'Appointments retrieved successfully',
+      data: {
+        appointments
+      }
+    });
+
+  } catch (error) {
+    console.error('Appointments retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve appointments',
+      code: 'APPOINTMENTS_RETRIEVAL_ERROR'
+    });
+  }
+});
+
+// PUT /api/assessments/appointments/:id/reschedule - Move an appointment to another slot (admin only)
+router.put('/appointments/:id/reschedule', verifyToken, [
+  param('id').isMongoId().withMessage('Invalid appointment ID'),
+  body('slotId').isMongoId().withMessage('Invalid slot ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment || !['scheduled', 'confirmed'].includes(appointment.status)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active appointment not found',
+        code: 'APPOINTMENT_NOT_FOUND'
+      });
+    }
+
+    const application = await Application.findById(appointment.application);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+        code: 'APPLICATION_NOT_FOUND'
+      });
+    }
+
+    const result = await moveAppointment(appointment, req.body.slotId, application);
+
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        message: result.error.message,
+        code: result.error.code
+      });
+    }
+
+    await ApplicationHistory.record(application, {
+      action: 'assessment',
+      note: `${result.slot.type} rescheduled to ${result.slot.startsAt.toISOString()}`,
+      performedBy: req.admin._id
+    });
+
+    const email = await notifyAssessmentScheduled(application, result.slot, result.token, true);
+
+    console.log(`🗓️ Appointment ${appointment._id} rescheduled by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: 'Appointment rescheduled successfully',
+      data: {
+        appointment,
+        slot: result.slot,
+        email
+      }
+    });
+
+  } catch (error) {
+    console.error('Appointment reschedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reschedule appointment',
+      code: 'APPOINTMENT_RESCHEDULE_ERROR'
+    });
+  }
+});
+
+// PUT /api/assessments/appointments/:id/cancel - Cancel an appointment and free its place (admin only)
+router.put('/appointments/:id/cancel', verifyToken, [
+  param('id').isMongoId().withMessage('Invalid appointment ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment || !['scheduled', 'confirmed'].includes(appointment.status)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active appointment not found',
+        code: 'APPOINTMENT_NOT_FOUND'
+      });
+    }
+
+    appointment.status = 'cancelled';
+    await appointment.save();
+    await AssessmentSlot.release(appointment.slot);
+
+    const application = await Application.findById(appointment.application);
+    if (application) {
+      await ApplicationHistory.record(application, {
+        action: 'assessment',
+        note: 'Appointment cancelled',
+        performedBy: req.admin._id
+      });
+    }
+
+    console.log(`🚫 Appointment ${appointment._id} cancelled by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: 'Appointment cancelled successfully',
+      data: {
+        appointment
+      }
+    });
+
+  } catch (error) {
+    console.error('Appointment cancellation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel appointment',
+      code: 'APPOINTMENT_CANCELLATION_ERROR'
+    });
+  }
+});
+
+// PUT /api/assessments/appointments/:id/outcome - Record assessor, scores and outcome (admin only)
+router.put('/appointments/:id/outcome', verifyToken, outcomeValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment || appointment.status === 'cancelled') {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found',
+        code: 'APPOINTMENT_NOT_FOUND'
+      });
+    }
+
+    // Check the application before writing anything, so the outcome is never saved without it
+    const application = await Application.findById(appointment.application);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+        code: 'APPLICATION_NOT_FOUND'
+      });
+    }
+
+    const { outcome, scores, comments } = req.body;
+
+    appointment.outcome = outcome;
+    appointment.scores = scores || [];
+    appointment.comments = comments;
+    appointment.assessor = req.body.assessor || appointment.assessor || req.admin._id;
+    appointment.recordedBy = req.admin._id;
+    appointment.recordedAt = new Date();
+    appointment.status = outcome === 'absent' ? 'no-show' : 'completed';
+    await appointment.save();
+
+    application.assessment = {
+      appointment: appointment._id,
+      outcome,
+      percentage: appointment.percentage,
+      recordedAt: appointment.recordedAt
+    };
+    await application.save();
+
+    await ApplicationHistory.record(application, {
+      action: 'assessment',
+      note: `Outcome recorded: ${outcome}${appointment.percentage !== null ? ` (${appointment.percentage}%)` : ''}`,
+      performedBy: req.admin._id
+    });
+
+    console.log(`📋 Assessment outcome for ${application.applicationNumber} recorded by ${req.admin.username}: ${outcome}`);
+
+    res.json({
+      success: true,
+      message: 'Assessment outcome recorded successfully',
+      data: {
+        appointment: await Appointment.findById(appointment._id)
+          .populate('assessor', 'username')
+          .populate('recordedBy', 'username')
+      }
+    });
+
+  } catch (error) {
+    console.error('Assessment outcome error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record assessment outcome',
+      code: 'ASSESSMENT_OUTCOME_ERROR'
+    });
+  }
+});
+
+// Load an open appointment from the parent's link token
+const loadAppointmentFromToken = async (req, res, next) => {
+  try {
+    const appointment = await Appointment.findByToken(req.params.token);
+    const slot = appointment && await AssessmentSlot.findById(appointment.slot);
+    const application = slot && await Application.findById(appointment.application);
+
+    if (!appointment || !slot || slot.startsAt <= new Date() || !application) {
+      return res.status(404).json({
+        success: false,
+        message: 'This appointment link is invalid or has expired',
+        code: 'APPOINTMENT_NOT_FOUND'
+      });
+    }
+
+    req.appointment = appointment;
+    req.slot = slot;
+    req.application = application;
+    next();
+  } catch (error) {
+    console.error('Appointment token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load appointment',
+      code: 'APPOINTMENT_RETRIEVAL_ERROR'
+    });
+  }
+};
+
+// GET /api/assessments/public/:token - View appointment and alternative slots (public)
+router.get('/public/:token', publicLimiter, loadAppointmentFromToken, async (req, res) => {
+  try {
+    const { appointment, slot, application } = req;
+    const canReschedule = appointment.rescheduleCount < MAX_RESCHEDULES;
+
+    const alternatives = canReschedule
+      ? (await AssessmentSlot.getAvailable({ program: application.program, type: slot.type }).limit(10))
+          .filter(option => !option._id.equals(slot._id))
+      : [];
+
+    res.json({
+      success: true,
+      message: 'Appointment retrieved successfully',
+      data: {
+        appointment: {
+          applicationNumber: application.applicationNumber,
+          studentFirstName: application.studentFirstName,
+          status: appointment.status,
+          type: slot.type,
+          startsAt: slot.startsAt,
+          endsAt: slot.endsAt,
+          location: slot.location,
+          canReschedule
+        },
+        alternatives: alternatives.map(option => ({
+          id: option._id,
+          startsAt: option.startsAt,
+          endsAt: option.endsAt,
+          location: option.location
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Public appointment retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve appointment',
+      code: 'APPOINTMENT_RETRIEVAL_ERROR'
+    });
+  }
+});
+
+// POST /api/assessments/public/:token/confirm - Confirm attendance (public)
+router.post('/public/:token/confirm', publicLimiter, loadAppointmentFromToken, async (req, res) => {
+  try {
+    const { appointment, application } = req;
+
+    if (appointment.status !== 'confirmed') {
+      appointment.status = 'confirmed';
+      appointment.confirmedAt = new Date();
+      await appointment.save();
+
+      await ApplicationHistory.record(application, {
+        action: 'assessment',
+        note: 'Parent confirmed attendance',
+        actorType: 'public',
+        ipAddress: req.ip
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Thank you. Your attendance is confirmed.',
+      data: {
+        status: appointment.status,
+        confirmedAt: appointment.confirmedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Appointment confirmation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm appointment',
+      code: 'APPOINTMENT_CONFIRMATION_ERROR'
+    });
+  }
+});
+
+// POST /api/assessments/public/:token/reschedule - Choose another slot (public)
+router.post('/public/:token/reschedule', publicLimiter, [
+  body('slotId').isMongoId().withMessage('Invalid slot ID')
+], loadAppointmentFromToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { appointment, application } = req;
+
+    if (appointment.rescheduleCount >= MAX_RESCHEDULES) {
+      return res.status(409).json({
+        success: false,
+        message: 'This appointment cannot be rescheduled again. Please contact the admissions office.',
+        code: 'RESCHEDULE_LIMIT_REACHED'
+      });
+    }
+
+    appointment.rescheduleCount += 1;
+    const result = await moveAppointment(appointment, req.body.slotId, application);
+
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        message: result.error.message,
+        code: result.error.code
+      });
+    }
+
+    await ApplicationHistory.record(application, {
+      action: 'assessment',
+      note: `Parent rescheduled ${result.slot.type} to ${result.slot.startsAt.toISOString()}`,
+      actorType: 'public',
+      ipAddress: req.ip
+    });
+
+    // The new link replaces the old one
+    await notifyAssessmentScheduled(application, result.slot, result.token, true);
+
+    res.json({
+      success: true,
+      message: 'Your appointment has been rescheduled. A new confirmation link has been emailed to you.',
+      data: {
+        startsAt: result.slot.startsAt,
+        endsAt: result.slot.endsAt,
+        location: result.slot.location
+      }
+    });
+
+  } catch (error) {
+    console.error('Public appointment reschedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reschedule appointment',
+      code: 'APPOINTMENT_RESCHEDULE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,358 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const ClassificationRule = require('../models/ClassificationRule');
+const { verifyToken } = require('../middleware/auth');
+const { MESSAGE_TYPES, MESSAGE_PRIORITIES, isValidKeyword, matchRules } = require('../utils/classification');
+
+const router = express.Router();
+
+// Validation rules
+const ruleFieldValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Rule name must be between 2 and 100 characters'),
+  body('keywords')
+    .optional()
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Keywords must be a list of 1 to 50 words or phrases'),
+  body('keywords.*')
+    .custom(keyword => isValidKeyword(keyword) && keyword.trim().length >= 2 && keyword.trim().length <= 50)
+    .withMessage('Each keyword must be 2 to 50 characters and contain letters or numbers')
+    .trim(),
+  body('messageType')
+    .optional({ values: 'null' })
+    .isIn(MESSAGE_TYPES)
+    .withMessage(`Message type must be one of: ${MESSAGE_TYPES.join(', ')}`),
+  body('priority')
+    .optional({ values: 'null' })
+    .isIn(MESSAGE_PRIORITIES)
+    .withMessage(`Priority must be one of: ${MESSAGE_PRIORITIES.join(', ')}`),
+  body('tags')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Tags must be a list of up to 10 tags'),
+  body('tags.*')
+    .custom(tag => typeof tag === 'string' && tag.trim().length >= 1 && tag.trim().length <= 20)
+    .withMessage('Each tag must be between 1 and 20 characters')
+    .trim(),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('Active status must be a boolean')
+];
+
+const ruleValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Rule name is required'),
+  body('keywords')
+    .exists()
+    .withMessage('Keywords are required'),
+  ...ruleFieldValidation
+];
+
+const updateRuleValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid rule ID'),
+  ...ruleFieldValidation
+];
+
+// Send the usual validation failure for a model validation error
+const sendValidationError = (res, error) => {
+  const errors = Object.values(error.errors).map(err => err.message);
+  return res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors
+  });
+};
+
+// GET /api/classification-rules - Get message classification rules (admin only)
+router.get('/', verifyToken, [
+  query('active').optional().isBoolean().withMessage('Active must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { active, search } = req.query;
+
+    const filter = {};
+    if (active !== undefined) filter.isActive = active === 'true';
+    if (search) {
+      filter.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { keywords: { $regex: search, $options: 'i' } },
+        { tags: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const rules = await ClassificationRule.find(filter)
+      .sort({ isActive: -1, name: 1 })
+      .populate('updatedBy', 'username');
+
+    res.json({
+      success: true,
+      message: 'Classification rules retrieved successfully',
+      data: {
+        rules
+      }
+    });
+
+  } catch (error) {
+    console.error('Classification rules retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve classification rules',
+      code: 'CLASSIFICATION_RULES_RETRIEVAL_ERROR'
+    });
+  }
+});
+
+// POST /api/classification-rules/test - Show what the active rules would suggest for a message (admin only)
+router.post('/test', verifyToken, [
+  body('subject')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Subject cannot exceed 100 characters'),
+  body('message')
+    .isString()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Message must be between 1 and 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rules = await ClassificationRule.getActive();
+    const suggestion = matchRules({ subject: req.body.subject, message: req.body.message }, rules);
+
+    res.json({
+      success: true,
+      message: suggestion ? 'Classification suggested' : 'No rule matched',
+      data: {
+        suggestion
+      }
+    });
+
+  } catch (error) {
+    console.error('Classification test error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to test classification rules',
+      code: 'CLASSIFICATION_TEST_ERROR'
+    });
+  }
+});
+
+// GET /api/classification-rules/:id - Get a classification rule (admin only)
+router.get('/:id', verifyToken, [
+  param('id').isMongoId().withMessage('Invalid rule ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await ClassificationRule.findById(req.params.id)
+      .populate('createdBy', 'username')
+      .populate('updatedBy', 'username');
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classification rule not found',
+        code: 'CLASSIFICATION_RULE_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Classification rule retrieved successfully',
+      data: {
+        rule
+      }
+    });
+
+  } catch (error) {
+    console.error('Classification rule retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve classification rule',
+      code: 'CLASSIFICATION_RULE_RETRIEVAL_ERROR'
+    });
+  }
+});
+
+// POST /api/classification-rules - Create a classification rule (admin only)
+router.post('/', verifyToken, ruleValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rule = new ClassificationRule({
+      name: req.body.name,
+      keywords: req.body.keywords,
+      messageType: req.body.messageType || undefined,
+      priority: req.body.priority || undefined,
+      tags: req.body.tags,
+      isActive: req.body.isActive,
+      createdBy: req.admin._id,
+      updatedBy: req.admin._id
+    });
+
+    await rule.save();
+
+    console.log(`🏷️ Classification rule "${rule.name}" created by ${req.admin.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Classification rule created successfully',
+      data: {
+        rule
+      }
+    });
+
+  } catch (error) {
+    console.error('Classification rule creation error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create classification rule',
+      code: 'CLASSIFICATION_RULE_CREATION_ERROR'
+    });
+  }
+});
+
+// PUT /api/classification-rules/:id - Update a classification rule; send null to stop suggesting a type or priority (admin only)
+router.put('/:id', verifyToken, updateRuleValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await ClassificationRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classification rule not found',
+        code: 'CLASSIFICATION_RULE_NOT_FOUND'
+      });
+    }
+
+    const allowedFields = ['name', 'keywords', 'messageType', 'priority', 'tags', 'isActive'];
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        rule[field] = req.body[field] === null ? undefined : req.body[field];
+      }
+    });
+    rule.updatedBy = req.admin._id;
+
+    await rule.save();
+
+    console.log(`📝 Classification rule "${rule.name}" updated by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: 'Classification rule updated successfully',
+      data: {
+        rule
+      }
+    });
+
+  } catch (error) {
+    console.error('Classification rule update error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update classification rule',
+      code: 'CLASSIFICATION_RULE_UPDATE_ERROR'
+    });
+  }
+});
+
+// DELETE /api/classification-rules/:id - Delete a classification rule (messages keep the record of what it suggested) (admin only)
+router.delete('/:id', verifyToken, [
+  param('id').isMongoId().withMessage('Invalid rule ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await ClassificationRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classification rule not found',
+        code: 'CLASSIFICATION_RULE_NOT_FOUND'
+      });
+    }
+
+    console.log(`🗑️ Classification rule "${rule.name}" deleted by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: 'Classification rule deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Classification rule deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete classification rule',
+      code: 'CLASSIFICATION_RULE_DELETION_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,18 @@
 const express = require('express');
+const { body, param, validationResult } = require('express-validator');
 const router = express.Router();
 const Contact = require('../models/Contact');
 const { validateContact } = require('../middleware/validation');
 const rateLimit = require('express-rate-limit');
 const { sendContactNotification, sendContactConfirmation } = require('../utils/email');
 const { verifyToken, requireRole } = require('../middleware/auth');
+const { EXPORT_FORMATS, resolveColumns, streamExport } = require('../utils/export');
+const { assignFamily } = require('../utils/families');
+const { deliverContactReply } = require('../utils/messageNotifications');
+const { REPLY_PLACEHOLDERS, isValidOverrides } = require('../utils/replyTemplates');
+const { buildContactReplyFields, renderReplyTemplate } = require('../utils/inquiryReplies');
+const { checkSpam, quarantineSpam } = require('../middleware/spamFilter');
+const { registerReleaseHandler } = require('../utils/quarantine');
 
 // Rate limiting for contact form submissions
 const contactLimiter = rateLimit({
@@ -16,53 +24,103 @@ const contactLimiter = rateLimit({
   }
 });
 
-// @route   POST /api/contact
-// @desc    Submit contact form
-// @access  Public
-router.post('/', contactLimiter, validateContact, async (req, res) => {
+// Build the filter shared by the admin list and export
+const buildContactFilter = ({ status, inquiryType, search }) => {
+  const filter = {};
+  
+  if (status && status !== 'all') {
+    filter.status = status;
+  }
+  
+  if (inquiryType && inquiryType !== 'all') {
+    filter.inquiryType = inquiryType;
+  }
+  
+  if (search) {
+    filter.$or = [
+      { name: { $regex: search, $options: 'i' } },
+      { email: { $regex: search, $options: 'i' } },
+      { message: { $regex: search, $options: 'i' } },
+      { phone: { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  return filter;
+};
+
+// Columns available to exports (`default: false` columns are included only when requested)
+const EXPORT_COLUMNS = [
+  { key: 'createdAt', header: 'Received At' },
+  { key: 'name', header: 'Name' },
+  { key: 'email', header: 'Email', width: 30 },
+  { key: 'phone', header: 'Phone' },
+  { key: 'inquiryType', header: 'Inquiry Type' },
+  { key: 'status', header: 'Status' },
+  { key: 'preferredProgram', header: 'Preferred Program' },
+  { key: 'childAge', header: 'Child Age' },
+  { key: 'preferredContactTime', header: 'Preferred Contact Time' },
+  { key: 'message', header: 'Message', width: 60 },
+  { key: 'notes', header: 'Notes', default: false, width: 40 },
+  { key: 'assignedTo', header: 'Assigned To', default: false },
+  { key: 'responseDate', header: 'Response Date', default: false },
+  { key: 'source', header: 'Source', default: false }
+];
+
+// Save a contact form submission and send the admin notification and sender confirmation
+const createContactSubmission = async (body) => {
+  const {
+    name,
+    email,
+    phone,
+    message,
+    inquiryType,
+    childAge,
+    preferredProgram,
+    preferredContactTime,
+    source
+  } = body;
+
+  // Create new contact submission
+  const contact = new Contact({
+    name,
+    email,
+    phone,
+    message,
+    inquiryType,
+    childAge,
+    preferredProgram,
+    preferredContactTime,
+    source: source || 'website'
+  });
+
+  await assignFamily(contact, { email, phone });
+  await contact.save();
+
+  // Send notification to admin
   try {
-    const {
-      name,
-      email,
-      phone,
-      message,
-      inquiryType,
-      childAge,
-      preferredProgram,
-      preferredContactTime,
-      source
-    } = req.body;
-
-    // Create new contact submission
-    const contact = new Contact({
-      name,
-      email,
-      phone,
-      message,
-      inquiryType,
-      childAge,
-      preferredProgram,
-      preferredContactTime,
-      source: source || 'website'
-    });
+    await sendContactNotification(contact);
+  } catch (emailError) {
+    console.error('Failed to send admin notification:', emailError);
+    // Don't fail the request if email fails
+  }
 
-    await contact.save();
+  // Send confirmation to user
+  try {
+    await sendContactConfirmation(contact);
+  } catch (emailError) {
+    console.error('Failed to send user confirmation:', emailError);
+    // Don't fail the request if email fails
+  }
 
-    // Send notification to admin
-    try {
-      await sendContactNotification(contact);
-    } catch (emailError) {
-      console.error('Failed to send admin notification:', emailError);
-      // Don't fail the request if email fails
-    }
+  return contact;
+};
 
-    // Send confirmation to user
-    try {
-      await sendContactConfirmation(contact);
-    } catch (emailError) {
-      console.error('Failed to send user confirmation:', emailError);
-      // Don't fail the request if email fails
-    }
+// @route   POST /api/contact
+// @desc    Submit contact form
+// @access  Public
+router.post('/', contactLimiter, checkSpam, validateContact, quarantineSpam('contact'), async (req, res) => {
+  try {
+    const contact = await createContactSubmission(req.body);
 
     res.status(201).json({
       success: true,
@@ -130,51 +188,67 @@ router.get('/programs', (req, res) => {
   });
 });
 
+// Check the fields a tour booking needs
+const requireTourFields = (req, res, next) => {
+  const { name, email, phone, preferredDate } = req.body;
+
+  if (!name || !email || !phone || !preferredDate) {
+    return res.status(400).json({
+      success: false,
+      message: 'Name, email, phone, and preferred date are required for tour booking.'
+    });
+  }
+
+  next();
+};
+
+// Save a tour booking as a contact submission and send the tour emails
+const createTourRequest = async (body) => {
+  const {
+    name,
+    email,
+    phone,
+    preferredDate,
+    preferredTime,
+    numberOfVisitors,
+    childAge,
+    additionalRequests
+  } = body;
+
+  // Create contact with tour-specific data
+  const contact = new Contact({
+    name,
+    email,
+    phone,
+    message: `Tour booking request for ${preferredDate} at ${preferredTime || 'flexible time'}. ${numberOfVisitors ? `Number of visitors: ${numberOfVisitors}. ` : ''}${childAge ? `Child age: ${childAge}. ` : ''}${additionalRequests ? `Additional requests: ${additionalRequests}` : ''}`,
+    inquiryType: 'tour',
+    childAge,
+    preferredContactTime: preferredTime || 'anytime',
+    source: 'website'
+  });
+
+  await assignFamily(contact, { email, phone });
+  await contact.save();
+
+  // Send notifications
+  try {
+    await sendContactNotification(contact, 'tour');
+    await sendContactConfirmation(contact, 'tour');
+  } catch (emailError) {
+    console.error('Failed to send tour booking emails:', emailError);
+  }
+
+  return contact;
+};
+
 // @route   POST /api/contact/tour
 // @desc    Book school tour (specific endpoint for tour requests)
 // @access  Public
-router.post('/tour', contactLimiter, async (req, res) => {
+router.post('/tour', contactLimiter, checkSpam, requireTourFields, quarantineSpam('tour'), async (req, res) => {
   try {
-    const {
-      name,
-      email,
-      phone,
-      preferredDate,
-      preferredTime,
-      numberOfVisitors,
-      childAge,
-      additionalRequests
-    } = req.body;
-
-    // Validation
-    if (!name || !email || !phone || !preferredDate) {
-      return res.status(400).json({
-        success: false,
-        message: 'Name, email, phone, and preferred date are required for tour booking.'
-      });
-    }
-
-    // Create contact with tour-specific data
-    const contact = new Contact({
-      name,
-      email,
-      phone,
-      message: `Tour booking request for ${preferredDate} at ${preferredTime || 'flexible time'}. ${numberOfVisitors ? `Number of visitors: ${numberOfVisitors}. ` : ''}${childAge ? `Child age: ${childAge}. ` : ''}${additionalRequests ? `Additional requests: ${additionalRequests}` : ''}`,
-      inquiryType: 'tour',
-      childAge,
-      preferredContactTime: preferredTime || 'anytime',
-      source: 'website'
-    });
+    const { preferredDate, preferredTime } = req.body;
 
-    await contact.save();
-
-    // Send notifications
-    try {
-      await sendContactNotification(contact, 'tour');
-      await sendContactConfirmation(contact, 'tour');
-    } catch (emailError) {
-      console.error('Failed to send tour booking emails:', emailError);
-    }
+    const contact = await createTourRequest(req.body);
 
     res.status(201).json({
       success: true,
@@ -196,6 +270,17 @@ router.post('/tour', contactLimiter, async (req, res) => {
   }
 });
 
+// Quarantined inquiries and tour bookings are created the same way once released
+registerReleaseHandler('contact', async (payload) => {
+  const contact = await createContactSubmission(payload);
+  return { record: { id: contact._id, reference: contact.name } };
+});
+
+registerReleaseHandler('tour', async (payload) => {
+  const contact = await createTourRequest(payload);
+  return { record: { id: contact._id, reference: contact.name } };
+});
+
 // Admin endpoints
 
 // @route   GET /api/contact/admin
@@ -214,24 +299,7 @@ router.get('/admin', verifyToken, async (req, res) => {
     } = req.query;
 
     // Build filter object
-    const filter = {};
-    
-    if (status && status !== 'all') {
-      filter.status = status;
-    }
-    
-    if (inquiryType && inquiryType !== 'all') {
-      filter.inquiryType = inquiryType;
-    }
-    
-    if (search) {
-      filter.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } },
-        { message: { $regex: search, $options: 'i' } },
-        { phone: { $regex: search, $options: 'i' } }
-      ];
-    }
+    const filter = buildContactFilter({ status, inquiryType, search });
 
     // Build sort object
     const sort = {};
@@ -280,6 +348,69 @@ router.get('/admin', verifyToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/contact/admin/export
+// @desc    Download the filtered contact submissions as CSV or XLSX (admin only)
+// @access  Private (Admin)
+router.get('/admin/export', verifyToken, async (req, res) => {
+  try {
+    const {
+      format = 'csv',
+      status,
+      inquiryType,
+      search,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`,
+        code: 'INVALID_EXPORT_FORMAT'
+      });
+    }
+
+    const { columns, error: columnError } = resolveColumns(EXPORT_COLUMNS, req.query.columns);
+    if (columnError) {
+      return res.status(columnError.status).json({
+        success: false,
+        message: columnError.message,
+        code: columnError.code,
+        availableColumns: columnError.availableColumns
+      });
+    }
+
+    const sort = {};
+    sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
+
+    const cursor = Contact.find(buildContactFilter({ status, inquiryType, search }))
+      .sort(sort)
+      .cursor();
+
+    const rowCount = await streamExport(res, {
+      cursor,
+      columns,
+      format,
+      filename: 'contacts',
+      sheetName: 'Contacts'
+    });
+
+    console.log(`📤 ${rowCount} contact submission(s) exported as ${format} by ${req.admin.username}`);
+
+  } catch (error) {
+    console.error('Contact export error:', error);
+
+    // The download has started, so the only signal left is a broken transfer
+    if (res.headersSent) return res.destroy(error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export contact submissions',
+      code: 'CONTACT_EXPORT_ERROR'
+    });
+  }
+});
+
 // @route   GET /api/contact/admin/stats
 // @desc    Get contact submission statistics (admin only)
 // @access  Private (Admin)
@@ -335,27 +466,43 @@ router.get('/admin/stats', verifyToken, async (req, res) => {
 });
 
 // @route   PUT /api/contact/admin/:id
-// @desc    Update contact submission status/notes (admin only)
+// @desc    Update contact submission status/notes, or email a reply typed or from a reply template (admin only)
 // @access  Private (Admin)
-router.put('/admin/:id', verifyToken, async (req, res) => {
+router.put('/admin/:id', verifyToken, [
+  param('id').isMongoId().withMessage('Invalid contact ID'),
+  body('templateId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid reply template ID'),
+  body('overrides')
+    .optional()
+    .isObject()
+    .custom(isValidOverrides)
+    .withMessage(`Overrides must map placeholders (${REPLY_PLACEHOLDERS.join(', ')}) to text of up to 200 characters`),
+  body('response')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('Response must be between 10 and 2000 characters'),
+  body('notifySender')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('Notify sender must be a boolean')
+], async (req, res) => {
   try {
-    const { id } = req.params;
-    const { status, notes, assignedTo } = req.body;
-
-    const updateData = {};
-    if (status) updateData.status = status;
-    if (notes !== undefined) updateData.notes = notes;
-    if (assignedTo !== undefined) updateData.assignedTo = assignedTo;
-    
-    if (status === 'contacted') {
-      updateData.responseDate = new Date();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
     }
 
-    const contact = await Contact.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true, runValidators: true }
-    );
+    const { status, notes, assignedTo, templateId, overrides, notifySender } = req.body;
+
+    const contact = await Contact.findById(req.params.id);
 
     if (!contact) {
       return res.status(404).json({
@@ -365,14 +512,78 @@ router.put('/admin/:id', verifyToken, async (req, res) => {
       });
     }
 
+    let response = req.body.response;
+    let template;
+    if (templateId) {
+      let error;
+      ({ template, text: response, error } = await renderReplyTemplate(templateId, buildContactReplyFields(contact), overrides));
+
+      if (error) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+          missingFields: error.missingFields
+        });
+      }
+    }
+
+    if (status) contact.status = status;
+    if (notes !== undefined) contact.notes = notes;
+    if (assignedTo !== undefined) contact.assignedTo = assignedTo;
+    
+    if (status === 'contacted') {
+      contact.responseDate = new Date();
+    }
+
+    // A reply counts as contacting them unless another status was given
+    if (response) {
+      contact.response = response;
+      contact.respondedBy = req.admin._id;
+      contact.responseDate = new Date();
+      if (!status) contact.status = 'contacted';
+    }
+
+    await contact.save();
+
+    let delivery;
+    if (response) {
+      if (template) await template.recordUse();
+      if (notifySender !== false) delivery = await deliverContactReply(contact);
+
+      console.log(`💬 Reply to contact ${contact._id} by ${req.admin.username}${delivery ? ` (email ${delivery.status})` : ''}`);
+    }
+
+    let message = 'Contact submission updated successfully';
+    if (delivery) {
+      message = delivery.status === 'sent'
+        ? 'Reply sent successfully'
+        : 'Reply saved, but the email could not be sent';
+    } else if (response) {
+      message = 'Reply saved successfully';
+    }
+
     res.json({
       success: true,
-      message: 'Contact submission updated successfully',
-      data: { contact }
+      message,
+      data: {
+        contact,
+        ...(response && { delivery: delivery || null })
+      }
     });
 
   } catch (error) {
     console.error('Contact update error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to update contact submission',
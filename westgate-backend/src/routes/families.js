@@ -0,0 +1,416 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Family = require('../models/Family');
+const Application = require('../models/Application');
+const ApplicationHistory = require('../models/ApplicationHistory');
+const Contact = require('../models/Contact');
+const Message = require('../models/Message');
+const Newsletter = require('../models/Newsletter');
+const { verifyToken } = require('../middleware/auth');
+const { linkApplicationToFamily } = require('../utils/families');
+
+const router = express.Router();
+
+// Records that can be linked to a family by hand
+const LINKABLE_MODELS = {
+  application: Application,
+  contact: Contact,
+  message: Message,
+  newsletter: Newsletter
+};
+
+// Validation rules
+const updateFamilyValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid family ID'),
+  body('familyName')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Family name must be between 2 and 100 characters'),
+  body('guardians')
+    .optional()
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Guardians must be a list of 1 to 10 people'),
+  body('guardians.*.email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid guardian email address'),
+  body('guardians.*.phone')
+    .optional()
+    .matches(/^[\+]?[0-9\s\-\(\)]{10,15}$/)
+    .withMessage('Please provide a valid guardian phone number'),
+  body('address')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Address cannot exceed 200 characters'),
+  body('city')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('City cannot exceed 50 characters'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+];
+
+const linkValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid family ID'),
+  body('type')
+    .isIn(Object.keys(LINKABLE_MODELS))
+    .withMessage(`Type must be one of: ${Object.keys(LINKABLE_MODELS).join(', ')}`),
+  body('recordId')
+    .isMongoId()
+    .withMessage('Invalid record ID')
+];
+
+// Build a single chronological timeline from everything linked to a family
+const buildTimeline = ({ applications, history, messages, contacts, subscriptions }) => {
+  const timeline = [];
+
+  history.forEach(entry => {
+    timeline.push({
+      type: 'application',
+      action: entry.action,
+      date: entry.createdAt,
+      applicationNumber: entry.applicationNumber,
+      fromStatus: entry.fromStatus,
+      toStatus: entry.toStatus,
+      note: entry.note,
+      performedBy: entry.performedBy ? entry.performedBy.username : null
+    });
+  });
+
+  applications.forEach(application => {
+    application.emailLog.forEach(email => {
+      timeline.push({
+        type: 'email',
+        action: email.status,
+        date: email.sentAt,
+        applicationNumber: application.applicationNumber,
+        template: email.template,
+        subject: email.subject
+      });
+    });
+  });
+
+  messages.forEach(message => {
+    timeline.push({ type: 'message', action: 'received', date: message.createdAt, id: message._id, subject: message.subject, status: message.status });
+    if (message.respondedAt) {
+      timeline.push({ type: 'message', action: 'responded', date: message.respondedAt, id: message._id, subject: message.subject });
+    }
+  });
+
+  contacts.forEach(contact => {
+    timeline.push({ type: 'contact', action: 'received', date: contact.createdAt, id: contact._id, inquiryType: contact.inquiryType, status: contact.status });
+  });
+
+  subscriptions.forEach(subscription => {
+    timeline.push({ type: 'newsletter', action: 'subscribed', date: subscription.subscriptionDate, email: subscription.email });
+    if (subscription.unsubscribeDate) {
+      timeline.push({ type: 'newsletter', action: 'unsubscribed', date: subscription.unsubscribeDate, email: subscription.email });
+    }
+  });
+
+  return timeline.sort((a, b) => new Date(b.date) - new Date(a.date));
+};
+
+// GET /api/families - Get families (admin only)
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, search } = req.query;
+
+    const filter = {};
+    if (search) {
+      filter.$or = [
+        { familyName: { $regex: search, $options: 'i' } },
+        { emails: { $regex: search, $options: 'i' } },
+        { 'guardians.firstName': { $regex: search, $options: 'i' } },
+        { 'guardians.lastName': { $regex: search, $options: 'i' } },
+        { 'guardians.phone': { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [families, total] = await Promise.all([
+      Family.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Family.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      message: 'Families retrieved successfully',
+      data: {
+        families,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalItems: total,
+          itemsPerPage: parseInt(limit),
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Families retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve families',
+      code: 'FAMILIES_RETRIEVAL_ERROR'
+    });
+  }
+});
+
+// GET /api/families/:id - Get a family with its linked applications (admin only)
+router.get('/:id', verifyToken, [
+  param('id').isMongoId().withMessage('Invalid family ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const family = await Family.findById(req.params.id);
+
+    if (!family) {
+      return res.status(404).json({
+        success: false,
+        message: 'Family not found',
+        code: 'FAMILY_NOT_FOUND'
+      });
+    }
+
+    const [applications, messageCount, contactCount, subscriptionCount] = await Promise.all([
+      Application.find({ family: family._id })
+        .select('applicationNumber studentFirstName studentLastName dateOfBirth program status hasSibling createdAt')
+        .sort({ createdAt: 1 }),
+      Message.countDocuments({ family: family._id }),
+      Contact.countDocuments({ family: family._id }),
+      Newsletter.countDocuments({ family: family._id })
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Family retrieved successfully',
+      data: {
+        family,
+        applications,
+        counts: {
+          applications: applications.length,
+          messages: messageCount,
+          contacts: contactCount,
+          subscriptions: subscriptionCount
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Family retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve family',
+      code: 'FAMILY_RETRIEVAL_ERROR'
+    });
+  }
+});
+
+// GET /api/families/:id/history - Get a family's complete interaction history (admin only)
+router.get('/:id/history', verifyToken, [
+  param('id').isMongoId().withMessage('Invalid family ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const family = await Family.findById(req.params.id);
+
+    if (!family) {
+      return res.status(404).json({
+        success: false,
+        message: 'Family not found',
+        code: 'FAMILY_NOT_FOUND'
+      });
+    }
+
+    const [applications, messages, contacts, subscriptions] = await Promise.all([
+      Application.find({ family: family._id })
+        .select('applicationNumber studentFirstName studentLastName program status emailLog mergedFrom createdAt')
+        .sort({ createdAt: 1 }),
+      Message.find({ family: family._id }).sort({ createdAt: -1 }),
+      Contact.find({ family: family._id }).sort({ createdAt: -1 }),
+      Newsletter.find({ family: family._id })
+    ]);
+
+    const history = await ApplicationHistory.getTimeline(
+      applications.flatMap(application => application.getHistoryIds())
+    );
+
+    res.json({
+      success: true,
+      message: 'Family history retrieved successfully',
+      data: {
+        family,
+        applications,
+        messages,
+        contacts,
+        subscriptions,
+        timeline: buildTimeline({ applications, history, messages, contacts, subscriptions })
+      }
+    });
+
+  } catch (error) {
+    console.error('Family history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve family history',
+      code: 'FAMILY_HISTORY_ERROR'
+    });
+  }
+});
+
+// PUT /api/families/:id - Update family details and guardians (admin only)
+router.put('/:id', verifyToken, updateFamilyValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const family = await Family.findById(req.params.id);
+
+    if (!family) {
+      return res.status(404).json({
+        success: false,
+        message: 'Family not found',
+        code: 'FAMILY_NOT_FOUND'
+      });
+    }
+
+    const allowedFields = ['familyName', 'guardians', 'address', 'city', 'notes'];
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        family[field] = req.body[field];
+      }
+    });
+
+    await family.save();
+
+    console.log(`👪 Family ${family.familyName} updated by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: 'Family updated successfully',
+      data: {
+        family
+      }
+    });
+
+  } catch (error) {
+    console.error('Family update error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update family',
+      code: 'FAMILY_UPDATE_ERROR'
+    });
+  }
+});
+
+// POST /api/families/:id/link - Link an application, contact, message or subscription to a family (admin only)
+router.post('/:id/link', verifyToken, linkValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type, recordId } = req.body;
+
+    const [family, record] = await Promise.all([
+      Family.findById(req.params.id),
+      LINKABLE_MODELS[type].findById(recordId)
+    ]);
+
+    if (!family || !record) {
+      return res.status(404).json({
+        success: false,
+        message: family ? 'Record not found' : 'Family not found',
+        code: family ? 'RECORD_NOT_FOUND' : 'FAMILY_NOT_FOUND'
+      });
+    }
+
+    // Applications also re-check siblings in their new family
+    if (type === 'application') {
+      if (!(await linkApplicationToFamily(record, family))) {
+        throw new Error(`Could not link application ${record.applicationNumber}`);
+      }
+    } else {
+      record.family = family._id;
+      await record.save();
+    }
+
+    console.log(`🔗 ${type} ${recordId} linked to family ${family.familyName} by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: 'Record linked to family successfully',
+      data: {
+        type,
+        record
+      }
+    });
+
+  } catch (error) {
+    console.error('Family link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to link record to family',
+      code: 'FAMILY_LINK_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,342 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const FormDefinition = require('../models/FormDefinition');
+const Application = require('../models/Application');
+const { verifyToken } = require('../middleware/auth');
+const { CUSTOM_FIELD_TYPES, OPTIONAL_CORE_FIELDS, CUSTOM_FIELD_KEY_PATTERN } = require('../utils/formDefinitions');
+
+const router = express.Router();
+
+const PROGRAMS = ['playgroup', 'nursery', 'pre-primary', 'primary'];
+
+// Validation rules
+const formFieldValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Form name must be between 2 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('fields')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Fields must be a list of at most 50 questions'),
+  body('fields.*.key')
+    .matches(CUSTOM_FIELD_KEY_PATTERN)
+    .withMessage('Field key must start with a letter and contain only letters, numbers and underscores'),
+  body('fields.*.label')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Field label must be between 1 and 200 characters'),
+  body('fields.*.type')
+    .isIn(CUSTOM_FIELD_TYPES)
+    .withMessage(`Field type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`),
+  body('fields.*.required')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('Field required flag must be a boolean'),
+  body('fields.*.options')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Field options must be a list'),
+  body('requiredCoreFields')
+    .optional()
+    .isArray()
+    .withMessage('Required core fields must be an array'),
+  body('requiredCoreFields.*')
+    .isIn(OPTIONAL_CORE_FIELDS)
+    .withMessage(`Required core fields must be among: ${OPTIONAL_CORE_FIELDS.join(', ')}`),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('Active status must be a boolean')
+];
+
+const formValidation = [
+  body('program')
+    .isIn(PROGRAMS)
+    .withMessage('Program must be playgroup, nursery, pre-primary, or primary'),
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Form name is required'),
+  ...formFieldValidation
+];
+
+const updateFormValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid form ID'),
+  ...formFieldValidation
+];
+
+// Respond to a save that clashes with the program's other active form
+const formExists = (res) => {
+  return res.status(409).json({
+    success: false,
+    message: 'This program already has an active form; deactivate it first',
+    code: 'FORM_EXISTS'
+  });
+};
+
+// GET /api/forms/program/:program - Get the active application form for a program (public)
+router.get('/program/:program', [
+  param('program').isIn(PROGRAMS).withMessage('Invalid program')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Programs without a form only ask the standard questions
+    const form = await FormDefinition.getActive(req.params.program)
+      .select('program name description fields requiredCoreFields version');
+
+    res.json({
+      success: true,
+      message: 'Application form retrieved successfully',
+      data: {
+        form
+      }
+    });
+
+  } catch (error) {
+    console.error('Application form retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve application form',
+      code: 'FORM_RETRIEVAL_ERROR'
+    });
+  }
+});
+
+// GET /api/forms - Get application forms (admin only)
+router.get('/', verifyToken, [
+  query('program').optional().isIn(PROGRAMS).withMessage('Invalid program')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = {};
+    if (req.query.program) filter.program = req.query.program;
+
+    const forms = await FormDefinition.find(filter)
+      .sort({ program: 1, isActive: -1, updatedAt: -1 })
+      .populate('updatedBy', 'username');
+
+    res.json({
+      success: true,
+      message: 'Application forms retrieved successfully',
+      data: {
+        forms,
+        fieldTypes: CUSTOM_FIELD_TYPES,
+        optionalCoreFields: OPTIONAL_CORE_FIELDS
+      }
+    });
+
+  } catch (error) {
+    console.error('Application forms retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve application forms',
+      code: 'FORMS_RETRIEVAL_ERROR'
+    });
+  }
+});
+
+// POST /api/forms - Create an application form for a program (admin only)
+router.post('/', verifyToken, formValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const form = new FormDefinition({
+      program: req.body.program,
+      name: req.body.name,
+      description: req.body.description,
+      fields: req.body.fields,
+      requiredCoreFields: req.body.requiredCoreFields,
+      isActive: req.body.isActive,
+      updatedBy: req.admin._id
+    });
+
+    await form.save();
+
+    console.log(`🧾 Application form "${form.name}" created for ${form.program} by ${req.admin.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Application form created successfully',
+      data: {
+        form
+      }
+    });
+
+  } catch (error) {
+    console.error('Application form creation error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    if (error.code === 11000) {
+      return formExists(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create application form',
+      code: 'FORM_CREATION_ERROR'
+    });
+  }
+});
+
+// PUT /api/forms/:id - Update an application form (admin only)
+router.put('/:id', verifyToken, updateFormValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const form = await FormDefinition.findById(req.params.id);
+
+    if (!form) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application form not found',
+        code: 'FORM_NOT_FOUND'
+      });
+    }
+
+    // The program is fixed once created; submitted answers keep the labels they were asked with
+    const allowedFields = ['name', 'description', 'fields', 'requiredCoreFields', 'isActive'];
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        form[field] = req.body[field];
+      }
+    });
+    form.updatedBy = req.admin._id;
+
+    await form.save();
+
+    console.log(`📝 Application form "${form.name}" (${form.program}) updated to version ${form.version} by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: 'Application form updated successfully',
+      data: {
+        form
+      }
+    });
+
+  } catch (error) {
+    console.error('Application form update error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    if (error.code === 11000) {
+      return formExists(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update application form',
+      code: 'FORM_UPDATE_ERROR'
+    });
+  }
+});
+
+// DELETE /api/forms/:id - Delete an application form no application has answered (admin only)
+router.delete('/:id', verifyToken, [
+  param('id').isMongoId().withMessage('Invalid form ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const form = await FormDefinition.findById(req.params.id);
+
+    if (!form) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application form not found',
+        code: 'FORM_NOT_FOUND'
+      });
+    }
+
+    const applicationCount = await Application.countDocuments({ formDefinition: form._id });
+    if (applicationCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${applicationCount} application(s) were submitted on this form; deactivate it instead`,
+        code: 'FORM_IN_USE'
+      });
+    }
+
+    await form.deleteOne();
+
+    console.log(`🗑️ Application form "${form.name}" (${form.program}) deleted by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: 'Application form deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Application form deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete application form',
+      code: 'FORM_DELETION_ERROR'
+    });
+  }
+});
+
+module.exports = router;
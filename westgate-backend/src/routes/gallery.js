@@ -4,6 +4,7 @@ const rateLimit = require('express-rate-limit');
 const { body, param, query, validationResult } = require('express-validator');
 const Gallery = require('../models/Gallery');
 const { verifyToken, requireRole } = require('../middleware/auth');
+const { handleUpload } = require('../middleware/upload');
 const { uploadImageWithSizes, deleteImage, generateImageUrls } = require('../config/cloudinary');
 
 const router = express.Router();
@@ -20,7 +21,10 @@ const upload = multer({
     if (file.mimetype.startsWith('image/')) {
       cb(null, true);
     } else {
-      cb(new Error('Only image files are allowed'), false);
+      const error = new Error('Only image files are allowed');
+      error.status = 400;
+      error.code = 'INVALID_FILE_TYPE';
+      cb(error, false);
     }
   }
 });
@@ -105,7 +109,7 @@ const updateImageValidation = [
 ];
 
 // POST /api/gallery - Upload new image (admin only)
-router.post('/', verifyToken, uploadLimiter, upload.single('image'), createImageValidation, async (req, res) => {
+router.post('/', verifyToken, uploadLimiter, handleUpload(upload.single('image'), { maxSize: '10MB' }), createImageValidation, async (req, res) => {
   try {
     // Check validation errors
     const errors = validationResult(req);
@@ -0,0 +1,359 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Intake = require('../models/Intake');
+const Application = require('../models/Application');
+const { verifyToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation rules
+const intakeFieldValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Intake name must be between 2 and 100 characters'),
+  body('academicYear')
+    .optional()
+    .trim()
+    .matches(/^\d{4}(\/\d{4})?$/)
+    .withMessage('Academic year must look like 2025 or 2025/2026'),
+  body('year')
+    .optional()
+    .isInt({ min: 2000, max: 2100 })
+    .toInt()
+    .withMessage('Intake year must be a valid year'),
+  body('startsOn')
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage('Start date must be a valid date'),
+  body('ageCutoffDate')
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage('Age cut-off date must be a valid date'),
+  body('opensAt')
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage('Opening date must be a valid date'),
+  body('closesAt')
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage('Closing date must be a valid date'),
+  body('programs')
+    .optional()
+    .isArray()
+    .withMessage('Programs must be an array'),
+  body('programs.*')
+    .isIn(['playgroup', 'nursery', 'pre-primary', 'primary'])
+    .withMessage('Program must be playgroup, nursery, pre-primary, or primary'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('Active status must be a boolean')
+];
+
+const intakeValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Intake name is required'),
+  body('code')
+    .trim()
+    .matches(/^[A-Za-z0-9-]{2,20}$/)
+    .withMessage('Intake code may only contain letters, numbers and dashes'),
+  body('academicYear')
+    .trim()
+    .notEmpty()
+    .withMessage('Academic year is required'),
+  body('year')
+    .isInt({ min: 2000, max: 2100 })
+    .withMessage('Intake year must be a valid year'),
+  body('opensAt')
+    .isISO8601()
+    .withMessage('Opening date must be a valid date'),
+  body('closesAt')
+    .isISO8601()
+    .withMessage('Closing date must be a valid date'),
+  ...intakeFieldValidation
+];
+
+const updateIntakeValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid intake ID'),
+  ...intakeFieldValidation
+];
+
+// GET /api/intakes/open - Get intakes accepting applications (public)
+router.get('/open', [
+  query('program').optional().isIn(['playgroup', 'nursery', 'pre-primary', 'primary']).withMessage('Invalid program')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const intakes = await Intake.getOpen({ program: req.query.program })
+      .select('name code academicYear year startsOn ageCutoffDate opensAt closesAt programs description');
+
+    res.json({
+      success: true,
+      message: 'Open intakes retrieved successfully',
+      data: {
+        intakes
+      }
+    });
+
+  } catch (error) {
+    console.error('Open intakes retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve open intakes',
+      code: 'INTAKES_RETRIEVAL_ERROR'
+    });
+  }
+});
+
+// GET /api/intakes - Get all intakes with application counts (admin only)
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.academicYear) filter.academicYear = req.query.academicYear;
+    if (req.query.active !== undefined) filter.isActive = req.query.active === 'true';
+
+    const [intakes, counts] = await Promise.all([
+      Intake.find(filter)
+        .sort({ opensAt: -1 })
+        .populate('createdBy', 'username'),
+      Application.aggregate([
+        { $match: { intake: { $ne: null } } },
+        { $group: { _id: '$intake', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Intakes retrieved successfully',
+      data: {
+        intakes: intakes.map(intake => {
+          const stat = counts.find(count => count._id.equals(intake._id));
+          return { ...intake.toJSON(), applicationCount: stat ? stat.count : 0 };
+        })
+      }
+    });
+
+  } catch (error) {
+    console.error('Intakes retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve intakes',
+      code: 'INTAKES_RETRIEVAL_ERROR'
+    });
+  }
+});
+
+// POST /api/intakes - Create an intake (admin only)
+router.post('/', verifyToken, intakeValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existing = await Intake.findOne({ code: req.body.code.toUpperCase() });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'An intake with this code already exists',
+        code: 'INTAKE_CODE_TAKEN'
+      });
+    }
+
+    const intake = new Intake({
+      name: req.body.name,
+      code: req.body.code,
+      academicYear: req.body.academicYear,
+      year: req.body.year,
+      startsOn: req.body.startsOn,
+      ageCutoffDate: req.body.ageCutoffDate,
+      opensAt: req.body.opensAt,
+      closesAt: req.body.closesAt,
+      programs: req.body.programs,
+      description: req.body.description,
+      isActive: req.body.isActive,
+      createdBy: req.admin._id
+    });
+
+    await intake.save();
+
+    console.log(`📅 Intake ${intake.code} created by ${req.admin.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Intake created successfully',
+      data: {
+        intake
+      }
+    });
+
+  } catch (error) {
+    console.error('Intake creation error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create intake',
+      code: 'INTAKE_CREATION_ERROR'
+    });
+  }
+});
+
+// PUT /api/intakes/:id - Update an intake (admin only)
+router.put('/:id', verifyToken, updateIntakeValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const intake = await Intake.findById(req.params.id);
+
+    if (!intake) {
+      return res.status(404).json({
+        success: false,
+        message: 'Intake not found',
+        code: 'INTAKE_NOT_FOUND'
+      });
+    }
+
+    // The code is the public identifier, so it is fixed once created
+    const allowedFields = ['name', 'academicYear', 'year', 'startsOn', 'ageCutoffDate', 'opensAt', 'closesAt', 'programs', 'description', 'isActive'];
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        intake[field] = req.body[field];
+      }
+    });
+
+    const yearChanged = intake.isModified('year');
+
+    await intake.save();
+
+    // Keep the mirrored year on attached applications in step
+    if (yearChanged) {
+      await Application.updateMany({ intake: intake._id }, { $set: { intakeYear: intake.year } });
+    }
+
+    console.log(`📝 Intake ${intake.code} updated by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: 'Intake updated successfully',
+      data: {
+        intake
+      }
+    });
+
+  } catch (error) {
+    console.error('Intake update error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update intake',
+      code: 'INTAKE_UPDATE_ERROR'
+    });
+  }
+});
+
+// DELETE /api/intakes/:id - Delete an intake with no applications (admin only)
+router.delete('/:id', verifyToken, [
+  param('id').isMongoId().withMessage('Invalid intake ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const intake = await Intake.findById(req.params.id);
+
+    if (!intake) {
+      return res.status(404).json({
+        success: false,
+        message: 'Intake not found',
+        code: 'INTAKE_NOT_FOUND'
+      });
+    }
+
+    const applicationCount = await Application.countDocuments({ intake: intake._id });
+    if (applicationCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `This intake has ${applicationCount} application(s); deactivate it instead`,
+        code: 'INTAKE_IN_USE'
+      });
+    }
+
+    await Intake.findByIdAndDelete(intake._id);
+
+    console.log(`🗑️ Intake ${intake.code} deleted by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: 'Intake deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Intake deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete intake',
+      code: 'INTAKE_DELETION_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,393 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const LetterTemplate = require('../models/LetterTemplate');
+const Application = require('../models/Application');
+const { verifyToken } = require('../middleware/auth');
+const { LETTER_PLACEHOLDERS } = require('../utils/letters');
+const { renderApplicationLetter } = require('../utils/applicationLetters');
+
+const router = express.Router();
+
+// Stand-in applicant for previews without a real application
+const SAMPLE_APPLICATION = {
+  applicationNumber: 'WG-SAMPLE-0001',
+  studentFirstName: 'Amani',
+  studentLastName: 'Wanjiru',
+  parentFirstName: 'Grace',
+  parentLastName: 'Wanjiru',
+  program: 'primary',
+  currentGrade: 'Grade 3'
+};
+
+// Validation rules
+const templateFieldValidation = [
+  body('program')
+    .optional()
+    .isIn(['', 'playgroup', 'nursery', 'pre-primary', 'primary'])
+    .withMessage('Program must be empty (all programs), playgroup, nursery, pre-primary, or primary'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Template name must be between 2 and 100 characters'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 150 })
+    .withMessage('Letter title must be between 2 and 150 characters'),
+  body('subject')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Email subject must be between 2 and 200 characters'),
+  body('body')
+    .optional()
+    .isLength({ min: 10, max: 10000 })
+    .withMessage('Letter body must be between 10 and 10000 characters'),
+  body('signatory')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Signatory cannot exceed 100 characters'),
+  body('fees')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .toFloat()
+    .withMessage('Fees must be a positive amount'),
+  body('reportingDate')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .toDate()
+    .withMessage('Reporting date must be a valid date'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('Active status must be a boolean')
+];
+
+const templateValidation = [
+  body('type')
+    .isIn(['offer', 'regret'])
+    .withMessage('Letter type must be offer or regret'),
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Template name is required'),
+  body('title')
+    .trim()
+    .notEmpty()
+    .withMessage('Letter title is required'),
+  body('subject')
+    .trim()
+    .notEmpty()
+    .withMessage('Email subject is required'),
+  body('body')
+    .notEmpty()
+    .withMessage('Letter body is required'),
+  ...templateFieldValidation
+];
+
+const updateTemplateValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid template ID'),
+  ...templateFieldValidation
+];
+
+const previewValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid template ID'),
+  body('applicationId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid application ID'),
+  body('fees')
+    .optional()
+    .isFloat({ min: 0 })
+    .toFloat()
+    .withMessage('Fees must be a positive amount'),
+  body('reportingDate')
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage('Reporting date must be a valid date')
+];
+
+// Respond to a save that clashes with another active template for the same type and program
+const templateExists = (res) => {
+  return res.status(409).json({
+    success: false,
+    message: 'An active template already exists for this letter type and program',
+    code: 'LETTER_TEMPLATE_EXISTS'
+  });
+};
+
+// GET /api/letter-templates - Get letter templates (admin only)
+router.get('/', verifyToken, [
+  query('type').optional().isIn(['offer', 'regret']).withMessage('Letter type must be offer or regret'),
+  query('program').optional().isIn(['', 'playgroup', 'nursery', 'pre-primary', 'primary']).withMessage('Invalid program')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type, program } = req.query;
+
+    const filter = {};
+    if (type) filter.type = type;
+    if (program !== undefined) filter.program = program;
+
+    const templates = await LetterTemplate.find(filter)
+      .sort({ type: 1, program: 1, isActive: -1 })
+      .populate('updatedBy', 'username');
+
+    res.json({
+      success: true,
+      message: 'Letter templates retrieved successfully',
+      data: {
+        templates,
+        placeholders: LETTER_PLACEHOLDERS
+      }
+    });
+
+  } catch (error) {
+    console.error('Letter templates retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve letter templates',
+      code: 'LETTER_TEMPLATES_RETRIEVAL_ERROR'
+    });
+  }
+});
+
+// POST /api/letter-templates - Create a letter template (admin only)
+router.post('/', verifyToken, templateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = new LetterTemplate({
+      type: req.body.type,
+      program: req.body.program,
+      name: req.body.name,
+      title: req.body.title,
+      subject: req.body.subject,
+      body: req.body.body,
+      signatory: req.body.signatory,
+      fees: req.body.fees,
+      reportingDate: req.body.reportingDate,
+      isActive: req.body.isActive,
+      updatedBy: req.admin._id
+    });
+
+    await template.save();
+
+    console.log(`📄 ${template.type} letter template "${template.name}" created by ${req.admin.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Letter template created successfully',
+      data: {
+        template
+      }
+    });
+
+  } catch (error) {
+    console.error('Letter template creation error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    if (error.code === 11000) {
+      return templateExists(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create letter template',
+      code: 'LETTER_TEMPLATE_CREATION_ERROR'
+    });
+  }
+});
+
+// PUT /api/letter-templates/:id - Update a letter template (admin only)
+router.put('/:id', verifyToken, updateTemplateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = await LetterTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Letter template not found',
+        code: 'LETTER_TEMPLATE_NOT_FOUND'
+      });
+    }
+
+    // The letter type is fixed once created
+    const allowedFields = ['program', 'name', 'title', 'subject', 'body', 'signatory', 'fees', 'reportingDate', 'isActive'];
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        template[field] = req.body[field];
+      }
+    });
+    template.updatedBy = req.admin._id;
+
+    await template.save();
+
+    console.log(`📝 ${template.type} letter template "${template.name}" updated by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: 'Letter template updated successfully',
+      data: {
+        template
+      }
+    });
+
+  } catch (error) {
+    console.error('Letter template update error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    if (error.code === 11000) {
+      return templateExists(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update letter template',
+      code: 'LETTER_TEMPLATE_UPDATE_ERROR'
+    });
+  }
+});
+
+// DELETE /api/letter-templates/:id - Delete a letter template (admin only)
+router.delete('/:id', verifyToken, [
+  param('id').isMongoId().withMessage('Invalid template ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = await LetterTemplate.findByIdAndDelete(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Letter template not found',
+        code: 'LETTER_TEMPLATE_NOT_FOUND'
+      });
+    }
+
+    console.log(`🗑️ ${template.type} letter template "${template.name}" deleted by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: 'Letter template deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Letter template deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete letter template',
+      code: 'LETTER_TEMPLATE_DELETION_ERROR'
+    });
+  }
+});
+
+// POST /api/letter-templates/:id/preview - Render a template as PDF without storing or sending it (admin only)
+router.post('/:id/preview', verifyToken, previewValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { applicationId, fees, reportingDate } = req.body;
+
+    const [template, application] = await Promise.all([
+      LetterTemplate.findById(req.params.id),
+      applicationId ? Application.findById(applicationId) : SAMPLE_APPLICATION
+    ]);
+
+    if (!template || !application) {
+      return res.status(404).json({
+        success: false,
+        message: template ? 'Application not found' : 'Letter template not found',
+        code: template ? 'APPLICATION_NOT_FOUND' : 'LETTER_TEMPLATE_NOT_FOUND'
+      });
+    }
+
+    const { letter, error } = await renderApplicationLetter(template, application, { fees, reportingDate });
+
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        missingFields: error.missingFields
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${letter.filename}"`);
+    res.send(letter.pdf);
+
+  } catch (error) {
+    console.error('Letter preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview letter',
+      code: 'LETTER_PREVIEW_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,20 @@
+const crypto = require('crypto');
 const express = require('express');
 const rateLimit = require('express-rate-limit');
 const { body, param, query, validationResult } = require('express-validator');
 const Message = require('../models/Message');
 const { verifyToken, requireRole } = require('../middleware/auth');
+const { EXPORT_FORMATS, resolveColumns, streamExport } = require('../utils/export');
+const { assignFamily } = require('../utils/families');
+const { deliverReply } = require('../utils/messageNotifications');
+const { ingestEmail } = require('../utils/inboundEmail');
+const { slaTargets } = require('../config/messageSla');
+const { REPLY_PLACEHOLDERS, isValidOverrides } = require('../utils/replyTemplates');
+const { buildMessageReplyFields, renderReplyTemplate } = require('../utils/inquiryReplies');
+const { MESSAGE_TYPES, MESSAGE_PRIORITIES } = require('../utils/classification');
+const { classifyMessage, recordClassification } = require('../utils/messageClassification');
+const { checkSpam, quarantineSpam } = require('../middleware/spamFilter');
+const { registerReleaseHandler } = require('../utils/quarantine');
 
 const router = express.Router();
 
@@ -19,6 +31,100 @@ const createLimiter = rateLimit({
   legacyHeaders: false
 });
 
+// Build the filter shared by the admin list and export
+const buildMessageFilter = ({ status, priority, messageType, delivery, sla, search }) => {
+  const filter = {};
+  
+  if (status && status !== 'all') {
+    filter.status = status;
+  }
+  
+  if (priority && priority !== 'all') {
+    filter.priority = priority;
+  }
+
+  if (messageType && messageType !== 'all') {
+    filter.messageType = messageType;
+  }
+
+  // Conversations with a reply that still needs sending
+  if (delivery === 'failed') {
+    filter['thread.delivery.status'] = 'failed';
+  }
+
+  // Senders still waiting for a reply, or only those past the deadline
+  if (sla === 'pending') {
+    filter['sla.dueAt'] = { $ne: null };
+  } else if (sla === 'breached') {
+    filter['sla.dueAt'] = { $lte: new Date() };
+  }
+  
+  if (search) {
+    filter.$or = [
+      { firstName: { $regex: search, $options: 'i' } },
+      { lastName: { $regex: search, $options: 'i' } },
+      { email: { $regex: search, $options: 'i' } },
+      { subject: { $regex: search, $options: 'i' } },
+      { message: { $regex: search, $options: 'i' } },
+      { 'thread.body': { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  return filter;
+};
+
+// Add an admin reply to the thread and email it to the sender unless told not to
+// Returns the reply and its delivery (null when not emailed)
+const replyToMessage = async (message, response, admin, notifySender = true) => {
+  await message.respond(response, admin._id);
+  const reply = message.thread[message.thread.length - 1];
+  const delivery = notifySender ? await deliverReply(message, reply) : null;
+
+  console.log(`💬 Response sent to message ${message._id} by ${admin.username}${delivery ? ` (email ${delivery.status})` : ''}`);
+
+  return { reply, delivery };
+};
+
+// Summarise a reply's delivery for the response message
+const deliveryMessage = (delivery) => {
+  if (!delivery) return 'Response saved successfully';
+  if (delivery.status === 'sent') return 'Response sent successfully';
+  return 'Response saved, but the email could not be sent; retry it from the conversation';
+};
+
+// Columns available to exports (`default: false` columns are included only when requested)
+const EXPORT_COLUMNS = [
+  { key: 'createdAt', header: 'Received At' },
+  { key: 'firstName', header: 'First Name' },
+  { key: 'lastName', header: 'Last Name' },
+  { key: 'email', header: 'Email', width: 30 },
+  { key: 'phone', header: 'Phone' },
+  { key: 'messageType', header: 'Type' },
+  { key: 'status', header: 'Status' },
+  { key: 'priority', header: 'Priority' },
+  { key: 'subject', header: 'Subject', width: 40 },
+  { key: 'message', header: 'Message', width: 60 },
+  { key: 'response', header: 'Response', default: false, width: 60 },
+  { key: 'respondedBy', header: 'Responded By', default: false, value: doc => (doc.respondedBy ? doc.respondedBy.username : '') },
+  { key: 'respondedAt', header: 'Responded At', default: false },
+  { key: 'lastActivityAt', header: 'Last Activity', default: false },
+  { key: 'unsentReplies', header: 'Unsent Replies', default: false, value: doc => doc.thread
+    .filter(entry => entry.delivery && entry.delivery.status === 'failed').length },
+  { key: 'thread', header: 'Conversation', default: false, width: 80, value: doc => doc.thread
+    .filter(entry => entry.type !== 'note')
+    .map(entry => `[${entry.type === 'reply' ? 'School' : 'Sender'}] ${entry.body}`)
+    .join('\n') },
+  { key: 'slaDueAt', header: 'Reply Due', default: false, value: doc => doc.sla.dueAt },
+  { key: 'slaBreachedAt', header: 'SLA Breached', default: false, value: doc => doc.sla.breachedAt },
+  { key: 'followUpRequired', header: 'Follow-up Required', default: false },
+  { key: 'followUpDate', header: 'Follow-up Date', default: false },
+  { key: 'tags', header: 'Tags', default: false, value: doc => doc.tags.join(', ') },
+  { key: 'senderType', header: 'Type Chosen by Sender', default: false, value: doc => doc.classification.senderType },
+  { key: 'classifiedBy', header: 'Classification Rules', default: false, value: doc => doc.classification.matches
+    .map(match => match.name).join(', ') },
+  { key: 'source', header: 'Source', default: false }
+];
+
 // Validation rules
 const createMessageValidation = [
   body('firstName')
@@ -47,8 +153,8 @@ const createMessageValidation = [
     .withMessage('Message must be between 10 and 2000 characters'),
   body('messageType')
     .optional()
-    .isIn(['inquiry', 'complaint', 'suggestion', 'general'])
-    .withMessage('Message type must be inquiry, complaint, suggestion, or general')
+    .isIn(MESSAGE_TYPES)
+    .withMessage(`Message type must be one of: ${MESSAGE_TYPES.join(', ')}`)
 ];
 
 const updateMessageValidation = [
@@ -61,8 +167,12 @@ const updateMessageValidation = [
     .withMessage('Status must be unread, read, replied, or resolved'),
   body('priority')
     .optional()
-    .isIn(['low', 'medium', 'high', 'urgent'])
-    .withMessage('Priority must be low, medium, high, or urgent'),
+    .isIn(MESSAGE_PRIORITIES)
+    .withMessage(`Priority must be one of: ${MESSAGE_PRIORITIES.join(', ')}`),
+  body('messageType')
+    .optional()
+    .isIn(MESSAGE_TYPES)
+    .withMessage(`Message type must be one of: ${MESSAGE_TYPES.join(', ')}`),
   body('response')
     .optional()
     .trim()
@@ -80,11 +190,58 @@ const updateMessageValidation = [
   body('tags')
     .optional()
     .isArray()
-    .withMessage('Tags must be an array')
+    .withMessage('Tags must be an array'),
+  body('notifySender')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('Notify sender must be a boolean')
 ];
 
+// Save a website message, or add it to the sender's open conversation
+// Returns { message, followUp }
+const createWebsiteMessage = async (body, { ipAddress, userAgent } = {}) => {
+  // A follow-up from a sender with an open conversation joins that thread
+  const thread = await Message.findOpenThread(body.email);
+
+  if (thread) {
+    // Keep what the sender wrote on the form this time alongside the text
+    const details = {};
+    if (body.subject && body.subject !== thread.subject) details.subject = body.subject;
+    if (body.phone && body.phone !== thread.phone) details.phone = body.phone;
+    if (!thread.phone && body.phone) thread.phone = body.phone;
+
+    await thread.addFollowUp(body.message, details);
+
+    console.log(`📧 Follow-up received on message ${thread._id}: ${thread.fullName}`);
+
+    return { message: thread, followUp: true };
+  }
+
+  // Create message with request metadata
+  const message = new Message({
+    ...body,
+    source: 'website',
+    ipAddress,
+    userAgent
+  });
+
+  // Suggest the type, priority and tags from the admins' classification rules
+  const suggestion = await classifyMessage(message);
+
+  await assignFamily(message, { email: message.email, phone: message.phone });
+  await message.save();
+
+  // Rule statistics only count messages that were stored
+  await recordClassification(suggestion);
+
+  console.log(`📧 New message received: ${message.fullName} - ${message.subject}`);
+
+  return { message, followUp: false };
+};
+
 // POST /api/messages - Create new message (public)
-router.post('/', createLimiter, createMessageValidation, async (req, res) => {
+router.post('/', createLimiter, checkSpam, createMessageValidation, quarantineSpam('message'), async (req, res) => {
   try {
     // Check validation errors
     const errors = validationResult(req);
@@ -96,28 +253,22 @@ router.post('/', createLimiter, createMessageValidation, async (req, res) => {
       });
     }
 
-    // Create message with request metadata
-    const message = new Message({
-      ...req.body,
-      source: 'website',
+    const { message, followUp } = await createWebsiteMessage(req.body, {
       ipAddress: req.ip,
       userAgent: req.get('User-Agent')
     });
 
-    await message.save();
-
-    console.log(`📧 New message received: ${message.fullName} - ${message.subject}`);
-
     res.status(201).json({
       success: true,
-      message: 'Message sent successfully',
+      message: followUp ? 'Message added to your existing conversation' : 'Message sent successfully',
       data: {
         message: {
           id: message._id,
           fullName: message.fullName,
           subject: message.subject,
           messageType: message.messageType,
-          sentAt: message.createdAt
+          sentAt: followUp ? message.lastActivityAt : message.createdAt,
+          followUp
         }
       }
     });
@@ -132,6 +283,76 @@ router.post('/', createLimiter, createMessageValidation, async (req, res) => {
   }
 });
 
+// Quarantined messages are created the same way once released
+registerReleaseHandler('message', async (payload, meta) => {
+  const { message } = await createWebsiteMessage(payload, meta);
+  return { record: { id: message._id, reference: message.subject } };
+});
+
+// Check the shared secret the mail provider sends with inbound email
+const verifyInboundSecret = (req, res, next) => {
+  const secret = process.env.INBOUND_EMAIL_SECRET;
+  if (!secret) {
+    return res.status(503).json({
+      success: false,
+      message: 'Inbound email is not configured',
+      code: 'INBOUND_EMAIL_DISABLED'
+    });
+  }
+
+  // Compare digests so the check takes the same time whatever was sent
+  const expected = crypto.createHash('sha256').update(secret).digest();
+  const provided = crypto.createHash('sha256').update(String(req.get('X-Inbound-Secret') || '')).digest();
+  if (!crypto.timingSafeEqual(expected, provided)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid inbound email secret',
+      code: 'INVALID_INBOUND_SECRET'
+    });
+  }
+
+  next();
+};
+
+// POST /api/messages/inbound - Receive a raw RFC 822 / MIME email from the mail provider (shared secret)
+router.post('/inbound', verifyInboundSecret, express.raw({ type: () => true, limit: '25mb' }), async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Request body must be the raw email',
+        code: 'INBOUND_EMAIL_INVALID'
+      });
+    }
+
+    const { message, status, error } = await ingestEmail(req.body);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    res.status(status === 'created' ? 201 : 200).json({
+      success: true,
+      message: `Email ${status}`,
+      data: {
+        message: message ? { id: message._id, subject: message.subject } : null,
+        status
+      }
+    });
+
+  } catch (error) {
+    console.error('Inbound email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to receive email',
+      code: 'INBOUND_EMAIL_ERROR'
+    });
+  }
+});
+
 // GET /api/messages - Get all messages (admin only)
 router.get('/', verifyToken, async (req, res) => {
   try {
@@ -141,35 +362,15 @@ router.get('/', verifyToken, async (req, res) => {
       status,
       priority,
       messageType,
+      delivery,
+      sla,
       search,
       sortBy = 'createdAt',
       sortOrder = 'desc'
     } = req.query;
 
     // Build filter object
-    const filter = {};
-    
-    if (status && status !== 'all') {
-      filter.status = status;
-    }
-    
-    if (priority && priority !== 'all') {
-      filter.priority = priority;
-    }
-
-    if (messageType && messageType !== 'all') {
-      filter.messageType = messageType;
-    }
-    
-    if (search) {
-      filter.$or = [
-        { firstName: { $regex: search, $options: 'i' } },
-        { lastName: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } },
-        { subject: { $regex: search, $options: 'i' } },
-        { message: { $regex: search, $options: 'i' } }
-      ];
-    }
+    const filter = buildMessageFilter({ status, priority, messageType, delivery, sla, search });
 
     // Build sort object
     const sort = {};
@@ -181,6 +382,7 @@ router.get('/', verifyToken, async (req, res) => {
     // Execute query
     const [messages, total] = await Promise.all([
       Message.find(filter)
+        .select('-thread')
         .populate('respondedBy', 'username')
         .sort(sort)
         .skip(skip)
@@ -219,9 +421,78 @@ router.get('/', verifyToken, async (req, res) => {
   }
 });
 
+// GET /api/messages/export - Download the filtered messages as CSV or XLSX (admin only)
+router.get('/export', verifyToken, [
+  query('format').optional().isIn(EXPORT_FORMATS).withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      format = 'csv',
+      status,
+      priority,
+      messageType,
+      delivery,
+      sla,
+      search,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    const { columns, error: columnError } = resolveColumns(EXPORT_COLUMNS, req.query.columns);
+    if (columnError) {
+      return res.status(columnError.status).json({
+        success: false,
+        message: columnError.message,
+        code: columnError.code,
+        availableColumns: columnError.availableColumns
+      });
+    }
+
+    const sort = {};
+    sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
+
+    const cursor = Message.find(buildMessageFilter({ status, priority, messageType, delivery, sla, search }))
+      .populate('respondedBy', 'username')
+      .sort(sort)
+      .cursor();
+
+    const rowCount = await streamExport(res, {
+      cursor,
+      columns,
+      format,
+      filename: 'messages',
+      sheetName: 'Messages'
+    });
+
+    console.log(`📤 ${rowCount} message(s) exported as ${format} by ${req.admin.username}`);
+
+  } catch (error) {
+    console.error('Message export error:', error);
+
+    // The download has started, so the only signal left is a broken transfer
+    if (res.headersSent) return res.destroy(error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export messages',
+      code: 'MESSAGE_EXPORT_ERROR'
+    });
+  }
+});
+
 // GET /api/messages/stats - Get message statistics (admin only)
 router.get('/stats', verifyToken, async (req, res) => {
   try {
+    const now = new Date();
     const [
       totalMessages,
       unreadMessages,
@@ -231,7 +502,10 @@ router.get('/stats', verifyToken, async (req, res) => {
       highPriorityMessages,
       recentMessages,
       typeStats,
-      monthlyStats
+      monthlyStats,
+      slaReplies,
+      slaOverdue,
+      followUpsDue
     ] = await Promise.all([
       Message.countDocuments(),
       Message.countDocuments({ status: 'unread' }),
@@ -255,9 +529,45 @@ router.get('/stats', verifyToken, async (req, res) => {
         },
         { $sort: { '_id.year': -1, '_id.month': -1 } },
         { $limit: 12 }
-      ])
+      ]),
+      // Replies that were due under an SLA, by whether they met it
+      Message.aggregate([
+        { $unwind: '$thread' },
+        { $match: { 'thread.type': 'reply', 'thread.sla.met': { $exists: true } } },
+        {
+          $group: {
+            _id: '$messageType',
+            met: { $sum: { $cond: ['$thread.sla.met', 1, 0] } },
+            missed: { $sum: { $cond: ['$thread.sla.met', 0, 1] } }
+          }
+        }
+      ]),
+      Message.aggregate([
+        { $match: { 'sla.dueAt': { $lte: now } } },
+        { $group: { _id: '$messageType', count: { $sum: 1 } } }
+      ]),
+      Message.countDocuments({ followUpRequired: true, followUpDate: { $lte: now }, status: { $ne: 'resolved' } })
     ]);
 
+    // Senders still waiting past the deadline count against compliance too
+    const slaByType = {};
+    const slaEntry = (messageType) => {
+      if (!slaByType[messageType]) slaByType[messageType] = { messageType, met: 0, missed: 0, overdue: 0 };
+      return slaByType[messageType];
+    };
+    slaReplies.forEach(({ _id, met, missed }) => Object.assign(slaEntry(_id), { met, missed }));
+    slaOverdue.forEach(({ _id, count }) => { slaEntry(_id).overdue = count; });
+
+    const complianceRate = ({ met, missed, overdue }) => {
+      const total = met + missed + overdue;
+      return total > 0 ? Math.round((met / total) * 1000) / 10 : null;
+    };
+    const slaTotals = Object.values(slaByType).reduce((totals, entry) => ({
+      met: totals.met + entry.met,
+      missed: totals.missed + entry.missed,
+      overdue: totals.overdue + entry.overdue
+    }), { met: 0, missed: 0, overdue: 0 });
+
     res.json({
       success: true,
       message: 'Message statistics retrieved successfully',
@@ -272,7 +582,14 @@ router.get('/stats', verifyToken, async (req, res) => {
         },
         recentMessages,
         typeStats,
-        monthlyStats
+        monthlyStats,
+        sla: {
+          targets: slaTargets,
+          ...slaTotals,
+          complianceRate: complianceRate(slaTotals),
+          byType: Object.values(slaByType).map(entry => ({ ...entry, complianceRate: complianceRate(entry) })),
+          followUpsDue
+        }
       }
     });
 
@@ -301,7 +618,9 @@ router.get('/:id', verifyToken, [
     }
 
     const message = await Message.findById(req.params.id)
-      .populate('respondedBy', 'username');
+      .populate('respondedBy', 'username')
+      .populate('thread.author', 'username')
+      .populate('classification.overrides.by', 'username');
 
     if (!message) {
       return res.status(404).json({
@@ -356,14 +675,19 @@ router.put('/:id', verifyToken, updateMessageValidation, async (req, res) => {
       });
     }
 
-    // Handle response
-    if (req.body.response && !message.response) {
-      await message.respond(req.body.response, req.admin._id);
+    // Handle response (added to the thread as another reply)
+    let delivery;
+    if (req.body.response) {
+      ({ delivery } = await replyToMessage(message, req.body.response, req.admin, req.body.notifySender));
     } else {
-      // Update other fields
-      Object.keys(req.body).forEach(key => {
-        if (key !== 'response') {
-          message[key] = req.body[key];
+      // Keep a record of changes to what the classification rules suggested
+      message.recordOverrides(req.body, req.admin._id);
+
+      // Update the fields admins manage; the sender's details and the thread stay as they are
+      const allowedFields = ['status', 'priority', 'messageType', 'followUpRequired', 'followUpDate', 'tags'];
+      allowedFields.forEach(field => {
+        if (req.body[field] !== undefined) {
+          message[field] = req.body[field];
         }
       });
       await message.save();
@@ -373,10 +697,12 @@ router.put('/:id', verifyToken, updateMessageValidation, async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Message updated successfully',
+      message: req.body.response ? deliveryMessage(delivery) : 'Message updated successfully',
       data: {
         message: await Message.findById(req.params.id)
           .populate('respondedBy', 'username')
+          .populate('thread.author', 'username'),
+        ...(req.body.response && { delivery })
       }
     });
 
@@ -390,13 +716,29 @@ router.put('/:id', verifyToken, updateMessageValidation, async (req, res) => {
   }
 });
 
-// PUT /api/messages/:id/respond - Respond to message (admin only)
+// PUT /api/messages/:id/respond - Respond to message, typed or from a reply template (admin only)
 router.put('/:id/respond', verifyToken, [
   param('id').isMongoId().withMessage('Invalid message ID'),
+  body('templateId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid reply template ID'),
+  body('overrides')
+    .optional()
+    .isObject()
+    .custom(isValidOverrides)
+    .withMessage(`Overrides must map placeholders (${REPLY_PLACEHOLDERS.join(', ')}) to text of up to 200 characters`),
+  // Not needed when replying with a template
   body('response')
+    .if(body('templateId').not().exists())
     .trim()
     .isLength({ min: 10, max: 2000 })
-    .withMessage('Response must be between 10 and 2000 characters')
+    .withMessage('Response must be between 10 and 2000 characters'),
+  body('notifySender')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('Notify sender must be a boolean')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -418,16 +760,37 @@ router.put('/:id/respond', verifyToken, [
       });
     }
 
-    await message.respond(req.body.response, req.admin._id);
+    let response = req.body.response;
+    let template;
+    if (req.body.templateId) {
+      let error;
+      ({ template, text: response, error } = await renderReplyTemplate(
+        req.body.templateId,
+        buildMessageReplyFields(message),
+        req.body.overrides
+      ));
+
+      if (error) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+          missingFields: error.missingFields
+        });
+      }
+    }
 
-    console.log(`💬 Response sent to message ${message._id} by ${req.admin.username}`);
+    const { delivery } = await replyToMessage(message, response, req.admin, req.body.notifySender);
+    if (template) await template.recordUse();
 
     res.json({
       success: true,
-      message: 'Response sent successfully',
+      message: deliveryMessage(delivery),
       data: {
         message: await Message.findById(req.params.id)
           .populate('respondedBy', 'username')
+          .populate('thread.author', 'username'),
+        delivery
       }
     });
 
@@ -441,6 +804,123 @@ router.put('/:id/respond', verifyToken, [
   }
 });
 
+// POST /api/messages/:id/replies/:replyId/send - Retry emailing a reply that failed or was not sent (admin only)
+router.post('/:id/replies/:replyId/send', verifyToken, [
+  param('id').isMongoId().withMessage('Invalid message ID'),
+  param('replyId').isMongoId().withMessage('Invalid reply ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const message = await Message.findById(req.params.id);
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found',
+        code: 'MESSAGE_NOT_FOUND'
+      });
+    }
+
+    const reply = message.getReply(req.params.replyId);
+
+    if (!reply) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reply not found',
+        code: 'REPLY_NOT_FOUND'
+      });
+    }
+
+    if (reply.delivery && reply.delivery.status === 'sent') {
+      return res.status(409).json({
+        success: false,
+        message: 'This reply has already been emailed',
+        code: 'REPLY_ALREADY_SENT'
+      });
+    }
+
+    const delivery = await deliverReply(message, reply);
+
+    console.log(`📨 Reply ${reply._id} on message ${message._id} resent by ${req.admin.username}: ${delivery.status}`);
+
+    res.json({
+      success: true,
+      message: deliveryMessage(delivery),
+      data: {
+        delivery
+      }
+    });
+
+  } catch (error) {
+    console.error('Reply resend error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resend reply',
+      code: 'REPLY_SEND_ERROR'
+    });
+  }
+});
+
+// POST /api/messages/:id/notes - Add an internal note to the conversation (admin only)
+router.post('/:id/notes', verifyToken, [
+  param('id').isMongoId().withMessage('Invalid message ID'),
+  body('note')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Note must be between 1 and 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const message = await Message.findById(req.params.id);
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found',
+        code: 'MESSAGE_NOT_FOUND'
+      });
+    }
+
+    await message.addNote(req.body.note, req.admin._id);
+
+    console.log(`🗒️ Note added to message ${message._id} by ${req.admin.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Note added successfully',
+      data: {
+        message: await Message.findById(req.params.id)
+          .populate('respondedBy', 'username')
+          .populate('thread.author', 'username')
+      }
+    });
+
+  } catch (error) {
+    console.error('Message note error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add note',
+      code: 'MESSAGE_NOTE_ERROR'
+    });
+  }
+});
+
 // DELETE /api/messages/:id - Delete message (super admin only)
 router.delete('/:id', verifyToken, requireRole('super_admin'), [
   param('id').isMongoId().withMessage('Invalid message ID')
@@ -4,6 +4,9 @@ const Newsletter = require('../models/Newsletter');
 const { validateNewsletter } = require('../middleware/validation');
 const rateLimit = require('express-rate-limit');
 const { sendWelcomeEmail } = require('../utils/email');
+const { assignFamily } = require('../utils/families');
+const { checkSpam, quarantineSpam } = require('../middleware/spamFilter');
+const { registerReleaseHandler } = require('../utils/quarantine');
 
 // Rate limiting for newsletter subscriptions
 const newsletterLimiter = rateLimit({
@@ -15,73 +18,97 @@ const newsletterLimiter = rateLimit({
   }
 });
 
-// @route   POST /api/newsletter/subscribe
-// @desc    Subscribe to newsletter
-// @access  Public
-router.post('/subscribe', newsletterLimiter, validateNewsletter, async (req, res) => {
-  try {
-    const {
-      email,
-      name,
-      preferences = [],
-      source = 'website'
-    } = req.body;
-
-    // Check if email already exists
-    const existingSubscription = await Newsletter.findOne({ email });
-
-    if (existingSubscription) {
-      if (existingSubscription.status === 'active') {
-        return res.status(409).json({
-          success: false,
+// Subscribe an email, reactivating an earlier subscription, and send the welcome email
+// Returns { subscription, resubscribed } or { error } when the email is already subscribed
+const subscribeToNewsletter = async (body) => {
+  const {
+    email,
+    name,
+    preferences = [],
+    source = 'website'
+  } = body;
+
+  // Check if email already exists
+  const existingSubscription = await Newsletter.findOne({ email });
+
+  if (existingSubscription) {
+    if (existingSubscription.status === 'active') {
+      return {
+        error: {
+          status: 409,
           message: 'This email is already subscribed to our newsletter.',
           code: 'ALREADY_SUBSCRIBED'
-        });
-      } else if (existingSubscription.status === 'unsubscribed') {
-        // Reactivate subscription
-        await existingSubscription.resubscribe();
-        existingSubscription.preferences = preferences;
-        existingSubscription.source = source;
-        if (name) existingSubscription.name = name;
-        await existingSubscription.save();
-
-        return res.json({
-          success: true,
-          message: 'Welcome back! Your newsletter subscription has been reactivated.',
-          data: {
-            email: existingSubscription.email,
-            preferences: existingSubscription.preferences,
-            resubscribed: true
-          }
-        });
-      }
+        }
+      };
+    } else if (existingSubscription.status === 'unsubscribed') {
+      // Reactivate subscription
+      await existingSubscription.resubscribe();
+      existingSubscription.preferences = preferences;
+      existingSubscription.source = source;
+      if (name) existingSubscription.name = name;
+      if (!existingSubscription.family) await assignFamily(existingSubscription, { email });
+      await existingSubscription.save();
+
+      return { subscription: existingSubscription, resubscribed: true };
     }
+  }
 
-    // Create new subscription
-    const newsletter = new Newsletter({
-      email,
-      name,
-      preferences,
-      source
-    });
+  // Create new subscription
+  const newsletter = new Newsletter({
+    email,
+    name,
+    preferences,
+    source
+  });
+
+  await assignFamily(newsletter, { email });
+  await newsletter.save();
+
+  // Send welcome email
+  try {
+    await sendWelcomeEmail(newsletter);
+  } catch (emailError) {
+    console.error('Failed to send welcome email:', emailError);
+    // Don't fail the request if email fails
+  }
+
+  return { subscription: newsletter, resubscribed: false };
+};
 
-    await newsletter.save();
+// @route   POST /api/newsletter/subscribe
+// @desc    Subscribe to newsletter
+// @access  Public
+router.post('/subscribe', newsletterLimiter, checkSpam, validateNewsletter, quarantineSpam('newsletter'), async (req, res) => {
+  try {
+    const { subscription, resubscribed, error } = await subscribeToNewsletter(req.body);
 
-    // Send welcome email
-    try {
-      await sendWelcomeEmail(newsletter);
-    } catch (emailError) {
-      console.error('Failed to send welcome email:', emailError);
-      // Don't fail the request if email fails
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    if (resubscribed) {
+      return res.json({
+        success: true,
+        message: 'Welcome back! Your newsletter subscription has been reactivated.',
+        data: {
+          email: subscription.email,
+          preferences: subscription.preferences,
+          resubscribed: true
+        }
+      });
     }
 
     res.status(201).json({
       success: true,
       message: 'Thank you for subscribing! You will receive our latest updates and news.',
       data: {
-        email: newsletter.email,
-        preferences: newsletter.preferences,
-        subscribedAt: newsletter.subscriptionDate
+        email: subscription.email,
+        preferences: subscription.preferences,
+        subscribedAt: subscription.subscriptionDate
       }
     });
 
@@ -113,6 +140,13 @@ router.post('/subscribe', newsletterLimiter, validateNewsletter, async (req, res
   }
 });
 
+// Quarantined subscriptions are created the same way once released
+registerReleaseHandler('newsletter', async (payload) => {
+  const { subscription, error } = await subscribeToNewsletter(payload);
+  if (error) return { error };
+  return { record: { id: subscription._id, reference: subscription.email } };
+});
+
 // @route   POST /api/newsletter/unsubscribe
 // @desc    Unsubscribe from newsletter
 // @access  Public
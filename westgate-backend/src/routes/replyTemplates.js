@@ -0,0 +1,409 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const ReplyTemplate = require('../models/ReplyTemplate');
+const Message = require('../models/Message');
+const Contact = require('../models/Contact');
+const { verifyToken } = require('../middleware/auth');
+const {
+  REPLY_PLACEHOLDERS,
+  REPLY_MESSAGE_TYPES,
+  REPLY_INQUIRY_TYPES,
+  MAX_REPLY_LENGTH,
+  isValidOverrides
+} = require('../utils/replyTemplates');
+const { formatDate } = require('../utils/letters');
+const { buildMessageReplyFields, buildContactReplyFields, renderReplyTemplate } = require('../utils/inquiryReplies');
+
+const router = express.Router();
+
+// Stand-in sender for previews without a real message or inquiry
+const SAMPLE_FIELDS = {
+  firstName: 'Grace',
+  lastName: 'Wanjiru',
+  fullName: 'Grace Wanjiru',
+  email: 'grace.wanjiru@example.com',
+  subject: 'School fees for next term',
+  referenceId: 'A1B2C3D4'
+};
+
+// Validation rules
+const templateFieldValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Template name must be between 2 and 100 characters'),
+  body('body')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: MAX_REPLY_LENGTH })
+    .withMessage(`Reply text must be between 10 and ${MAX_REPLY_LENGTH} characters`),
+  body('messageTypes')
+    .optional()
+    .isArray()
+    .withMessage('Message types must be a list'),
+  body('messageTypes.*')
+    .isIn(REPLY_MESSAGE_TYPES)
+    .withMessage(`Message types must be from: ${REPLY_MESSAGE_TYPES.join(', ')}`),
+  body('inquiryTypes')
+    .optional()
+    .isArray()
+    .withMessage('Inquiry types must be a list'),
+  body('inquiryTypes.*')
+    .isIn(REPLY_INQUIRY_TYPES)
+    .withMessage(`Inquiry types must be from: ${REPLY_INQUIRY_TYPES.join(', ')}`),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('Active status must be a boolean')
+];
+
+const templateValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Template name is required'),
+  body('body')
+    .trim()
+    .notEmpty()
+    .withMessage('Reply text is required'),
+  ...templateFieldValidation
+];
+
+const updateTemplateValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid template ID'),
+  ...templateFieldValidation
+];
+
+const previewValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid template ID'),
+  body('messageId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid message ID'),
+  body('contactId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid contact ID'),
+  body('overrides')
+    .optional()
+    .isObject()
+    .custom(isValidOverrides)
+    .withMessage(`Overrides must map placeholders (${REPLY_PLACEHOLDERS.join(', ')}) to text of up to 200 characters`)
+];
+
+// Send the usual validation failure for a model validation error
+const sendValidationError = (res, error) => {
+  const errors = Object.values(error.errors).map(err => err.message);
+  return res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors
+  });
+};
+
+// GET /api/reply-templates - Get reply templates, most used first (admin only)
+router.get('/', verifyToken, [
+  query('messageType').optional().isIn(REPLY_MESSAGE_TYPES).withMessage('Invalid message type'),
+  query('inquiryType').optional().isIn(REPLY_INQUIRY_TYPES).withMessage('Invalid inquiry type'),
+  query('active').optional().isBoolean().withMessage('Active must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { messageType, inquiryType, active, search } = req.query;
+
+    const filter = {};
+    if (messageType) filter.messageTypes = messageType;
+    if (inquiryType) filter.inquiryTypes = inquiryType;
+    if (active !== undefined) filter.isActive = active === 'true';
+    if (search) {
+      filter.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { body: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const templates = await ReplyTemplate.find(filter)
+      .sort({ isActive: -1, usageCount: -1, name: 1 })
+      .populate('updatedBy', 'username');
+
+    res.json({
+      success: true,
+      message: 'Reply templates retrieved successfully',
+      data: {
+        templates,
+        placeholders: REPLY_PLACEHOLDERS
+      }
+    });
+
+  } catch (error) {
+    console.error('Reply templates retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve reply templates',
+      code: 'REPLY_TEMPLATES_RETRIEVAL_ERROR'
+    });
+  }
+});
+
+// GET /api/reply-templates/:id - Get a reply template (admin only)
+router.get('/:id', verifyToken, [
+  param('id').isMongoId().withMessage('Invalid template ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = await ReplyTemplate.findById(req.params.id)
+      .populate('createdBy', 'username')
+      .populate('updatedBy', 'username');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reply template not found',
+        code: 'REPLY_TEMPLATE_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Reply template retrieved successfully',
+      data: {
+        template
+      }
+    });
+
+  } catch (error) {
+    console.error('Reply template retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve reply template',
+      code: 'REPLY_TEMPLATE_RETRIEVAL_ERROR'
+    });
+  }
+});
+
+// POST /api/reply-templates - Create a reply template (admin only)
+router.post('/', verifyToken, templateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = new ReplyTemplate({
+      name: req.body.name,
+      body: req.body.body,
+      messageTypes: req.body.messageTypes,
+      inquiryTypes: req.body.inquiryTypes,
+      isActive: req.body.isActive,
+      createdBy: req.admin._id,
+      updatedBy: req.admin._id
+    });
+
+    await template.save();
+
+    console.log(`🗂️ Reply template "${template.name}" created by ${req.admin.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Reply template created successfully',
+      data: {
+        template
+      }
+    });
+
+  } catch (error) {
+    console.error('Reply template creation error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create reply template',
+      code: 'REPLY_TEMPLATE_CREATION_ERROR'
+    });
+  }
+});
+
+// PUT /api/reply-templates/:id - Update a reply template (admin only)
+router.put('/:id', verifyToken, updateTemplateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = await ReplyTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reply template not found',
+        code: 'REPLY_TEMPLATE_NOT_FOUND'
+      });
+    }
+
+    const allowedFields = ['name', 'body', 'messageTypes', 'inquiryTypes', 'isActive'];
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        template[field] = req.body[field];
+      }
+    });
+    template.updatedBy = req.admin._id;
+
+    await template.save();
+
+    console.log(`📝 Reply template "${template.name}" updated by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: 'Reply template updated successfully',
+      data: {
+        template
+      }
+    });
+
+  } catch (error) {
+    console.error('Reply template update error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update reply template',
+      code: 'REPLY_TEMPLATE_UPDATE_ERROR'
+    });
+  }
+});
+
+// DELETE /api/reply-templates/:id - Delete a reply template (admin only)
+router.delete('/:id', verifyToken, [
+  param('id').isMongoId().withMessage('Invalid template ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = await ReplyTemplate.findByIdAndDelete(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reply template not found',
+        code: 'REPLY_TEMPLATE_NOT_FOUND'
+      });
+    }
+
+    console.log(`🗑️ Reply template "${template.name}" deleted by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: 'Reply template deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Reply template deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete reply template',
+      code: 'REPLY_TEMPLATE_DELETION_ERROR'
+    });
+  }
+});
+
+// POST /api/reply-templates/:id/preview - Fill a template for a message or contact inquiry without sending it (admin only)
+router.post('/:id/preview', verifyToken, previewValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { messageId, contactId, overrides } = req.body;
+
+    let fields = { ...SAMPLE_FIELDS, date: formatDate(new Date()) };
+    if (messageId || contactId) {
+      const record = messageId ? await Message.findById(messageId) : await Contact.findById(contactId);
+      if (!record) {
+        return res.status(404).json({
+          success: false,
+          message: messageId ? 'Message not found' : 'Contact submission not found',
+          code: messageId ? 'MESSAGE_NOT_FOUND' : 'CONTACT_NOT_FOUND'
+        });
+      }
+      fields = messageId ? buildMessageReplyFields(record) : buildContactReplyFields(record);
+    }
+
+    const { text, error } = await renderReplyTemplate(req.params.id, fields, overrides);
+
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        missingFields: error.missingFields
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Reply preview generated successfully',
+      data: {
+        text
+      }
+    });
+
+  } catch (error) {
+    console.error('Reply template preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview reply',
+      code: 'REPLY_TEMPLATE_PREVIEW_ERROR'
+    });
+  }
+});
+
+module.exports = router;
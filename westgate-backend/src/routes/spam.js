@@ -0,0 +1,254 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const QuarantinedSubmission = require('../models/QuarantinedSubmission');
+const { verifyToken } = require('../middleware/auth');
+const { spamSettings } = require('../config/spam');
+const { QUARANTINE_KINDS, FORM_TOKEN_FIELD, issueFormToken } = require('../utils/spam');
+const { releaseSubmission } = require('../utils/quarantine');
+
+const router = express.Router();
+
+const QUARANTINE_STATUSES = ['pending', 'released', 'discarded'];
+
+// GET /api/spam/form-token - Get a token for a public form to send back with its submission (public)
+router.get('/form-token', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      token: issueFormToken(),
+      field: FORM_TOKEN_FIELD,
+      honeypotField: spamSettings.honeypotField,
+      minSeconds: spamSettings.minSubmitSeconds
+    }
+  });
+});
+
+// GET /api/spam/quarantine - Get submissions held back as suspected spam (admin only)
+router.get('/quarantine', verifyToken, [
+  query('kind').optional().isIn([...QUARANTINE_KINDS, 'all']).withMessage(`Kind must be one of: ${QUARANTINE_KINDS.join(', ')}`),
+  query('status').optional().isIn([...QUARANTINE_STATUSES, 'all']).withMessage(`Status must be one of: ${QUARANTINE_STATUSES.join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive whole number'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      page = 1,
+      limit = 20,
+      kind,
+      status = 'pending',
+      search
+    } = req.query;
+
+    const filter = {};
+    if (kind && kind !== 'all') filter.kind = kind;
+    if (status !== 'all') filter.status = status;
+    if (search) filter.email = { $regex: search, $options: 'i' };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [submissions, total, pendingCounts] = await Promise.all([
+      QuarantinedSubmission.find(filter)
+        .populate('reviewedBy', 'username')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      QuarantinedSubmission.countDocuments(filter),
+      QuarantinedSubmission.getPendingCounts()
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      message: 'Quarantined submissions retrieved successfully',
+      data: {
+        submissions,
+        pendingCounts,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalItems: total,
+          itemsPerPage: parseInt(limit),
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Quarantine retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve quarantined submissions',
+      code: 'QUARANTINE_RETRIEVAL_ERROR'
+    });
+  }
+});
+
+// POST /api/spam/quarantine/discard - Discard several pending submissions at once (admin only)
+router.post('/quarantine/discard', verifyToken, [
+  body('ids')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('IDs must be a list of 1 to 500 submission IDs'),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Invalid submission ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await QuarantinedSubmission.updateMany(
+      { _id: { $in: req.body.ids }, status: 'pending' },
+      { $set: { status: 'discarded', reviewedBy: req.admin._id, reviewedAt: new Date() } }
+    );
+
+    console.log(`🗑️ ${result.modifiedCount} quarantined submission(s) discarded by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: 'Quarantined submissions discarded successfully',
+      data: {
+        discarded: result.modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Quarantine bulk discard error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to discard quarantined submissions',
+      code: 'QUARANTINE_DISCARD_ERROR'
+    });
+  }
+});
+
+// Load a quarantined submission, optionally requiring it to still be pending
+const loadSubmission = ({ pendingOnly = false } = {}) => [
+  param('id').isMongoId().withMessage('Invalid submission ID'),
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const submission = await QuarantinedSubmission.findById(req.params.id).populate('reviewedBy', 'username');
+
+      if (!submission) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quarantined submission not found',
+          code: 'QUARANTINE_NOT_FOUND'
+        });
+      }
+
+      if (pendingOnly && submission.status !== 'pending') {
+        return res.status(409).json({
+          success: false,
+          message: `Submission has already been ${submission.status}`,
+          code: 'QUARANTINE_ALREADY_REVIEWED'
+        });
+      }
+
+      req.submission = submission;
+      next();
+    } catch (error) {
+      console.error('Quarantine lookup error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve quarantined submission',
+        code: 'QUARANTINE_RETRIEVAL_ERROR'
+      });
+    }
+  }
+];
+
+// GET /api/spam/quarantine/:id - Get a quarantined submission (admin only)
+router.get('/quarantine/:id', verifyToken, loadSubmission(), (req, res) => {
+  res.json({
+    success: true,
+    message: 'Quarantined submission retrieved successfully',
+    data: {
+      submission: req.submission
+    }
+  });
+});
+
+// POST /api/spam/quarantine/:id/release - Not spam: create the message, inquiry, subscription or application (admin only)
+router.post('/quarantine/:id/release', verifyToken, loadSubmission({ pendingOnly: true }), async (req, res) => {
+  try {
+    const { entry, error } = await releaseSubmission(req.submission, req.admin);
+
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        errors: error.errors
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Submission released successfully',
+      data: {
+        submission: entry
+      }
+    });
+
+  } catch (error) {
+    console.error('Quarantine release error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to release submission',
+      code: 'QUARANTINE_RELEASE_ERROR'
+    });
+  }
+});
+
+// POST /api/spam/quarantine/:id/discard - Confirm a submission is spam (admin only)
+router.post('/quarantine/:id/discard', verifyToken, loadSubmission({ pendingOnly: true }), async (req, res) => {
+  try {
+    await req.submission.discard(req.admin._id);
+
+    console.log(`🗑️ Quarantined ${req.submission.kind} submission ${req.submission._id} discarded by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: 'Submission discarded successfully',
+      data: {
+        submission: req.submission
+      }
+    });
+
+  } catch (error) {
+    console.error('Quarantine discard error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to discard submission',
+      code: 'QUARANTINE_DISCARD_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const { parse } = require('csv-parse/sync');
+const { validationResult } = require('express-validator');
+const { sanitizeInput } = require('../middleware/validation');
+
+// Largest CSV accepted in one import
+const MAX_IMPORT_ROWS = 500;
+
+// Offline sources an imported application may carry
+const IMPORT_SOURCES = ['phone', 'walk-in', 'referral'];
+
+// Answers to a program's custom questions come in columns named after the question label
+// (or `customFields.<key>`)
+const CUSTOM_FIELD_COLUMN_PREFIX = 'customFields.';
+
+// Compare headers loosely ("Student First Name", "student_first_name", "studentFirstName")
+const normaliseHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Parse an uploaded CSV into rows keyed by application field
+// `columns` lists the accepted fields as { key, header } pairs
+// Throws an error with status 400 when the file cannot be read
+const parseApplicationCsv = (buffer, columns) => {
+  const lookup = {};
+  columns.forEach(column => {
+    lookup[normaliseHeader(column.key)] = column.key;
+    if (column.header) lookup[normaliseHeader(column.header)] = column.key;
+  });
+
+  let records;
+  try {
+    records = parse(buffer, {
+      bom: true,
+      columns: headers => headers.map(header => lookup[normaliseHeader(header)] || null),
+      skip_empty_lines: true,
+      trim: true,
+      relax_column_count: true
+    });
+  } catch (parseError) {
+    const error = new Error(`Could not read CSV: ${parseError.message}`);
+    error.status = 400;
+    error.code = 'INVALID_CSV';
+    throw error;
+  }
+
+  if (records.length > MAX_IMPORT_ROWS) {
+    const error = new Error(`Imports are limited to ${MAX_IMPORT_ROWS} rows`);
+    error.status = 400;
+    error.code = 'IMPORT_TOO_LARGE';
+    throw error;
+  }
+
+  // Sanitise cells as request bodies are (uploads skip the global sanitiser), then drop blank
+  // cells so optional validators treat them as missing
+  return records.map(record => {
+    const row = {};
+    Object.keys(record).forEach(key => {
+      const value = sanitizeInput(record[key]);
+      if (value !== '') row[key] = value;
+    });
+    return row;
+  });
+};
+
+// Import columns for the custom questions on the given application forms
+// File questions are left out; their documents are uploaded after import
+const customFieldColumns = (definitions) => {
+  return definitions.flatMap(definition => definition.fields
+    .filter(field => field.type !== 'file')
+    .map(field => ({ key: `${CUSTOM_FIELD_COLUMN_PREFIX}${field.key}`, header: field.label })));
+};
+
+// Gather a row's custom question answers into the { key: answer } shape a website form sends
+const pickCustomAnswers = (row) => {
+  const answers = {};
+  Object.keys(row).forEach(column => {
+    if (column.startsWith(CUSTOM_FIELD_COLUMN_PREFIX)) {
+      answers[column.slice(CUSTOM_FIELD_COLUMN_PREFIX.length)] = row[column];
+    }
+  });
+  return answers;
+};
+
+// Run express-validator chains against a single row
+// Returns { values, errors } with the sanitised values and messages per field
+const validateImportRow = async (row, rules) => {
+  const req = { body: { ...row } };
+  await Promise.all(rules.map(rule => rule.run(req)));
+
+  const errors = validationResult(req).array().map(error => ({
+    field: error.path,
+    message: error.msg
+  }));
+
+  return { values: req.body, errors };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  IMPORT_SOURCES,
+  customFieldColumns,
+  parseApplicationCsv,
+  pickCustomAnswers,
+  validateImportRow
+};
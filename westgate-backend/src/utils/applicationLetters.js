@@ -0,0 +1,102 @@
+const Intake = require('../models/Intake');
+const LetterTemplate = require('../models/LetterTemplate');
+const { uploadImageWithSizes } = require('../config/cloudinary');
+const {
+  LETTER_DOCUMENT_TYPES,
+  fillPlaceholders,
+  buildLetterFields,
+  getMissingLetterFields,
+  renderLetterPdf
+} = require('./letters');
+
+// Fill a template for an application and render the PDF
+// Returns { letter } or { error } when the template needs values the application cannot supply
+const renderApplicationLetter = async (template, application, { fees, reportingDate } = {}) => {
+  const intake = application.intake ? await Intake.findById(application.intake) : null;
+  const fields = buildLetterFields(application, { template, intake, fees, reportingDate });
+
+  const missingFields = getMissingLetterFields(template, fields);
+  if (missingFields.length > 0) {
+    return {
+      error: {
+        status: 400,
+        message: `Letter needs values for: ${missingFields.join(', ')}`,
+        code: 'LETTER_FIELDS_REQUIRED',
+        missingFields
+      }
+    };
+  }
+
+  const pdf = await renderLetterPdf({
+    title: template.title,
+    body: template.body,
+    signatory: template.signatory,
+    fields
+  });
+
+  return {
+    letter: {
+      type: template.type,
+      subject: fillPlaceholders(template.subject, fields),
+      filename: `${template.type}-letter-${application.applicationNumber}.pdf`,
+      pdf
+    }
+  };
+};
+
+// Generate an offer or regret letter and store it in the application's documents
+// Returns { letter } or { error } (never throws: the status change that triggered it has already happened)
+const issueDecisionLetter = async (application, type, { fees, reportingDate, performedBy } = {}) => {
+  try {
+    const template = await LetterTemplate.findForProgram(type, application.program);
+    if (!template) {
+      return {
+        error: {
+          status: 404,
+          message: `No active ${type} letter template for the ${application.program} program`,
+          code: 'LETTER_TEMPLATE_NOT_FOUND'
+        }
+      };
+    }
+
+    const { letter, error } = await renderApplicationLetter(template, application, { fees, reportingDate });
+    if (error) return { error };
+
+    const cloudinaryResult = await uploadImageWithSizes(letter.pdf, {
+      folder: `westgate-applications/${application.applicationNumber}`,
+      public_id: `${Date.now()}-${type}-letter`,
+      resource_type: 'image',
+      allowed_formats: ['pdf'],
+      transformation: []
+    });
+
+    letter.document = await application.addDocument({
+      name: letter.filename,
+      url: cloudinaryResult.secure_url,
+      type: LETTER_DOCUMENT_TYPES[type],
+      cloudinaryId: cloudinaryResult.public_id,
+      format: cloudinaryResult.format,
+      size: cloudinaryResult.bytes,
+      uploadedBy: performedBy,
+      uploadSource: 'admin'
+    }, performedBy);
+
+    console.log(`📄 ${type} letter generated for application ${application.applicationNumber}`);
+
+    return { letter };
+  } catch (error) {
+    console.error(`Letter generation failed for ${application.applicationNumber}:`, error);
+    return {
+      error: {
+        status: 500,
+        message: 'Failed to generate letter',
+        code: 'LETTER_GENERATION_ERROR'
+      }
+    };
+  }
+};
+
+module.exports = {
+  renderApplicationLetter,
+  issueDecisionLetter
+};
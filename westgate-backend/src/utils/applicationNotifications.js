@@ -0,0 +1,115 @@
+const Application = require('../models/Application');
+const { STATUS_DESCRIPTIONS, getMissingDocuments } = require('./applicationWorkflow');
+const {
+  sendApplicationConfirmation,
+  sendDraftResumeLink,
+  sendApplicationStatusUpdate,
+  sendDocumentRequest,
+  sendAssessmentInvitation,
+  sendDecisionLetter,
+  sendAdmissionsDigest
+} = require('./email');
+
+// Send an applicant email and record the outcome against the application
+// Never throws: a failed email must not fail the request that triggered it
+const notifyApplicant = async (application, template, send) => {
+  const entry = {
+    template,
+    to: application.email,
+    sentAt: new Date()
+  };
+
+  try {
+    const result = await send();
+    entry.status = 'sent';
+    entry.subject = result.subject;
+    entry.messageId = result.messageId;
+  } catch (error) {
+    entry.status = 'failed';
+    entry.error = error.message;
+  }
+
+  try {
+    await application.recordEmail(entry);
+  } catch (error) {
+    console.error('Failed to record application email:', error);
+  }
+
+  return entry;
+};
+
+// Confirmation with the application number after submission
+const notifyApplicationSubmitted = (application, accessSecret) => {
+  return notifyApplicant(application, 'application-confirmation', () =>
+    sendApplicationConfirmation(application, accessSecret)
+  );
+};
+
+// Resume link for a saved draft (drafts have no email log, so failures are only logged)
+const notifyDraftSaved = async (draft, token) => {
+  const link = `${process.env.FRONTEND_URL || 'https://westgateschool.ac.ke'}/admissions/apply/resume/${token}`;
+
+  try {
+    await sendDraftResumeLink(draft, link);
+    return true;
+  } catch (error) {
+    console.error('Failed to send draft resume link:', error);
+    return false;
+  }
+};
+
+// Document request listing what is still missing
+const notifyDocumentRequest = (application, documents, message) => {
+  const missingDocuments = documents && documents.length > 0 ? documents : getMissingDocuments(application);
+  return notifyApplicant(application, 'document-request', () =>
+    sendDocumentRequest(application, missingDocuments, message)
+  );
+};
+
+// Status change email (documents-pending sends the document request instead)
+const notifyStatusChange = (application) => {
+  if (application.status === 'documents-pending') {
+    return notifyDocumentRequest(application);
+  }
+
+  const description = STATUS_DESCRIPTIONS[application.status] || { label: application.status, nextSteps: [] };
+  return notifyApplicant(application, `status-${application.status}`, () =>
+    sendApplicationStatusUpdate(application, description.label, description.nextSteps)
+  );
+};
+
+// Interview/assessment invitation with the parent's confirm/reschedule link
+const notifyAssessmentScheduled = (application, slot, token, isReschedule = false) => {
+  const link = `${process.env.FRONTEND_URL || 'https://westgateschool.ac.ke'}/admissions/appointment/${token}`;
+  return notifyApplicant(application, isReschedule ? 'assessment-rescheduled' : 'assessment-invitation', () =>
+    sendAssessmentInvitation(application, slot, link, isReschedule)
+  );
+};
+
+// Offer or regret letter with the generated PDF attached
+const notifyDecisionLetter = (application, letter) => {
+  return notifyApplicant(application, `${letter.type}-letter`, () =>
+    sendDecisionLetter(application, letter)
+  );
+};
+
+// Digest of applications submitted since a given date, sent to the admissions team
+const sendNewApplicationsDigest = async (since) => {
+  const applications = await Application.find({ createdAt: { $gte: since } })
+    .sort({ createdAt: 1 })
+    .select('applicationNumber studentFirstName studentLastName program status createdAt');
+
+  await sendAdmissionsDigest(applications, since);
+  return applications.length;
+};
+
+module.exports = {
+  notifyApplicant,
+  notifyApplicationSubmitted,
+  notifyDraftSaved,
+  notifyDocumentRequest,
+  notifyStatusChange,
+  notifyAssessmentScheduled,
+  notifyDecisionLetter,
+  sendNewApplicationsDigest
+};
@@ -0,0 +1,193 @@
+// Admissions pipeline for applications
+const APPLICATION_STATUSES = [
+  'submitted',
+  'documents-pending',
+  'under-review',
+  'interview-scheduled',
+  'offer-made',
+  'accepted',
+  'declined',
+  'waitlisted',
+  'rejected'
+];
+
+// Supporting documents an application can carry
+const DOCUMENT_TYPES = [
+  'birth-certificate',
+  'report-card',
+  'immunisation-record',
+  'passport-photo',
+  'transfer-letter',
+  'other'
+];
+
+// Documents the school generates for an application (never uploaded)
+const GENERATED_DOCUMENT_TYPES = [
+  'offer-letter',
+  'regret-letter'
+];
+
+// Documents each program expects before review
+const REQUIRED_DOCUMENTS = {
+  'playgroup': ['birth-certificate', 'immunisation-record', 'passport-photo'],
+  'nursery': ['birth-certificate', 'immunisation-record', 'passport-photo'],
+  'pre-primary': ['birth-certificate', 'immunisation-record', 'passport-photo'],
+  'primary': ['birth-certificate', 'immunisation-record', 'passport-photo', 'report-card']
+};
+
+// Programs whose applicants must complete an assessment before an offer is made
+const ASSESSMENT_REQUIRED_PROGRAMS = ['primary'];
+
+// Parent-facing description of each status
+const STATUS_DESCRIPTIONS = {
+  'submitted': {
+    label: 'Application received',
+    nextSteps: ['Upload any missing documents', 'Our admissions team will review your application shortly']
+  },
+  'documents-pending': {
+    label: 'Waiting for documents',
+    nextSteps: ['Upload the missing documents listed below so we can continue reviewing your application']
+  },
+  'under-review': {
+    label: 'Under review',
+    nextSteps: ['Our admissions team is reviewing your application', 'We will contact you if anything else is needed']
+  },
+  'interview-scheduled': {
+    label: 'Interview / assessment scheduled',
+    nextSteps: ['Attend the scheduled interview or assessment with your child', 'Bring the original copies of the documents you uploaded']
+  },
+  'offer-made': {
+    label: 'Offer made',
+    nextSteps: ['Check your email for the offer letter', 'Accept the offer before the deadline to secure a place']
+  },
+  'accepted': {
+    label: 'Offer accepted',
+    nextSteps: ['Complete fee payment and enrolment forms', 'We look forward to welcoming your child']
+  },
+  'declined': {
+    label: 'Offer declined',
+    nextSteps: ['Contact the admissions office if you would like to re-apply']
+  },
+  'waitlisted': {
+    label: 'Waitlisted',
+    nextSteps: ['We will contact you as soon as a place becomes available']
+  },
+  'rejected': {
+    label: 'Not successful',
+    nextSteps: ['Contact the admissions office if you would like to discuss this decision']
+  }
+};
+
+// Allowed next statuses for each status (terminal statuses have none)
+const STATUS_TRANSITIONS = {
+  'submitted': ['documents-pending', 'under-review', 'rejected'],
+  'documents-pending': ['under-review', 'rejected'],
+  'under-review': ['documents-pending', 'interview-scheduled', 'offer-made', 'waitlisted', 'rejected'],
+  'interview-scheduled': ['under-review', 'offer-made', 'waitlisted', 'rejected'],
+  'offer-made': ['accepted', 'declined'],
+  'waitlisted': ['offer-made', 'rejected'],
+  'accepted': [],
+  'declined': [],
+  'rejected': []
+};
+
+// Fields that must be supplied when moving into a status
+const TRANSITION_REQUIREMENTS = {
+  'documents-pending': ['reviewNotes'],
+  'interview-scheduled': ['interviewDate'],
+  'rejected': ['reviewNotes']
+};
+
+// Get the statuses an application may move to next
+const getAllowedTransitions = (status) => {
+  return STATUS_TRANSITIONS[status] || [];
+};
+
+// Check whether a transition is permitted
+const canTransition = (from, to) => {
+  return getAllowedTransitions(from).includes(to);
+};
+
+// Get the required fields missing from a transition payload
+const getMissingFields = (to, details = {}) => {
+  const required = TRANSITION_REQUIREMENTS[to] || [];
+  return required.filter(field => {
+    const value = details[field];
+    return value === undefined || value === null || value === '';
+  });
+};
+
+// Get the required document types not yet uploaded for an application
+const getMissingDocuments = (application) => {
+  const required = REQUIRED_DOCUMENTS[application.program] || [];
+  const uploaded = (application.documents || []).map(document => document.type);
+  return required.filter(type => !uploaded.includes(type));
+};
+
+// Build an error the routes and global error handler can map to a response
+const createTransitionError = (message, code, extra = {}) => {
+  const error = new Error(message);
+  error.status = code === 'TRANSITION_FIELDS_REQUIRED' ? 400 : 409;
+  error.code = code;
+  error.isTransitionError = true;
+  Object.assign(error, extra);
+  return error;
+};
+
+// Check whether an application's program requires an assessment
+const requiresAssessment = (program) => {
+  return ASSESSMENT_REQUIRED_PROGRAMS.includes(program);
+};
+
+// Validate a transition, throwing a descriptive error if it is not allowed
+// `application` (optional) enables checks that depend on the application itself
+const assertTransition = (from, to, details = {}, application) => {
+  if (!APPLICATION_STATUSES.includes(to)) {
+    throw createTransitionError(`Unknown application status: ${to}`, 'INVALID_STATUS');
+  }
+
+  if (!canTransition(from, to)) {
+    throw createTransitionError(
+      `Cannot move application from ${from} to ${to}`,
+      'INVALID_STATUS_TRANSITION',
+      { allowedTransitions: getAllowedTransitions(from) }
+    );
+  }
+
+  const missingFields = getMissingFields(to, details);
+  if (missingFields.length > 0) {
+    throw createTransitionError(
+      `Moving to ${to} requires: ${missingFields.join(', ')}`,
+      'TRANSITION_FIELDS_REQUIRED',
+      { missingFields }
+    );
+  }
+
+  if (to === 'offer-made' && application && requiresAssessment(application.program)) {
+    const assessment = application.assessment;
+    if (!assessment || !assessment.recordedAt || assessment.outcome === 'absent') {
+      throw createTransitionError(
+        `An assessment must be recorded before an offer is made for ${application.program} applicants`,
+        'ASSESSMENT_REQUIRED'
+      );
+    }
+  }
+};
+
+module.exports = {
+  APPLICATION_STATUSES,
+  DOCUMENT_TYPES,
+  GENERATED_DOCUMENT_TYPES,
+  REQUIRED_DOCUMENTS,
+  ASSESSMENT_REQUIRED_PROGRAMS,
+  STATUS_DESCRIPTIONS,
+  STATUS_TRANSITIONS,
+  TRANSITION_REQUIREMENTS,
+  getAllowedTransitions,
+  canTransition,
+  getMissingFields,
+  getMissingDocuments,
+  createTransitionError,
+  requiresAssessment,
+  assertTransition
+};
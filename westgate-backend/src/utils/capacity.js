@@ -0,0 +1,79 @@
+const Application = require('../models/Application');
+const ProgramCapacity = require('../models/ProgramCapacity');
+
+// Statuses that hold a seat
+const SEAT_HOLDING_STATUSES = ['offer-made', 'accepted'];
+
+// Escape a grade for an exact, case-insensitive match
+const gradeMatcher = (grade) => {
+  return new RegExp(`^${grade.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+};
+
+// Build the application filter for the pool a capacity rule covers
+const poolFilter = (rule) => {
+  const filter = { program: rule.program, intakeYear: rule.intakeYear };
+  if (rule.grade) filter.currentGrade = gradeMatcher(rule.grade);
+  return filter;
+};
+
+// Seat usage for a capacity rule
+const getRuleUsage = async (rule) => {
+  const filter = poolFilter(rule);
+  const [taken, waitlisted] = await Promise.all([
+    Application.countDocuments({ ...filter, status: { $in: SEAT_HOLDING_STATUSES } }),
+    Application.countDocuments({ ...filter, status: 'waitlisted' })
+  ]);
+
+  return {
+    id: rule._id,
+    program: rule.program,
+    grade: rule.grade || null,
+    intakeYear: rule.intakeYear,
+    capacity: rule.capacity,
+    taken,
+    remaining: Math.max(rule.capacity - taken, 0),
+    waitlisted
+  };
+};
+
+// Seat usage for an application's pool (null when no capacity is configured)
+// A grade rule and the program-wide rule both cap the pool; the tighter one is returned
+const getSeatUsage = async (application) => {
+  const rules = await ProgramCapacity.findRules(application.program, application.currentGrade, application.intakeYear);
+  if (rules.length === 0) return null;
+
+  const usage = await Promise.all(rules.map(getRuleUsage));
+  return usage.reduce((tightest, rule) => (rule.remaining < tightest.remaining ? rule : tightest));
+};
+
+// Whether an application can be given a seat (unlimited when no rule exists)
+const hasSeatAvailable = async (application) => {
+  const usage = await getSeatUsage(application);
+  return !usage || usage.remaining > 0;
+};
+
+// Seat usage for every rule in an intake year
+const getCapacityOverview = async (intakeYear) => {
+  const rules = await ProgramCapacity.find({ intakeYear }).sort({ program: 1, grade: 1 });
+  return Promise.all(rules.map(getRuleUsage));
+};
+
+// Seats left across an overview: a program-wide rule caps its grade rules, so a program
+// counts its program-wide rule when it has one and its grade rules otherwise
+const countRemainingSeats = (usage) => {
+  const programWide = new Set(usage.filter(rule => !rule.grade).map(rule => rule.program));
+
+  return usage
+    .filter(rule => !rule.grade || !programWide.has(rule.program))
+    .reduce((total, rule) => total + rule.remaining, 0);
+};
+
+module.exports = {
+  SEAT_HOLDING_STATUSES,
+  gradeMatcher,
+  poolFilter,
+  getSeatUsage,
+  hasSeatAvailable,
+  getCapacityOverview,
+  countRemainingSeats
+};
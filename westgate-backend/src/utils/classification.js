@@ -0,0 +1,63 @@
+// Message types and priorities (in escalation order) a classification rule can suggest
+const MESSAGE_TYPES = ['inquiry', 'complaint', 'suggestion', 'general'];
+const MESSAGE_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Message fields a rule's keywords are looked for in
+const CLASSIFIED_FIELDS = ['subject', 'message'];
+
+// Message fields an admin override is recorded for
+const OVERRIDABLE_FIELDS = ['messageType', 'priority', 'tags'];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Keywords match whole words or phrases, ignoring case; a trailing * matches any ending
+// (e.g. "bull*" matches bully, bullied and bullying)
+const keywordPattern = (keyword) => {
+  const stem = keyword.trim().replace(/\*$/, '');
+  const ending = keyword.trim().endsWith('*') ? '\\w*' : '';
+  return new RegExp(`\\b${escapeRegex(stem).replace(/\s+/g, '\\s+')}${ending}\\b`, 'i');
+};
+
+const isValidKeyword = (keyword) => typeof keyword === 'string' && /\w/.test(keyword.replace(/\*$/, ''));
+
+const priorityRank = (priority) => MESSAGE_PRIORITIES.indexOf(priority);
+
+// Run the rules over a message's subject and text
+// Returns null when no rule matches, otherwise the suggestion and the rules behind it:
+// the highest suggested priority, the type from the most pressing rule (then the one with
+// most keyword hits), and every suggested tag
+const matchRules = (message, rules) => {
+  const text = CLASSIFIED_FIELDS.map(field => message[field] || '').join('\n');
+
+  const matches = rules
+    .map(rule => ({ rule, keywords: rule.keywords.filter(keyword => keywordPattern(keyword).test(text)) }))
+    .filter(match => match.keywords.length > 0);
+
+  if (matches.length === 0) return null;
+
+  const ranked = [...matches].sort((a, b) =>
+    priorityRank(b.rule.priority) - priorityRank(a.rule.priority) || b.keywords.length - a.keywords.length
+  );
+  const typed = ranked.find(match => match.rule.messageType);
+  const prioritised = ranked.find(match => match.rule.priority);
+
+  return {
+    messageType: typed ? typed.rule.messageType : undefined,
+    priority: prioritised ? prioritised.rule.priority : undefined,
+    tags: [...new Set(matches.flatMap(match => match.rule.tags || []))],
+    matches: matches.map(match => ({
+      rule: match.rule._id,
+      name: match.rule.name,
+      keywords: match.keywords
+    }))
+  };
+};
+
+module.exports = {
+  MESSAGE_TYPES,
+  MESSAGE_PRIORITIES,
+  CLASSIFIED_FIELDS,
+  OVERRIDABLE_FIELDS,
+  isValidKeyword,
+  matchRules
+};
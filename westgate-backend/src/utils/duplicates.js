@@ -0,0 +1,256 @@
+const Application = require('../models/Application');
+const ApplicationHistory = require('../models/ApplicationHistory');
+const Appointment = require('../models/Appointment');
+const DuplicateMatch = require('../models/DuplicateMatch');
+const { phoneKey, phoneKeyPattern } = require('./phone');
+
+// Student names at least this similar (0-1) count as the same child
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+
+// Lowercase, strip accents and anything that is not a letter
+const normaliseName = (name) => {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z]/g, '');
+};
+
+// Edit distance between two strings
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Similarity (0-1) of two strings by edit distance
+const similarity = (a, b) => {
+  if (!a || !b) return 0;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+};
+
+// Similarity of two students' names, allowing first and last name to be swapped
+const nameSimilarity = (a, b) => {
+  const first = normaliseName(a.studentFirstName);
+  const last = normaliseName(a.studentLastName);
+  const otherFirst = normaliseName(b.studentFirstName);
+  const otherLast = normaliseName(b.studentLastName);
+
+  return Math.max(
+    similarity(first + last, otherFirst + otherLast),
+    similarity(first + last, otherLast + otherFirst)
+  );
+};
+
+// Whether two dates fall on the same calendar day (UTC)
+const sameDay = (a, b) => {
+  return Boolean(a && b) && new Date(a).toISOString().slice(0, 10) === new Date(b).toISOString().slice(0, 10);
+};
+
+// Score how likely two applications are for the same child
+// Returns null unless the names match and the date of birth or parent phone agrees,
+// so siblings sharing a parent's contact details are not flagged
+const compareApplications = (application, candidate) => {
+  const nameScore = nameSimilarity(application, candidate);
+  if (nameScore < NAME_SIMILARITY_THRESHOLD) return null;
+
+  const reasons = ['student-name'];
+  const matchedDateOfBirth = sameDay(application.dateOfBirth, candidate.dateOfBirth);
+  const matchedPhone = phoneKey(application.phone).length === 9 && phoneKey(application.phone) === phoneKey(candidate.phone);
+
+  if (matchedDateOfBirth) reasons.push('date-of-birth');
+  if (matchedPhone) reasons.push('parent-phone');
+  if (!matchedDateOfBirth && !matchedPhone) return null;
+
+  const matchedEmail = Boolean(application.email) && application.email === candidate.email;
+  if (matchedEmail) reasons.push('parent-email');
+
+  const score = nameScore * 0.5 +
+    (matchedDateOfBirth ? 0.25 : 0) +
+    (matchedPhone ? 0.2 : 0) +
+    (matchedEmail ? 0.05 : 0);
+
+  return { score: Math.round(score * 100) / 100, reasons };
+};
+
+// Find existing applications that look like the same child
+const findDuplicateCandidates = async (application) => {
+  const or = [];
+
+  if (application.dateOfBirth) {
+    const day = new Date(application.dateOfBirth);
+    day.setUTCHours(0, 0, 0, 0);
+    const nextDay = new Date(day.getTime() + 24 * 60 * 60 * 1000);
+    or.push({ dateOfBirth: { $gte: day, $lt: nextDay } });
+  }
+
+  const digits = phoneKey(application.phone);
+  if (digits.length === 9) {
+    or.push({ phone: { $regex: phoneKeyPattern(digits) } });
+  }
+
+  if (or.length === 0) return [];
+
+  // Unsaved applications (e.g. import previews) have no ID to exclude
+  const filter = { $or: or };
+  if (application._id) filter._id = { $ne: application._id };
+
+  const candidates = await Application.find(filter)
+    .select('applicationNumber studentFirstName studentLastName dateOfBirth email phone createdAt');
+
+  return candidates
+    .map(candidate => ({ candidate, match: compareApplications(application, candidate) }))
+    .filter(entry => entry.match)
+    .sort((a, b) => b.match.score - a.match.score);
+};
+
+// Queue suspected duplicates of an application for review (never throws)
+const flagDuplicates = async (application) => {
+  try {
+    const matches = await findDuplicateCandidates(application);
+
+    for (const { candidate, match } of matches) {
+      // Keep the pair oriented newest -> oldest so a rescan does not queue it twice
+      const [newer, older] = candidate.createdAt > application.createdAt
+        ? [candidate, application]
+        : [application, candidate];
+
+      await DuplicateMatch.updateOne(
+        { application: newer._id, matchedApplication: older._id },
+        {
+          $set: { score: match.score, reasons: match.reasons },
+          $setOnInsert: { status: 'pending' }
+        },
+        { upsert: true }
+      );
+    }
+
+    if (matches.length > 0) {
+      console.log(`👯 Application ${application.applicationNumber} resembles ${matches.length} existing application(s)`);
+    }
+
+    return matches;
+  } catch (error) {
+    console.error(`Duplicate check failed for ${application.applicationNumber}:`, error);
+    return [];
+  }
+};
+
+// Copy the duplicate's records and answers onto the primary (the primary's own values win)
+const foldDuplicate = async (primary, duplicate, { keepFields, performedBy, keepsAppointment }) => {
+  const updates = {};
+  keepFields.forEach(field => {
+    if (duplicate.get(field) !== undefined) updates[field] = duplicate.get(field);
+  });
+  await primary.applyEdits(updates, performedBy);
+
+  primary.documents.push(...duplicate.documents.map(document => document.toObject()));
+  primary.emailLog.push(...duplicate.emailLog.map(entry => entry.toObject()));
+
+  // Reviewers only on the duplicate keep their assignment and scores; the primary's reviews win otherwise
+  primary.reviews.push(...duplicate.reviews
+    .filter(review => !primary.getReview(review.reviewer))
+    .map(review => review.toObject()));
+
+  // Custom form answers the primary has no answer for
+  const answeredKeys = new Set(primary.customFields.map(field => field.key));
+  primary.customFields.push(...duplicate.customFields
+    .filter(field => !answeredKeys.has(field.key))
+    .map(field => field.toObject()));
+
+  if (!primary.get('eligibility.status') && duplicate.get('eligibility.status')) {
+    primary.eligibility = duplicate.toObject().eligibility;
+  }
+  if (!primary.get('assessment.outcome') && duplicate.get('assessment.outcome')) {
+    primary.assessment = duplicate.toObject().assessment;
+  }
+  if (!primary.family && duplicate.family) {
+    primary.family = duplicate.family;
+    primary.hasSibling = duplicate.hasSibling;
+  }
+  if (keepsAppointment && !primary.interviewDate) {
+    primary.interviewDate = duplicate.interviewDate;
+  }
+
+  // Review notes are a single field; the duplicate's are kept in the merge entry if both have some
+  const replacedNotes = [];
+  if (duplicate.reviewNotes && !primary.reviewNotes) {
+    primary.reviewNotes = duplicate.reviewNotes;
+  } else if (duplicate.reviewNotes && duplicate.reviewNotes !== primary.reviewNotes) {
+    replacedNotes.push({ field: 'reviewNotes', from: duplicate.reviewNotes, to: primary.reviewNotes });
+  }
+
+  // Carry over anything previously merged into the duplicate so its history stays reachable
+  primary.mergedFrom.push(
+    ...duplicate.mergedFrom.map(entry => entry.toObject()),
+    {
+      application: duplicate._id,
+      applicationNumber: duplicate.applicationNumber,
+      mergedBy: performedBy
+    }
+  );
+
+  await primary.save();
+
+  return replacedNotes;
+};
+
+// Fold a duplicate into the primary application and delete the duplicate
+// `keepFields` lists fields whose values should be taken from the duplicate.
+// Each step can be repeated: if a merge fails part-way, merging the same pair again
+// finishes it without copying anything twice (the primary's merge entry marks the copy as done)
+const mergeApplications = async (primary, duplicate, { keepFields = [], performedBy } = {}) => {
+  // An application has at most one open appointment: the primary's wins
+  const [primaryAppointment, duplicateAppointment] = await Promise.all([
+    Appointment.getActiveForApplication(primary._id),
+    Appointment.getActiveForApplication(duplicate._id)
+  ]);
+  const keepsAppointment = Boolean(duplicateAppointment && !primaryAppointment);
+
+  const alreadyFolded = primary.mergedFrom.some(entry => entry.application && entry.application.equals(duplicate._id));
+  const replacedNotes = alreadyFolded
+    ? []
+    : await foldDuplicate(primary, duplicate, { keepFields, performedBy, keepsAppointment });
+
+  if (primaryAppointment) {
+    await Appointment.cancelActiveForApplication(duplicate._id);
+  }
+
+  await Promise.all([
+    Appointment.updateMany({ application: duplicate._id }, { $set: { application: primary._id } }),
+    DuplicateMatch.updateMany(
+      { $or: [{ application: duplicate._id }, { matchedApplication: duplicate._id }] },
+      { $set: { status: 'merged', reviewedBy: performedBy, reviewedAt: new Date() } }
+    )
+  ]);
+
+  await Application.deleteOne({ _id: duplicate._id });
+
+  await ApplicationHistory.record(primary, {
+    action: 'merged',
+    note: `Merged duplicate application ${duplicate.applicationNumber} (${duplicate.documents.length} document(s))` +
+      (primaryAppointment && duplicateAppointment ? '; its appointment was cancelled' : ''),
+    changes: replacedNotes,
+    performedBy,
+    actorType: performedBy ? 'admin' : 'system'
+  });
+
+  return primary;
+};
+
+module.exports = {
+  NAME_SIMILARITY_THRESHOLD,
+  compareApplications,
+  findDuplicateCandidates,
+  flagDuplicates,
+  mergeApplications
+};
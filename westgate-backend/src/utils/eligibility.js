@@ -0,0 +1,90 @@
+const AgeRule = require('../models/AgeRule');
+
+// Completed months of age on a date
+const ageInMonths = (dateOfBirth, onDate) => {
+  const born = new Date(dateOfBirth);
+  const on = new Date(onDate);
+
+  let months = (on.getUTCFullYear() - born.getUTCFullYear()) * 12 + (on.getUTCMonth() - born.getUTCMonth());
+  if (on.getUTCDate() < born.getUTCDate()) months -= 1;
+  return months;
+};
+
+// "3 years 4 months"
+const formatAge = (months) => {
+  const years = Math.floor(months / 12);
+  const remainder = months % 12;
+  const parts = [];
+  if (years > 0) parts.push(`${years} year${years === 1 ? '' : 's'}`);
+  if (remainder > 0 || years === 0) parts.push(`${remainder} month${remainder === 1 ? '' : 's'}`);
+  return parts.join(' ');
+};
+
+// Date ages are measured on: the intake's cut-off, else its start date, else 1 January of its year
+const getAgeCutoffDate = (intake) => {
+  if (!intake) return new Date(Date.UTC(new Date().getFullYear(), 0, 1));
+  return intake.ageCutoffDate || intake.startsOn || new Date(Date.UTC(intake.year, 0, 1));
+};
+
+// Describe a rule's age band for parents
+const describeBand = (rule) => {
+  const hasMin = rule.minAgeMonths !== undefined && rule.minAgeMonths !== null;
+  const hasMax = rule.maxAgeMonths !== undefined && rule.maxAgeMonths !== null;
+
+  if (hasMin && hasMax) return `aged between ${formatAge(rule.minAgeMonths)} and ${formatAge(rule.maxAgeMonths)}`;
+  if (hasMin) return `at least ${formatAge(rule.minAgeMonths)} old`;
+  return `no older than ${formatAge(rule.maxAgeMonths)}`;
+};
+
+// Check a new application's age against the rule for its program and grade
+// Returns { eligibility } (null when no rule applies) or { error } when a rejecting rule is not met
+const assessEligibility = async (application, intake) => {
+  const rule = await AgeRule.findRule(application.program, application.currentGrade);
+  if (!rule || !application.dateOfBirth) return { eligibility: null };
+
+  const cutoffDate = getAgeCutoffDate(intake);
+  const ageMonths = ageInMonths(application.dateOfBirth, cutoffDate);
+
+  const tooYoung = rule.minAgeMonths !== undefined && rule.minAgeMonths !== null && ageMonths < rule.minAgeMonths;
+  const tooOld = rule.maxAgeMonths !== undefined && rule.maxAgeMonths !== null && ageMonths > rule.maxAgeMonths;
+
+  const eligibility = { status: 'eligible', ageMonths, cutoffDate, rule: rule._id };
+  if (!tooYoung && !tooOld) return { eligibility };
+
+  const placement = rule.grade ? `${rule.grade} (${rule.program})` : rule.program;
+  const cutoffLabel = new Date(cutoffDate).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+  const message = `Children joining ${placement} must be ${describeBand(rule)} on ${cutoffLabel}; this child will be ${formatAge(Math.max(ageMonths, 0))}`;
+
+  if (rule.action === 'reject') {
+    return {
+      error: {
+        status: 400,
+        message,
+        code: 'AGE_INELIGIBLE',
+        details: {
+          ageMonths,
+          minAgeMonths: rule.minAgeMonths,
+          maxAgeMonths: rule.maxAgeMonths,
+          cutoffDate
+        }
+      }
+    };
+  }
+
+  return { eligibility: { ...eligibility, status: 'flagged', message } };
+};
+
+// Record why a saved application was flagged for manual age review
+const noteEligibilityFlag = (application) => {
+  if (!application.eligibility || application.eligibility.status !== 'flagged') return null;
+
+  return application.addNote(`Flagged for age review: ${application.eligibility.message}`);
+};
+
+module.exports = {
+  ageInMonths,
+  formatAge,
+  getAgeCutoffDate,
+  assessEligibility,
+  noteEligibilityFlag
+};
@@ -16,6 +16,20 @@ const createTransporter = () => {
   });
 };
 
+// Public page where parents track their application
+const getTrackingUrl = () => {
+  return `${process.env.FRONTEND_URL || 'https://westgateschool.ac.ke'}/admissions/track`;
+};
+
+// Escape free text (message and reply bodies) for HTML, keeping line breaks
+const escapeHtml = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;')
+  .replace(/\n/g, '<br>');
+
 // Email templates
 const emailTemplates = {
   contactNotification: (contact) => ({
@@ -173,6 +187,94 @@ const emailTemplates = {
     `
   }),
 
+  messageReply: (message, reply, quoted) => ({
+    subject: `Re: ${message.subject}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8fafc;">
+        <div style="background-color: #DC2626; color: white; padding: 20px; border-radius: 8px 8px 0 0;">
+          <h1 style="margin: 0; font-size: 24px;">Reply to Your Message</h1>
+          <p style="margin: 10px 0 0 0; opacity: 0.9;">Westgate Group of Schools</p>
+        </div>
+        
+        <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+          <p style="color: #1f2937; font-size: 18px; margin: 0 0 20px 0;">Dear ${escapeHtml(message.firstName)},</p>
+          
+          <p style="color: #374151; line-height: 1.6; margin: 0 0 20px 0;">${escapeHtml(reply.body)}</p>
+          
+          <p style="color: #374151; line-height: 1.6; margin: 0 0 20px 0;">
+            You can reply to this email if you have any further questions.
+          </p>
+          
+          ${quoted ? `
+          <div style="border-left: 4px solid #e5e7eb; padding: 10px 15px; margin: 30px 0 0 0;">
+            <p style="color: #6b7280; margin: 0 0 10px 0; font-size: 14px;">
+              On ${new Date(quoted.createdAt).toLocaleDateString()}, you wrote:
+            </p>
+            <p style="color: #6b7280; margin: 0; line-height: 1.6; font-size: 14px;">${escapeHtml(quoted.body)}</p>
+          </div>
+          ` : ''}
+          
+          <div style="border-top: 1px solid #e5e7eb; padding-top: 20px; margin-top: 30px;">
+            <table style="width: 100%;">
+              <tr>
+                <td style="padding: 5px 0; color: #374151;"><strong>Phone:</strong> +254 722 000 000</td>
+                <td style="padding: 5px 0; color: #374151;"><strong>Email:</strong> info@westgateschool.ac.ke</td>
+              </tr>
+              <tr>
+                <td colspan="2" style="padding: 5px 0; color: #374151;"><strong>Reference ID:</strong> ${message._id.toString().slice(-8).toUpperCase()}</td>
+              </tr>
+            </table>
+          </div>
+        </div>
+        
+        <div style="text-align: center; margin-top: 20px; color: #6b7280; font-size: 14px;">
+          <p>Westgate Group of Schools - Excellence in Education Since 1995</p>
+        </div>
+      </div>
+    `
+  }),
+
+  contactReply: (contact, response) => ({
+    subject: 'Re: Your inquiry to Westgate Group of Schools',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8fafc;">
+        <div style="background-color: #DC2626; color: white; padding: 20px; border-radius: 8px 8px 0 0;">
+          <h1 style="margin: 0; font-size: 24px;">Reply to Your Inquiry</h1>
+          <p style="margin: 10px 0 0 0; opacity: 0.9;">Westgate Group of Schools</p>
+        </div>
+        
+        <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+          <p style="color: #1f2937; font-size: 18px; margin: 0 0 20px 0;">Dear ${escapeHtml(contact.name)},</p>
+          
+          <p style="color: #374151; line-height: 1.6; margin: 0 0 20px 0;">${escapeHtml(response)}</p>
+          
+          <div style="border-left: 4px solid #e5e7eb; padding: 10px 15px; margin: 30px 0 0 0;">
+            <p style="color: #6b7280; margin: 0 0 10px 0; font-size: 14px;">
+              On ${new Date(contact.createdAt).toLocaleDateString()}, you wrote:
+            </p>
+            <p style="color: #6b7280; margin: 0; line-height: 1.6; font-size: 14px;">${escapeHtml(contact.message)}</p>
+          </div>
+          
+          <div style="border-top: 1px solid #e5e7eb; padding-top: 20px; margin-top: 30px;">
+            <table style="width: 100%;">
+              <tr>
+                <td style="padding: 5px 0; color: #374151;"><strong>Phone:</strong> +254 722 000 000</td>
+                <td style="padding: 5px 0; color: #374151;"><strong>Email:</strong> info@westgateschool.ac.ke</td>
+              </tr>
+              <tr>
+                <td colspan="2" style="padding: 5px 0; color: #374151;"><strong>Reference ID:</strong> ${contact._id.toString().slice(-8).toUpperCase()}</td>
+              </tr>
+            </table>
+          </div>
+        </div>
+        
+        <div style="text-align: center; margin-top: 20px; color: #6b7280; font-size: 14px;">
+          <p>Westgate Group of Schools - Excellence in Education Since 1995</p>
+        </div>
+      </div>
+    `
+  }),
+
   welcomeNewsletter: (newsletter) => ({
     subject: 'Welcome to the Westgate Family Newsletter!',
     html: `
@@ -244,6 +346,391 @@ const emailTemplates = {
         </div>
       </div>
     `
+  }),
+
+  applicationConfirmation: (application, accessSecret) => ({
+    subject: `Application Received - ${application.applicationNumber}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8fafc;">
+        <div style="background-color: #DC2626; color: white; padding: 20px; border-radius: 8px 8px 0 0;">
+          <h1 style="margin: 0; font-size: 24px;">Application Received</h1>
+          <p style="margin: 10px 0 0 0; opacity: 0.9;">Westgate Group of Schools</p>
+        </div>
+        
+        <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+          <p style="color: #1f2937; font-size: 18px; margin: 0 0 20px 0;">Dear ${application.parentFirstName},</p>
+          
+          <p style="color: #374151; line-height: 1.6; margin: 0 0 20px 0;">
+            Thank you for applying to Westgate Group of Schools. We have received the application for
+            <strong>${application.studentFirstName} ${application.studentLastName}</strong> to our
+            <strong>${application.program}</strong> program.
+          </p>
+          
+          <table style="width: 100%; border-collapse: collapse; background-color: #f8fafc; border-radius: 6px; overflow: hidden; margin: 20px 0;">
+            <tr>
+              <td style="padding: 12px 15px; font-weight: bold; color: #374151; border-bottom: 1px solid #e5e7eb;">Application Number:</td>
+              <td style="padding: 12px 15px; color: #1f2937; border-bottom: 1px solid #e5e7eb;">${application.applicationNumber}</td>
+            </tr>
+            <tr>
+              <td style="padding: 12px 15px; font-weight: bold; color: #374151;">Submitted:</td>
+              <td style="padding: 12px 15px; color: #1f2937;">${new Date(application.createdAt).toLocaleDateString()}</td>
+            </tr>
+          </table>
+          
+          ${accessSecret ? `
+          <div style="background-color: #fef3c7; border: 1px solid #fbbf24; border-radius: 6px; padding: 20px; margin: 20px 0;">
+            <p style="color: #92400e; margin: 0; font-weight: bold;">Your document upload code</p>
+            <p style="color: #92400e; margin: 10px 0 0 0; font-family: monospace; word-break: break-all;">${accessSecret}</p>
+            <p style="color: #92400e; margin: 10px 0 0 0;">Keep this code private. You will need it with your application number to upload documents.</p>
+          </div>
+          ` : ''}
+          
+          <div style="background-color: #f0fdf4; border: 1px solid #bbf7d0; border-radius: 6px; padding: 20px; margin: 20px 0;">
+            <h3 style="color: #166534; margin: 0 0 10px 0; font-size: 16px;">What happens next?</h3>
+            <ul style="color: #166534; margin: 0; padding-left: 20px;">
+              <li style="margin-bottom: 8px;">Upload the supporting documents for your application</li>
+              <li style="margin-bottom: 8px;">Our admissions team will review your application</li>
+              <li style="margin-bottom: 8px;">You will receive an email each time your application status changes</li>
+            </ul>
+          </div>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${getTrackingUrl()}" 
+               style="background-color: #DC2626; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold; display: inline-block;">
+              Track Your Application
+            </a>
+          </div>
+        </div>
+        
+        <div style="text-align: center; margin-top: 20px; color: #6b7280; font-size: 14px;">
+          <p>Westgate Group of Schools - Excellence in Education Since 1995</p>
+        </div>
+      </div>
+    `
+  }),
+
+  draftResumeLink: (draft, link) => ({
+    subject: 'Continue Your Westgate Application',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8fafc;">
+        <div style="background-color: #DC2626; color: white; padding: 20px; border-radius: 8px 8px 0 0;">
+          <h1 style="margin: 0; font-size: 24px;">Your Application Is Saved</h1>
+          <p style="margin: 10px 0 0 0; opacity: 0.9;">Westgate Group of Schools</p>
+        </div>
+        
+        <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+          <p style="color: #1f2937; font-size: 18px; margin: 0 0 20px 0;">Dear Parent,</p>
+          
+          <p style="color: #374151; line-height: 1.6; margin: 0 0 20px 0;">
+            We have saved your application to Westgate Group of Schools
+            so you can finish it later. Use the link below to pick up where you left off, on any device.
+          </p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${link}" 
+               style="background-color: #DC2626; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold; display: inline-block;">
+              Continue Application
+            </a>
+          </div>
+          
+          <p style="color: #6b7280; line-height: 1.6; margin: 0;">
+            Keep this link private: anyone with it can see and change your answers. Unfinished applications are
+            deleted if they are not saved again before ${new Date(draft.expiresAt).toLocaleDateString()}.
+          </p>
+        </div>
+        
+        <div style="text-align: center; margin-top: 20px; color: #6b7280; font-size: 14px;">
+          <p>Westgate Group of Schools - Excellence in Education Since 1995</p>
+        </div>
+      </div>
+    `
+  }),
+
+  applicationStatusUpdate: (application, statusLabel, nextSteps = []) => ({
+    subject: `Application ${application.applicationNumber} - ${statusLabel}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8fafc;">
+        <div style="background-color: #DC2626; color: white; padding: 20px; border-radius: 8px 8px 0 0;">
+          <h1 style="margin: 0; font-size: 24px;">Application Update</h1>
+          <p style="margin: 10px 0 0 0; opacity: 0.9;">Westgate Group of Schools</p>
+        </div>
+        
+        <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+          <p style="color: #1f2937; font-size: 18px; margin: 0 0 20px 0;">Dear ${application.parentFirstName},</p>
+          
+          <p style="color: #374151; line-height: 1.6; margin: 0 0 20px 0;">
+            The application for <strong>${application.studentFirstName} ${application.studentLastName}</strong>
+            (${application.applicationNumber}) has been updated.
+          </p>
+          
+          <div style="border-left: 4px solid #DC2626; padding-left: 20px; margin: 20px 0;">
+            <h2 style="color: #1f2937; margin: 0 0 5px 0;">${statusLabel}</h2>
+            <p style="color: #6b7280; margin: 0;">Updated: ${new Date().toLocaleString()}</p>
+          </div>
+          
+          ${nextSteps.length > 0 ? `
+          <div style="background-color: #f0fdf4; border: 1px solid #bbf7d0; border-radius: 6px; padding: 20px; margin: 20px 0;">
+            <h3 style="color: #166534; margin: 0 0 10px 0; font-size: 16px;">Next steps</h3>
+            <ul style="color: #166534; margin: 0; padding-left: 20px;">
+              ${nextSteps.map(step => `<li style="margin-bottom: 8px;">${step}</li>`).join('')}
+            </ul>
+          </div>
+          ` : ''}
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${getTrackingUrl()}" 
+               style="background-color: #DC2626; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold; display: inline-block;">
+              Track Your Application
+            </a>
+          </div>
+        </div>
+        
+        <div style="text-align: center; margin-top: 20px; color: #6b7280; font-size: 14px;">
+          <p>Westgate Group of Schools - Excellence in Education Since 1995</p>
+        </div>
+      </div>
+    `
+  }),
+
+  documentRequest: (application, missingDocuments = [], message) => ({
+    subject: `Documents Required - Application ${application.applicationNumber}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8fafc;">
+        <div style="background-color: #DC2626; color: white; padding: 20px; border-radius: 8px 8px 0 0;">
+          <h1 style="margin: 0; font-size: 24px;">Documents Required</h1>
+          <p style="margin: 10px 0 0 0; opacity: 0.9;">Westgate Group of Schools</p>
+        </div>
+        
+        <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+          <p style="color: #1f2937; font-size: 18px; margin: 0 0 20px 0;">Dear ${application.parentFirstName},</p>
+          
+          <p style="color: #374151; line-height: 1.6; margin: 0 0 20px 0;">
+            To continue processing the application for <strong>${application.studentFirstName} ${application.studentLastName}</strong>
+            (${application.applicationNumber}), we need the following documents:
+          </p>
+          
+          ${missingDocuments.length > 0 ? `
+          <div style="background-color: #fef3c7; border: 1px solid #fbbf24; border-radius: 6px; padding: 20px; margin: 20px 0;">
+            <ul style="color: #92400e; margin: 0; padding-left: 20px;">
+              ${missingDocuments.map(type => `<li style="margin-bottom: 8px;">${type.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase())}</li>`).join('')}
+            </ul>
+          </div>
+          ` : ''}
+          
+          ${message ? `
+          <div style="background-color: #f8fafc; padding: 20px; border-radius: 6px; border-left: 4px solid #F59E0B; margin: 20px 0;">
+            <p style="color: #1f2937; margin: 0; line-height: 1.6;">${message}</p>
+          </div>
+          ` : ''}
+          
+          <p style="color: #374151; line-height: 1.6; margin: 0 0 20px 0;">
+            Please upload them using your application number and the upload code from your confirmation email.
+          </p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${getTrackingUrl()}" 
+               style="background-color: #DC2626; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold; display: inline-block;">
+              Upload Documents
+            </a>
+          </div>
+        </div>
+        
+        <div style="text-align: center; margin-top: 20px; color: #6b7280; font-size: 14px;">
+          <p>Westgate Group of Schools - Excellence in Education Since 1995</p>
+        </div>
+      </div>
+    `
+  }),
+
+  assessmentInvitation: (application, slot, link, isReschedule = false) => ({
+    subject: `${isReschedule ? 'Rescheduled' : 'Invitation'}: ${slot.type === 'interview' ? 'Interview' : 'Assessment'} for ${application.studentFirstName} - ${application.applicationNumber}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8fafc;">
+        <div style="background-color: #DC2626; color: white; padding: 20px; border-radius: 8px 8px 0 0;">
+          <h1 style="margin: 0; font-size: 24px;">${slot.type === 'interview' ? 'Interview' : 'Assessment'} ${isReschedule ? 'Rescheduled' : 'Scheduled'}</h1>
+          <p style="margin: 10px 0 0 0; opacity: 0.9;">Westgate Group of Schools</p>
+        </div>
+        
+        <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+          <p style="color: #1f2937; font-size: 18px; margin: 0 0 20px 0;">Dear ${application.parentFirstName},</p>
+          
+          <p style="color: #374151; line-height: 1.6; margin: 0 0 20px 0;">
+            ${application.studentFirstName} ${application.studentLastName} (${application.applicationNumber}) has been
+            scheduled for an admissions ${slot.type}.
+          </p>
+          
+          <table style="width: 100%; border-collapse: collapse; background-color: #f8fafc; border-radius: 6px; overflow: hidden; margin: 20px 0;">
+            <tr>
+              <td style="padding: 12px 15px; font-weight: bold; color: #374151; border-bottom: 1px solid #e5e7eb;">Date:</td>
+              <td style="padding: 12px 15px; color: #1f2937; border-bottom: 1px solid #e5e7eb;">${new Date(slot.startsAt).toLocaleDateString()}</td>
+            </tr>
+            <tr>
+              <td style="padding: 12px 15px; font-weight: bold; color: #374151; border-bottom: 1px solid #e5e7eb;">Time:</td>
+              <td style="padding: 12px 15px; color: #1f2937; border-bottom: 1px solid #e5e7eb;">${new Date(slot.startsAt).toLocaleTimeString()} - ${new Date(slot.endsAt).toLocaleTimeString()}</td>
+            </tr>
+            <tr>
+              <td style="padding: 12px 15px; font-weight: bold; color: #374151;">Location:</td>
+              <td style="padding: 12px 15px; color: #1f2937;">${slot.location || 'Westgate Road, Nairobi'}</td>
+            </tr>
+          </table>
+          
+          <p style="color: #374151; line-height: 1.6; margin: 0 0 20px 0;">
+            Please confirm that you can attend, or choose another time, using the link below.
+          </p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${link}" 
+               style="background-color: #DC2626; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold; display: inline-block;">
+              Confirm or Reschedule
+            </a>
+          </div>
+        </div>
+        
+        <div style="text-align: center; margin-top: 20px; color: #6b7280; font-size: 14px;">
+          <p>Westgate Group of Schools - Excellence in Education Since 1995</p>
+        </div>
+      </div>
+    `
+  }),
+
+  decisionLetter: (application, letter) => ({
+    subject: letter.subject,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8fafc;">
+        <div style="background-color: #DC2626; color: white; padding: 20px; border-radius: 8px 8px 0 0;">
+          <h1 style="margin: 0; font-size: 24px;">${letter.type === 'offer' ? 'Offer of Admission' : 'Admissions Decision'}</h1>
+          <p style="margin: 10px 0 0 0; opacity: 0.9;">Westgate Group of Schools</p>
+        </div>
+        
+        <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+          <p style="color: #1f2937; font-size: 18px; margin: 0 0 20px 0;">Dear ${application.parentFirstName},</p>
+          
+          <p style="color: #374151; line-height: 1.6; margin: 0 0 20px 0;">
+            Please find attached our letter regarding the application for <strong>${application.studentFirstName} ${application.studentLastName}</strong>
+            (${application.applicationNumber}).
+          </p>
+          
+          ${letter.type === 'offer' ? `
+          <div style="background-color: #f0fdf4; border: 1px solid #bbf7d0; border-radius: 6px; padding: 20px; margin: 20px 0;">
+            <p style="color: #166534; margin: 0; line-height: 1.6;">
+              Congratulations! The attached offer letter sets out the fees and reporting date. Please accept the offer before the deadline to secure a place.
+            </p>
+          </div>
+          ` : ''}
+          
+          <p style="color: #374151; line-height: 1.6; margin: 0 0 20px 0;">
+            If you have any questions, please contact the admissions office.
+          </p>
+        </div>
+        
+        <div style="text-align: center; margin-top: 20px; color: #6b7280; font-size: 14px;">
+          <p>Westgate Group of Schools - Excellence in Education Since 1995</p>
+        </div>
+      </div>
+    `
+  }),
+
+  admissionsDigest: (applications, since) => ({
+    subject: `Admissions Digest - ${applications.length} new application${applications.length === 1 ? '' : 's'}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8fafc;">
+        <div style="background-color: #DC2626; color: white; padding: 20px; border-radius: 8px 8px 0 0;">
+          <h1 style="margin: 0; font-size: 24px;">Admissions Digest</h1>
+          <p style="margin: 10px 0 0 0; opacity: 0.9;">New applications since ${new Date(since).toLocaleString()}</p>
+        </div>
+        
+        <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+          ${applications.length === 0 ? `
+          <p style="color: #374151; margin: 0;">No new applications were submitted in this period.</p>
+          ` : `
+          <table style="width: 100%; border-collapse: collapse;">
+            <tr>
+              <th style="padding: 8px; text-align: left; color: #374151; border-bottom: 2px solid #e5e7eb;">Number</th>
+              <th style="padding: 8px; text-align: left; color: #374151; border-bottom: 2px solid #e5e7eb;">Student</th>
+              <th style="padding: 8px; text-align: left; color: #374151; border-bottom: 2px solid #e5e7eb;">Program</th>
+              <th style="padding: 8px; text-align: left; color: #374151; border-bottom: 2px solid #e5e7eb;">Status</th>
+            </tr>
+            ${applications.map(application => `
+            <tr>
+              <td style="padding: 8px; color: #1f2937; border-bottom: 1px solid #e5e7eb;">${application.applicationNumber}</td>
+              <td style="padding: 8px; color: #1f2937; border-bottom: 1px solid #e5e7eb;">${application.studentFirstName} ${application.studentLastName}</td>
+              <td style="padding: 8px; color: #1f2937; border-bottom: 1px solid #e5e7eb;">${application.program}</td>
+              <td style="padding: 8px; color: #1f2937; border-bottom: 1px solid #e5e7eb;">${application.status}</td>
+            </tr>
+            `).join('')}
+          </table>
+          `}
+        </div>
+        
+        <div style="text-align: center; margin-top: 20px; color: #6b7280; font-size: 14px;">
+          <p>This digest was generated by the Westgate School admissions system.</p>
+        </div>
+      </div>
+    `
+  }),
+
+  overdueMessagesDigest: (breaches, followUps) => ({
+    subject: `Overdue Messages - ${breaches.length} past SLA, ${followUps.length} follow-up${followUps.length === 1 ? '' : 's'} due`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8fafc;">
+        <div style="background-color: #DC2626; color: white; padding: 20px; border-radius: 8px 8px 0 0;">
+          <h1 style="margin: 0; font-size: 24px;">Overdue Messages</h1>
+          <p style="margin: 10px 0 0 0; opacity: 0.9;">As of ${new Date().toLocaleString()}</p>
+        </div>
+        
+        <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+          <h2 style="color: #1f2937; margin: 0 0 15px 0; font-size: 18px;">Awaiting a reply past SLA</h2>
+          ${breaches.length === 0 ? `
+          <p style="color: #374151; margin: 0 0 30px 0;">Every waiting sender is within the SLA.</p>
+          ` : `
+          <table style="width: 100%; border-collapse: collapse; margin: 0 0 30px 0;">
+            <tr>
+              <th style="padding: 8px; text-align: left; color: #374151; border-bottom: 2px solid #e5e7eb;">Sender</th>
+              <th style="padding: 8px; text-align: left; color: #374151; border-bottom: 2px solid #e5e7eb;">Subject</th>
+              <th style="padding: 8px; text-align: left; color: #374151; border-bottom: 2px solid #e5e7eb;">Type</th>
+              <th style="padding: 8px; text-align: left; color: #374151; border-bottom: 2px solid #e5e7eb;">Priority</th>
+              <th style="padding: 8px; text-align: left; color: #374151; border-bottom: 2px solid #e5e7eb;">Due</th>
+            </tr>
+            ${breaches.map(message => `
+            <tr>
+              <td style="padding: 8px; color: #1f2937; border-bottom: 1px solid #e5e7eb;">${escapeHtml(message.fullName)}</td>
+              <td style="padding: 8px; color: #1f2937; border-bottom: 1px solid #e5e7eb;">${escapeHtml(message.subject)}</td>
+              <td style="padding: 8px; color: #1f2937; border-bottom: 1px solid #e5e7eb;">${message.messageType}</td>
+              <td style="padding: 8px; color: #1f2937; border-bottom: 1px solid #e5e7eb;">${message.priority}</td>
+              <td style="padding: 8px; color: #1f2937; border-bottom: 1px solid #e5e7eb;">${new Date(message.sla.dueAt).toLocaleString()}</td>
+            </tr>
+            `).join('')}
+          </table>
+          `}
+          
+          <h2 style="color: #1f2937; margin: 0 0 15px 0; font-size: 18px;">Follow-ups due</h2>
+          ${followUps.length === 0 ? `
+          <p style="color: #374151; margin: 0;">No follow-ups are overdue.</p>
+          ` : `
+          <table style="width: 100%; border-collapse: collapse;">
+            <tr>
+              <th style="padding: 8px; text-align: left; color: #374151; border-bottom: 2px solid #e5e7eb;">Sender</th>
+              <th style="padding: 8px; text-align: left; color: #374151; border-bottom: 2px solid #e5e7eb;">Subject</th>
+              <th style="padding: 8px; text-align: left; color: #374151; border-bottom: 2px solid #e5e7eb;">Status</th>
+              <th style="padding: 8px; text-align: left; color: #374151; border-bottom: 2px solid #e5e7eb;">Follow-up date</th>
+            </tr>
+            ${followUps.map(message => `
+            <tr>
+              <td style="padding: 8px; color: #1f2937; border-bottom: 1px solid #e5e7eb;">${escapeHtml(message.fullName)}</td>
+              <td style="padding: 8px; color: #1f2937; border-bottom: 1px solid #e5e7eb;">${escapeHtml(message.subject)}</td>
+              <td style="padding: 8px; color: #1f2937; border-bottom: 1px solid #e5e7eb;">${message.status}</td>
+              <td style="padding: 8px; color: #1f2937; border-bottom: 1px solid #e5e7eb;">${new Date(message.followUpDate).toLocaleDateString()}</td>
+            </tr>
+            `).join('')}
+          </table>
+          `}
+        </div>
+        
+        <div style="text-align: center; margin-top: 20px; color: #6b7280; font-size: 14px;">
+          <p>This digest was generated by the Westgate School messaging system.</p>
+        </div>
+      </div>
+    `
   })
 };
 
@@ -291,6 +778,54 @@ const sendContactConfirmation = async (contact, type = 'general') => {
   }
 };
 
+// Send an admin reply to someone who used the contact form
+const sendContactReply = async (contact, response) => {
+  try {
+    const transporter = createTransporter();
+    const template = emailTemplates.contactReply(contact, response);
+    
+    const mailOptions = {
+      from: `"Westgate Group of Schools" <${process.env.EMAIL_USER}>`,
+      to: contact.email,
+      subject: template.subject,
+      html: template.html
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('Contact reply sent:', result.messageId);
+    return { ...result, subject: template.subject, to: mailOptions.to };
+  } catch (error) {
+    console.error('Failed to send contact reply:', error);
+    throw error;
+  }
+};
+
+// Send an admin reply to a message sender, threaded under earlier replies
+const sendMessageReply = async (message, reply, { quoted, references = [] } = {}) => {
+  try {
+    const transporter = createTransporter();
+    const template = emailTemplates.messageReply(message, reply, quoted);
+    
+    const mailOptions = {
+      from: `"Westgate Group of Schools" <${process.env.EMAIL_USER}>`,
+      to: message.email,
+      subject: template.subject,
+      html: template.html,
+      ...(references.length > 0 && {
+        inReplyTo: references[references.length - 1],
+        references
+      })
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('Message reply sent:', result.messageId);
+    return { ...result, subject: template.subject, to: mailOptions.to };
+  } catch (error) {
+    console.error('Failed to send message reply:', error);
+    throw error;
+  }
+};
+
 // Send welcome email for newsletter subscription
 const sendWelcomeEmail = async (newsletter) => {
   try {
@@ -313,6 +848,187 @@ const sendWelcomeEmail = async (newsletter) => {
   }
 };
 
+// Send application confirmation to parent
+const sendApplicationConfirmation = async (application, accessSecret) => {
+  try {
+    const transporter = createTransporter();
+    const template = emailTemplates.applicationConfirmation(application, accessSecret);
+    
+    const mailOptions = {
+      from: `"Westgate Group of Schools" <${process.env.EMAIL_USER}>`,
+      to: application.email,
+      subject: template.subject,
+      html: template.html
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('Application confirmation sent:', result.messageId);
+    return { ...result, subject: template.subject, to: mailOptions.to };
+  } catch (error) {
+    console.error('Failed to send application confirmation:', error);
+    throw error;
+  }
+};
+
+// Send a saved-draft resume link to parent
+const sendDraftResumeLink = async (draft, link) => {
+  try {
+    const transporter = createTransporter();
+    const template = emailTemplates.draftResumeLink(draft, link);
+    
+    const mailOptions = {
+      from: `"Westgate Group of Schools" <${process.env.EMAIL_USER}>`,
+      to: draft.email,
+      subject: template.subject,
+      html: template.html
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('Draft resume link sent:', result.messageId);
+    return { ...result, subject: template.subject, to: mailOptions.to };
+  } catch (error) {
+    console.error('Failed to send draft resume link:', error);
+    throw error;
+  }
+};
+
+// Send application status update to parent
+const sendApplicationStatusUpdate = async (application, statusLabel, nextSteps) => {
+  try {
+    const transporter = createTransporter();
+    const template = emailTemplates.applicationStatusUpdate(application, statusLabel, nextSteps);
+    
+    const mailOptions = {
+      from: `"Westgate Group of Schools" <${process.env.EMAIL_USER}>`,
+      to: application.email,
+      subject: template.subject,
+      html: template.html
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('Application status update sent:', result.messageId);
+    return { ...result, subject: template.subject, to: mailOptions.to };
+  } catch (error) {
+    console.error('Failed to send application status update:', error);
+    throw error;
+  }
+};
+
+// Send document request to parent
+const sendDocumentRequest = async (application, missingDocuments, message) => {
+  try {
+    const transporter = createTransporter();
+    const template = emailTemplates.documentRequest(application, missingDocuments, message);
+    
+    const mailOptions = {
+      from: `"Westgate Group of Schools" <${process.env.EMAIL_USER}>`,
+      to: application.email,
+      subject: template.subject,
+      html: template.html
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('Document request sent:', result.messageId);
+    return { ...result, subject: template.subject, to: mailOptions.to };
+  } catch (error) {
+    console.error('Failed to send document request:', error);
+    throw error;
+  }
+};
+
+// Send interview/assessment invitation to parent
+const sendAssessmentInvitation = async (application, slot, link, isReschedule) => {
+  try {
+    const transporter = createTransporter();
+    const template = emailTemplates.assessmentInvitation(application, slot, link, isReschedule);
+    
+    const mailOptions = {
+      from: `"Westgate Group of Schools" <${process.env.EMAIL_USER}>`,
+      to: application.email,
+      subject: template.subject,
+      html: template.html
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('Assessment invitation sent:', result.messageId);
+    return { ...result, subject: template.subject, to: mailOptions.to };
+  } catch (error) {
+    console.error('Failed to send assessment invitation:', error);
+    throw error;
+  }
+};
+
+// Send an offer or regret letter to parent, with the PDF attached
+const sendDecisionLetter = async (application, letter) => {
+  try {
+    const transporter = createTransporter();
+    const template = emailTemplates.decisionLetter(application, letter);
+    
+    const mailOptions = {
+      from: `"Westgate Group of Schools" <${process.env.EMAIL_USER}>`,
+      to: application.email,
+      subject: template.subject,
+      html: template.html,
+      attachments: [{
+        filename: letter.filename,
+        content: letter.pdf,
+        contentType: 'application/pdf'
+      }]
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('Decision letter sent:', result.messageId);
+    return { ...result, subject: template.subject, to: mailOptions.to };
+  } catch (error) {
+    console.error('Failed to send decision letter:', error);
+    throw error;
+  }
+};
+
+// Send digest of new applications to the admissions team
+const sendAdmissionsDigest = async (applications, since) => {
+  try {
+    const transporter = createTransporter();
+    const template = emailTemplates.admissionsDigest(applications, since);
+    
+    const mailOptions = {
+      from: `"Westgate School Website" <${process.env.EMAIL_USER}>`,
+      to: process.env.ADMISSIONS_EMAIL || process.env.ADMIN_EMAIL || process.env.EMAIL_USER,
+      subject: template.subject,
+      html: template.html
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('Admissions digest sent:', result.messageId);
+    return result;
+  } catch (error) {
+    console.error('Failed to send admissions digest:', error);
+    throw error;
+  }
+};
+
+// Send digest of messages past their reply deadline or follow-up date to the admin inbox
+const sendOverdueMessagesDigest = async (breaches, followUps) => {
+  try {
+    const transporter = createTransporter();
+    const template = emailTemplates.overdueMessagesDigest(breaches, followUps);
+    
+    const mailOptions = {
+      from: `"Westgate School Website" <${process.env.EMAIL_USER}>`,
+      to: process.env.ADMIN_EMAIL || process.env.EMAIL_USER,
+      subject: template.subject,
+      html: template.html
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('Overdue messages digest sent:', result.messageId);
+    return result;
+  } catch (error) {
+    console.error('Failed to send overdue messages digest:', error);
+    throw error;
+  }
+};
+
 // Test email configuration
 const testEmailConfig = async () => {
   try {
@@ -329,6 +1045,16 @@ const testEmailConfig = async () => {
 module.exports = {
   sendContactNotification,
   sendContactConfirmation,
+  sendContactReply,
   sendWelcomeEmail,
+  sendMessageReply,
+  sendApplicationConfirmation,
+  sendDraftResumeLink,
+  sendApplicationStatusUpdate,
+  sendDocumentRequest,
+  sendAssessmentInvitation,
+  sendDecisionLetter,
+  sendAdmissionsDigest,
+  sendOverdueMessagesDigest,
   testEmailConfig
 };
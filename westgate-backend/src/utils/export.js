@@ -0,0 +1,163 @@
+const ExcelJS = require('exceljs');
+
+// Supported download formats
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Pick the columns to export from a comma-separated `columns` query value
+// Returns { columns } or { error } listing the unknown keys
+const resolveColumns = (definitions, requested) => {
+  if (!requested) {
+    return { columns: definitions.filter(column => column.default !== false) };
+  }
+
+  const keys = String(requested).split(',').map(key => key.trim()).filter(Boolean);
+  const unknown = keys.filter(key => !definitions.some(column => column.key === key));
+
+  if (unknown.length > 0) {
+    return {
+      error: {
+        status: 400,
+        message: `Unknown export column(s): ${unknown.join(', ')}`,
+        code: 'INVALID_EXPORT_COLUMNS',
+        availableColumns: definitions.map(column => column.key)
+      }
+    };
+  }
+
+  return { columns: keys.map(key => definitions.find(column => column.key === key)) };
+};
+
+// Read a column value from a document
+const getCellValue = (column, doc) => {
+  const value = column.value ? column.value(doc) : doc.get(column.key);
+  if (value === undefined || value === null) return '';
+  return value;
+};
+
+// Numbers and phone numbers (e.g. -5, +254 712 345 678, +1 (555) 010-0000) start with + or -
+// but cannot run anything, so they are written as they are
+const isNumberOrPhone = (text) => /^[+-]?[\d\s().-]+$/.test(text);
+
+// Format a value for a CSV cell, neutralising spreadsheet formulas
+const toCsvCell = (value) => {
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=@\t\r]/.test(text) || (/^[+-]/.test(text) && !isNumberOrPhone(text))) text = `'${text}`;
+  if (/[",\r\n]/.test(text)) text = `"${text.replace(/"/g, '""')}"`;
+  return text;
+};
+
+// Format a value for an XLSX cell (dates stay dates; ExcelJS always writes strings as text, never formulas)
+const toXlsxCell = (value) => {
+  if (value instanceof Date || typeof value === 'number' || typeof value === 'boolean') return value;
+  return String(value);
+};
+
+// Rows written to an XLSX export between checks for a slow or departed client
+const XLSX_FLUSH_ROWS = 100;
+
+// Wait until the response can take more data, or the client has disconnected
+// (only call while the response is still open, or the close is missed)
+const waitForDrain = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    res.off('error', done);
+    resolve();
+  };
+  res.once('drain', done);
+  res.once('close', done);
+  res.once('error', done);
+});
+
+// Stream every document from a query cursor to the response as a file download
+const streamExport = async (res, { cursor, columns, format, filename, sheetName = 'Export' }) => {
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  res.status(200);
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}-${stamp}.${format}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  let rowCount = 0;
+
+  // Set when the client disconnects before the download has finished
+  let clientGone = false;
+  res.once('close', () => {
+    if (!res.writableFinished) clientGone = true;
+  });
+
+  if (format === 'csv') {
+    // Byte order mark so Excel opens UTF-8 correctly
+    res.write('\uFEFF' + columns.map(column => toCsvCell(column.header)).join(',') + '\r\n');
+
+    for await (const doc of cursor) {
+      if (clientGone) break;
+
+      const line = columns.map(column => toCsvCell(getCellValue(column, doc))).join(',') + '\r\n';
+      rowCount += 1;
+      if (!res.write(line) && !clientGone) {
+        await waitForDrain(res);
+      }
+    }
+
+    // Stop reading from MongoDB once the client has disconnected
+    if (clientGone) {
+      await cursor.close();
+      return rowCount;
+    }
+
+    res.end();
+    return rowCount;
+  }
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map(column => ({
+    header: column.header,
+    key: column.key,
+    width: column.width || 20
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  for await (const doc of cursor) {
+    if (clientGone) break;
+
+    const row = {};
+    columns.forEach(column => {
+      row[column.key] = toXlsxCell(getCellValue(column, doc));
+    });
+    sheet.addRow(row).commit();
+    rowCount += 1;
+
+    // ExcelJS zips rows and writes them to the response asynchronously, so give it a turn
+    // now and then to reach the response before checking for backpressure
+    if (rowCount % XLSX_FLUSH_ROWS === 0) {
+      await new Promise(resolve => setImmediate(resolve));
+      if (res.writableNeedDrain && !clientGone) {
+        await waitForDrain(res);
+      }
+    }
+  }
+
+  if (clientGone) {
+    await cursor.close();
+    return rowCount;
+  }
+
+  // The workbook never finishes writing to a closed response
+  const responseClosed = new Promise(resolve => res.once('close', resolve));
+  sheet.commit();
+  await Promise.race([workbook.commit(), responseClosed]);
+  return rowCount;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  resolveColumns,
+  streamExport
+};
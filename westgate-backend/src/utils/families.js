@@ -0,0 +1,132 @@
+const Family = require('../models/Family');
+const Application = require('../models/Application');
+const ApplicationHistory = require('../models/ApplicationHistory');
+const Contact = require('../models/Contact');
+const Message = require('../models/Message');
+const Newsletter = require('../models/Newsletter');
+const { compareApplications } = require('./duplicates');
+const { phoneKeyPattern } = require('./phone');
+
+// Attach earlier contacts, messages and subscriptions from the same family
+const backfillFamilyLinks = async (family) => {
+  const emailMatch = family.emails.length > 0 ? [{ email: { $in: family.emails } }] : [];
+  const phoneMatch = family.phoneKeys.map(key => ({ phone: { $regex: phoneKeyPattern(key) } }));
+
+  const contactMatch = [...emailMatch, ...phoneMatch];
+  const update = { $set: { family: family._id } };
+
+  // Newsletter subscriptions only carry an email
+  await Promise.all([
+    contactMatch.length > 0 && Contact.updateMany({ family: null, $or: contactMatch }, update),
+    contactMatch.length > 0 && Message.updateMany({ family: null, $or: contactMatch }, update),
+    emailMatch.length > 0 && Newsletter.updateMany({ family: null, $or: emailMatch }, update)
+  ]);
+};
+
+// Find the family for an application's parent details, creating it if needed
+const findOrCreateFamily = async (application) => {
+  const guardian = {
+    firstName: application.parentFirstName,
+    lastName: application.parentLastName,
+    relationship: application.relationship,
+    email: application.email,
+    phone: application.phone
+  };
+
+  let family = await Family.findByContact({ email: application.email, phone: application.phone });
+
+  if (!family) {
+    family = new Family({
+      familyName: application.parentLastName || application.studentLastName,
+      address: application.address,
+      city: application.city
+    });
+  }
+
+  family.addGuardian(guardian);
+  if (!family.address && application.address) family.address = application.address;
+  if (!family.city && application.city) family.city = application.city;
+
+  if (family.isNew || family.isModified()) {
+    await family.save();
+  }
+
+  return family;
+};
+
+// Recompute `hasSibling` for a family's applications (e.g. after one of them moved to another family)
+const refreshSiblingFlags = async (familyId) => {
+  const members = await Application.find({ family: familyId })
+    .select('studentFirstName studentLastName dateOfBirth email phone hasSibling');
+
+  const updates = members
+    .map(member => ({
+      member,
+      hasSibling: members.some(other => !other._id.equals(member._id) && !compareApplications(member, other))
+    }))
+    .filter(({ member, hasSibling }) => member.hasSibling !== hasSibling);
+
+  await Promise.all(updates.map(({ member, hasSibling }) =>
+    Application.updateOne({ _id: member._id }, { $set: { hasSibling } })
+  ));
+};
+
+// Link a saved application to its family and flag sibling applications (never throws)
+// Pass `family` to link to a specific family instead of matching on parent details
+const linkApplicationToFamily = async (application, family) => {
+  try {
+    family = family || await findOrCreateFamily(application);
+    const previousFamily = application.family;
+
+    // Other children in the same family (look-alikes of this child are duplicates, not siblings)
+    const others = await Application.find({ family: family._id, _id: { $ne: application._id } })
+      .select('applicationNumber studentFirstName studentLastName dateOfBirth email phone hasSibling');
+    const siblings = others.filter(other => !compareApplications(application, other));
+
+    application.family = family._id;
+    application.hasSibling = siblings.length > 0;
+
+    await Promise.all([
+      Application.updateOne(
+        { _id: application._id },
+        { $set: { family: family._id, hasSibling: application.hasSibling } }
+      ),
+      siblings.length > 0 && Application.updateMany(
+        { _id: { $in: siblings.filter(sibling => !sibling.hasSibling).map(sibling => sibling._id) } },
+        { $set: { hasSibling: true } }
+      ),
+      backfillFamilyLinks(family)
+    ]);
+
+    // The family it left may no longer have siblings
+    if (previousFamily && !previousFamily.equals(family._id)) {
+      await refreshSiblingFlags(previousFamily);
+    }
+
+    if (siblings.length > 0) {
+      await ApplicationHistory.record(application, {
+        action: 'note',
+        note: `Sibling application(s) in the same family: ${siblings.map(sibling => sibling.applicationNumber).join(', ')}`,
+        actorType: 'system'
+      });
+    }
+
+    return family;
+  } catch (error) {
+    console.error(`Family linking failed for ${application.applicationNumber}:`, error);
+    return null;
+  }
+};
+
+// Point a contact, message or subscription at its family, if one is known (call before saving)
+const assignFamily = async (record, { email, phone } = {}) => {
+  const family = await Family.findByContact({ email, phone });
+  record.family = family ? family._id : undefined;
+  return family;
+};
+
+module.exports = {
+  linkApplicationToFamily,
+  assignFamily,
+  backfillFamilyLinks
+};
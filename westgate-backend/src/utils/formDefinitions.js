@@ -0,0 +1,125 @@
+// Types an admin can give a custom application question
+const CUSTOM_FIELD_TYPES = ['text', 'select', 'date', 'boolean', 'file'];
+
+// Optional core application fields a form definition can make required
+const OPTIONAL_CORE_FIELDS = [
+  'previousSchool',
+  'previousGrade',
+  'reasonForTransfer',
+  'medicalConditions',
+  'specialNeeds',
+  'extracurriculars'
+];
+
+// Keys double as JSON property names in submissions
+const CUSTOM_FIELD_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/;
+
+const DEFAULT_TEXT_LENGTH = 500;
+
+const TRUE_VALUES = ['true', 'yes', '1'];
+const FALSE_VALUES = ['false', 'no', '0'];
+
+// Build an error in the same shape express-validator reports
+const fieldError = (path, msg, value) => ({ type: 'field', location: 'body', path, value, msg });
+
+// Convert a submitted answer to the field's type
+// Returns { value } or { error }
+const parseAnswer = (field, raw) => {
+  switch (field.type) {
+    case 'text': {
+      const value = String(raw).trim();
+      const maxLength = field.maxLength || DEFAULT_TEXT_LENGTH;
+      if (value.length > maxLength) {
+        return { error: `${field.label} cannot exceed ${maxLength} characters` };
+      }
+      return { value };
+    }
+    case 'select': {
+      const value = String(raw).trim();
+      if (!field.options.includes(value)) {
+        return { error: `${field.label} must be one of: ${field.options.join(', ')}` };
+      }
+      return { value };
+    }
+    case 'date': {
+      const value = new Date(raw);
+      if (typeof raw === 'boolean' || Number.isNaN(value.getTime())) {
+        return { error: `${field.label} must be a valid date` };
+      }
+      return { value };
+    }
+    case 'boolean': {
+      const text = String(raw).trim().toLowerCase();
+      if (TRUE_VALUES.includes(text)) return { value: true };
+      if (FALSE_VALUES.includes(text)) return { value: false };
+      return { error: `${field.label} must be yes or no` };
+    }
+    default:
+      return { error: `${field.label} cannot be answered here` };
+  }
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Check a submission against a program's form definition
+// Returns { answers, errors }: answers are ready to store on the application; file questions are
+// answered later by uploading a document, so they are stored unanswered
+const validateFormAnswers = (definition, submission = {}) => {
+  const submitted = submission.customFields || {};
+  const errors = [];
+  const answers = [];
+
+  if (typeof submitted !== 'object' || Array.isArray(submitted)) {
+    return { answers, errors: [fieldError('customFields', 'Custom fields must be an object of answers', submitted)] };
+  }
+
+  const fields = definition ? definition.fields : [];
+
+  Object.keys(submitted).forEach(key => {
+    if (!fields.some(field => field.key === key)) {
+      errors.push(fieldError(`customFields.${key}`, `Unknown question: ${key}`, submitted[key]));
+    }
+  });
+
+  fields.forEach(field => {
+    const path = `customFields.${field.key}`;
+    const raw = submitted[field.key];
+
+    if (field.type === 'file') {
+      if (!isBlank(raw)) {
+        errors.push(fieldError(path, `${field.label} must be uploaded as a document after submitting`, raw));
+      }
+      answers.push({ key: field.key, label: field.label, type: field.type, value: null });
+      return;
+    }
+
+    if (isBlank(raw)) {
+      if (field.required) errors.push(fieldError(path, `${field.label} is required`, raw));
+      return;
+    }
+
+    const { value, error } = parseAnswer(field, raw);
+    if (error) {
+      errors.push(fieldError(path, error, raw));
+      return;
+    }
+
+    answers.push({ key: field.key, label: field.label, type: field.type, value });
+  });
+
+  // Core questions this program asks for even though they are optional in general
+  (definition ? definition.requiredCoreFields : []).forEach(name => {
+    if (isBlank(submission[name])) {
+      errors.push(fieldError(name, `${name.replace(/([A-Z])/g, ' $1').replace(/^\w/, l => l.toUpperCase())} is required for this program`, submission[name]));
+    }
+  });
+
+  return { answers, errors };
+};
+
+module.exports = {
+  CUSTOM_FIELD_TYPES,
+  OPTIONAL_CORE_FIELDS,
+  CUSTOM_FIELD_KEY_PATTERN,
+  validateFormAnswers
+};
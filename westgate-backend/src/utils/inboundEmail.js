@@ -0,0 +1,210 @@
+const { simpleParser } = require('mailparser');
+const { ImapFlow } = require('imapflow');
+const Message = require('../models/Message');
+const { assignFamily } = require('./families');
+const { isAllowedDocumentType } = require('../middleware/upload');
+const { uploadImageWithSizes } = require('../config/cloudinary');
+
+const MAX_ATTACHMENTS = 10;
+const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024; // 10MB, as for website uploads
+const MAX_SUBJECT_LENGTH = 100;
+const MAX_BODY_LENGTH = 2000;
+
+// Cut text to a model limit, marking that it was shortened
+const truncate = (text, maxLength) => {
+  if (text.length <= maxLength) return text;
+  return `${text.slice(0, maxLength - 1).trimEnd()}…`;
+};
+
+// Drop the quoted history mail clients add below a reply
+const stripQuotedReply = (text = '') => {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const hasOutlookHeader = lines.some(line => /^Sent: /.test(line.trim()));
+  const cut = lines.findIndex(line =>
+    /^On .+ wrote:$/.test(line.trim()) ||
+    /^-{2,}\s*Original Message\s*-{2,}$/i.test(line.trim()) ||
+    (hasOutlookHeader && /^From: .+/.test(line.trim()))
+  );
+  const kept = cut === -1 ? lines : lines.slice(0, cut);
+  return kept.filter(line => !line.startsWith('>')).join('\n').trim();
+};
+
+// Parse a raw RFC 822 / MIME email into the parts a Message needs
+const parseInboundEmail = async (raw) => {
+  const parsed = await simpleParser(raw);
+  const sender = parsed.from && parsed.from.value && parsed.from.value[0];
+  const references = [].concat(parsed.references || []);
+
+  return {
+    fromName: sender ? (sender.name || '').trim() : '',
+    fromEmail: sender && sender.address ? sender.address.toLowerCase() : null,
+    subject: (parsed.subject || '').trim(),
+    body: stripQuotedReply(parsed.text || ''),
+    messageId: parsed.messageId || null,
+    // The message being replied to and the rest of the chain
+    references: [parsed.inReplyTo, ...references].filter(Boolean),
+    autoSubmitted: /^auto-/i.test(parsed.headers.get('auto-submitted') || ''),
+    attachments: (parsed.attachments || []).filter(attachment => !attachment.related)
+  };
+};
+
+// Upload what can be kept of an email's attachments; only the document types parents may upload
+// on the website are stored, and other types, files that are too big or fail to upload are
+// still listed so admins know they were sent
+const storeAttachments = async (message, attachments) => {
+  const stored = [];
+
+  for (const attachment of attachments.slice(0, MAX_ATTACHMENTS)) {
+    const entry = {
+      filename: attachment.filename || 'attachment',
+      contentType: attachment.contentType,
+      size: attachment.size
+    };
+
+    if (attachment.size <= MAX_ATTACHMENT_SIZE && isAllowedDocumentType(attachment.contentType)) {
+      try {
+        const result = await uploadImageWithSizes(attachment.content, {
+          folder: `westgate-messages/${message._id}`,
+          public_id: `${Date.now()}-${entry.filename.replace(/\.[^.]+$/, '').replace(/[^a-zA-Z0-9]/g, '-').toLowerCase()}`,
+          resource_type: 'auto',
+          allowed_formats: undefined,
+          transformation: []
+        });
+        entry.url = result.secure_url;
+        entry.cloudinaryId = result.public_id;
+      } catch (error) {
+        console.error(`Failed to store email attachment ${entry.filename}:`, error);
+      }
+    }
+
+    stored.push(entry);
+  }
+
+  return stored;
+};
+
+// Turn a raw email into a Message, or a new entry on the conversation it answers
+// Returns { message, status } where status is created, threaded, duplicate or ignored; or { error }
+const ingestEmail = async (raw) => {
+  let email;
+  try {
+    email = await parseInboundEmail(raw);
+  } catch (error) {
+    return { error: { status: 400, message: 'Email could not be parsed', code: 'INBOUND_EMAIL_INVALID' } };
+  }
+
+  if (!email.fromEmail) {
+    return { error: { status: 400, message: 'Email has no sender address', code: 'INBOUND_EMAIL_INVALID' } };
+  }
+
+  // Out-of-office replies and our own outgoing mail would only start loops
+  const ownAddress = (process.env.EMAIL_USER || '').toLowerCase();
+  if (email.autoSubmitted || email.fromEmail === ownAddress) {
+    return { message: null, status: 'ignored' };
+  }
+
+  // Webhook retries and IMAP re-polls deliver the same email again
+  if (email.messageId) {
+    const existing = await Message.findOne({ 'thread.emailMessageId': email.messageId });
+    if (existing) return { message: existing, status: 'duplicate' };
+  }
+
+  const body = truncate(email.body || '(no text)', MAX_BODY_LENGTH);
+
+  // A reply to an earlier email, else a follow-up to the sender's open conversation
+  const thread = await Message.findByEmailReferences(email.references) ||
+    await Message.findOpenThread(email.fromEmail);
+
+  if (thread) {
+    const attachments = await storeAttachments(thread, email.attachments);
+    await thread.addFollowUp(body, { emailMessageId: email.messageId, attachments });
+
+    console.log(`📥 Email from ${email.fromEmail} added to message ${thread._id}`);
+
+    return { message: thread, status: 'threaded' };
+  }
+
+  const [firstName, ...otherNames] = (email.fromName || email.fromEmail.split('@')[0]).split(/\s+/);
+  const message = new Message({
+    firstName: truncate(firstName, 50),
+    lastName: otherNames.length > 0 ? truncate(otherNames.join(' '), 50) : undefined,
+    email: email.fromEmail,
+    subject: truncate(email.subject || '(no subject)', MAX_SUBJECT_LENGTH),
+    message: body,
+    source: 'email'
+  });
+
+  message.thread.push({
+    type: 'message',
+    body,
+    emailMessageId: email.messageId,
+    attachments: await storeAttachments(message, email.attachments)
+  });
+
+  await assignFamily(message, { email: message.email });
+  await message.save();
+
+  console.log(`📥 New email message received: ${message.fullName} - ${message.subject}`);
+
+  return { message, status: 'created' };
+};
+
+// Ingest unread mail from an IMAP mailbox, marking each email read once it is stored
+// Emails that fail are left unread so the next poll retries them
+const pollImapInbox = async ({
+  host = process.env.IMAP_HOST,
+  port = parseInt(process.env.IMAP_PORT, 10) || 993,
+  secure = process.env.IMAP_SECURE !== 'false',
+  user = process.env.IMAP_USER,
+  pass = process.env.IMAP_PASS,
+  mailbox = process.env.IMAP_MAILBOX || 'INBOX'
+} = {}) => {
+  const client = new ImapFlow({
+    host,
+    port,
+    secure,
+    auth: { user, pass },
+    // Local test servers use self-signed certificates
+    tls: { rejectUnauthorized: process.env.IMAP_TLS_REJECT_UNAUTHORIZED !== 'false' },
+    logger: false
+  });
+
+  const summary = { created: 0, threaded: 0, duplicate: 0, ignored: 0, failed: 0 };
+
+  await client.connect();
+  const lock = await client.getMailboxLock(mailbox);
+
+  try {
+    const uids = await client.search({ seen: false }, { uid: true });
+
+    for (const uid of uids || []) {
+      try {
+        const { source } = await client.fetchOne(uid, { source: true }, { uid: true });
+        const { status, error } = await ingestEmail(source);
+
+        if (error) {
+          console.error(`Email ${uid} in ${mailbox} was not ingested: ${error.message}`);
+          summary.failed++;
+          continue;
+        }
+
+        await client.messageFlagsAdd(uid, ['\\Seen'], { uid: true });
+        summary[status]++;
+      } catch (error) {
+        console.error(`Failed to ingest email ${uid} from ${mailbox}:`, error);
+        summary.failed++;
+      }
+    }
+  } finally {
+    lock.release();
+    await client.logout();
+  }
+
+  return summary;
+};
+
+module.exports = {
+  parseInboundEmail,
+  ingestEmail,
+  pollImapInbox
+};
@@ -0,0 +1,82 @@
+const ReplyTemplate = require('../models/ReplyTemplate');
+const { fillPlaceholders, formatDate } = require('./letters');
+const { MAX_REPLY_LENGTH } = require('./replyTemplates');
+
+// Subject used for {{subject}} when answering a contact inquiry
+const INQUIRY_TYPE_LABELS = {
+  general: 'General Inquiry',
+  tour: 'School Tour Request',
+  admissions: 'Admissions Information',
+  academic: 'Academic Programs',
+  facilities: 'Facilities & Services'
+};
+
+// Short reference quoted in replies, as in the reply emails
+const referenceId = (record) => record._id.toString().slice(-8).toUpperCase();
+
+// Build placeholder values for a message
+const buildMessageReplyFields = (message) => ({
+  firstName: message.firstName,
+  lastName: message.lastName,
+  fullName: message.fullName,
+  email: message.email,
+  subject: message.subject,
+  referenceId: referenceId(message),
+  date: formatDate(new Date())
+});
+
+// Build placeholder values for a contact inquiry (which only has a single name field)
+const buildContactReplyFields = (contact) => {
+  const [firstName, ...otherNames] = String(contact.name || '').trim().split(/\s+/);
+
+  return {
+    firstName,
+    lastName: otherNames.join(' '),
+    fullName: contact.name,
+    email: contact.email,
+    subject: INQUIRY_TYPE_LABELS[contact.inquiryType] || 'Your Inquiry',
+    referenceId: referenceId(contact),
+    date: formatDate(new Date())
+  };
+};
+
+// Fill an active reply template; `overrides` replace the values taken from the inquiry
+// Returns { template, text } or { error } when the template is missing or needs values the inquiry cannot supply
+const renderReplyTemplate = async (templateId, fields, overrides = {}) => {
+  const template = await ReplyTemplate.findOne({ _id: templateId, isActive: true });
+  if (!template) {
+    return { error: { status: 404, message: 'Reply template not found', code: 'REPLY_TEMPLATE_NOT_FOUND' } };
+  }
+
+  const values = { ...fields, ...overrides };
+  const missingFields = template.placeholders.filter(name => values[name] === undefined || values[name] === null || values[name] === '');
+  if (missingFields.length > 0) {
+    return {
+      error: {
+        status: 400,
+        message: `Reply needs values for: ${missingFields.join(', ')}`,
+        code: 'REPLY_FIELDS_REQUIRED',
+        missingFields
+      }
+    };
+  }
+
+  const text = fillPlaceholders(template.body, values).trim();
+  if (text.length > MAX_REPLY_LENGTH) {
+    return {
+      error: {
+        status: 400,
+        message: `Reply cannot exceed ${MAX_REPLY_LENGTH} characters once filled in`,
+        code: 'REPLY_TOO_LONG'
+      }
+    };
+  }
+
+  return { template, text };
+};
+
+module.exports = {
+  buildMessageReplyFields,
+  buildContactReplyFields,
+  renderReplyTemplate
+};
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const Intake = require('../models/Intake');
+
+// Find an intake by ID or code
+const findIntake = (reference) => {
+  if (!reference) return Promise.resolve(null);
+  if (mongoose.Types.ObjectId.isValid(reference)) {
+    return Intake.findById(reference);
+  }
+  return Intake.findOne({ code: String(reference).trim().toUpperCase() });
+};
+
+// Pick the intake a submission belongs to, enforcing the public submission window
+// Returns { intake } or { error } with the status, message and code to respond with
+const resolveSubmissionIntake = async ({ program, intake: reference, enforceWindow = true }) => {
+  if (reference) {
+    const intake = await findIntake(reference);
+
+    if (!intake) {
+      return { error: { status: 404, message: 'Intake not found', code: 'INTAKE_NOT_FOUND' } };
+    }
+    if (!intake.acceptsProgram(program)) {
+      return { error: { status: 400, message: `The ${intake.name} intake does not admit ${program} applicants`, code: 'INTAKE_PROGRAM_MISMATCH' } };
+    }
+    if (enforceWindow && !intake.isOpen) {
+      return { error: { status: 403, message: `Applications for ${intake.name} are closed`, code: 'INTAKE_CLOSED' } };
+    }
+    return { intake };
+  }
+
+  if (!enforceWindow) return { intake: null };
+
+  const [intake] = await Intake.getOpen({ program });
+  if (!intake) {
+    return { error: { status: 403, message: 'Applications are currently closed for this program', code: 'INTAKE_CLOSED' } };
+  }
+  return { intake };
+};
+
+// Build the application filter for an `intake` query parameter (ID or code)
+// Returns null when the intake does not exist
+const intakeFilter = async (reference) => {
+  if (!reference || reference === 'all') return {};
+  const intake = await findIntake(reference);
+  return intake ? { intake: intake._id } : null;
+};
+
+module.exports = {
+  findIntake,
+  resolveSubmissionIntake,
+  intakeFilter
+};
@@ -0,0 +1,131 @@
+const PDFDocument = require('pdfkit');
+
+// Placeholders a letter template may use, filled from the application
+const LETTER_PLACEHOLDERS = [
+  'parentName',
+  'studentName',
+  'studentFirstName',
+  'applicationNumber',
+  'program',
+  'grade',
+  'intake',
+  'fees',
+  'reportingDate',
+  'date'
+];
+
+// Letter sent when an application moves into each status
+const LETTER_STATUSES = {
+  'offer-made': 'offer',
+  'rejected': 'regret'
+};
+
+// Application document type each letter is stored as
+const LETTER_DOCUMENT_TYPES = {
+  'offer': 'offer-letter',
+  'regret': 'regret-letter'
+};
+
+// Find {{placeholders}} in a piece of template text
+const findPlaceholders = (text) => {
+  return [...String(text || '').matchAll(/{{\s*(\w+)\s*}}/g)].map(match => match[1]);
+};
+
+// Replace {{placeholders}} with their values
+const fillPlaceholders = (text, fields) => {
+  return String(text || '').replace(/{{\s*(\w+)\s*}}/g, (placeholder, name) => {
+    return fields[name] !== undefined && fields[name] !== null ? fields[name] : placeholder;
+  });
+};
+
+const formatDate = (date) => {
+  return new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+};
+
+const formatProgram = (program) => {
+  return String(program || '').replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+};
+
+// Build placeholder values for an application
+// `fees` and `reportingDate` fall back to the template's defaults, then the intake start date
+const buildLetterFields = (application, { template, intake, fees, reportingDate } = {}) => {
+  const letterFees = fees !== undefined && fees !== null ? fees : template && template.fees;
+  const letterReportingDate = reportingDate || (template && template.reportingDate) || (intake && intake.startsOn);
+
+  return {
+    parentName: `${application.parentFirstName} ${application.parentLastName}`,
+    studentName: `${application.studentFirstName} ${application.studentLastName}`,
+    studentFirstName: application.studentFirstName,
+    applicationNumber: application.applicationNumber,
+    program: formatProgram(application.program),
+    grade: application.currentGrade || formatProgram(application.program),
+    intake: intake ? intake.name : null,
+    fees: letterFees !== undefined && letterFees !== null ? `KES ${Number(letterFees).toLocaleString('en-US')}` : null,
+    reportingDate: letterReportingDate ? formatDate(letterReportingDate) : null,
+    date: formatDate(new Date())
+  };
+};
+
+// Get the placeholders a template uses that have no value for this letter
+const getMissingLetterFields = (template, fields) => {
+  return template.placeholders.filter(name => fields[name] === undefined || fields[name] === null || fields[name] === '');
+};
+
+// Render a letter to a PDF buffer
+const renderLetterPdf = ({ title, body, signatory, fields }) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 60, info: { Title: title, Author: 'Westgate Group of Schools' } });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Letterhead
+    doc.fillColor('#DC2626').font('Helvetica-Bold').fontSize(20).text('Westgate Group of Schools', { align: 'center' });
+    doc.fillColor('#6b7280').font('Helvetica').fontSize(10).text('Excellence in Education Since 1995', { align: 'center' });
+    doc.moveDown(0.5);
+    doc.strokeColor('#DC2626').lineWidth(1).moveTo(doc.page.margins.left, doc.y).lineTo(doc.page.width - doc.page.margins.right, doc.y).stroke();
+    doc.moveDown(1.5);
+
+    doc.fillColor('#1f2937').fontSize(11)
+      .text(fields.date, { align: 'right' })
+      .text(`Ref: ${fields.applicationNumber}`, { align: 'right' });
+    doc.moveDown();
+    doc.text(`Dear ${fields.parentName},`);
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').fontSize(13).text(fillPlaceholders(title, fields).toUpperCase());
+    doc.moveDown(0.5);
+
+    doc.font('Helvetica').fontSize(11);
+    fillPlaceholders(body, fields)
+      .split(/\n\s*\n/)
+      .map(paragraph => paragraph.trim())
+      .filter(Boolean)
+      .forEach(paragraph => {
+        doc.text(paragraph, { align: 'justify', lineGap: 2 });
+        doc.moveDown();
+      });
+
+    doc.moveDown();
+    doc.text('Yours faithfully,');
+    doc.moveDown(2);
+    doc.font('Helvetica-Bold').text(signatory || 'Admissions Office');
+    doc.font('Helvetica').text('Westgate Group of Schools');
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  LETTER_PLACEHOLDERS,
+  LETTER_STATUSES,
+  LETTER_DOCUMENT_TYPES,
+  findPlaceholders,
+  fillPlaceholders,
+  formatDate,
+  buildLetterFields,
+  getMissingLetterFields,
+  renderLetterPdf
+};
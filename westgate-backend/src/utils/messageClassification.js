@@ -0,0 +1,39 @@
+const ClassificationRule = require('../models/ClassificationRule');
+const { matchRules } = require('./classification');
+
+// Suggest a type, priority and tags for a new message from the active rules and apply them
+// Returns the suggestion, or null when no rule matched; a failure is logged and the message
+// is kept as the sender sent it. Count the matches with recordClassification once it is saved
+const classifyMessage = async (message) => {
+  try {
+    const rules = await ClassificationRule.getActive();
+    const suggestion = matchRules(message, rules);
+
+    if (!suggestion) return null;
+
+    message.applyClassification(suggestion);
+
+    console.log(`🏷️ Message classified by ${suggestion.matches.map(match => match.name).join(', ')}`);
+
+    return suggestion;
+  } catch (error) {
+    console.error('Message classification failed:', error);
+    return null;
+  }
+};
+
+// Count a saved message's matches on the rules behind its suggestion (never throws)
+const recordClassification = async (suggestion) => {
+  if (!suggestion) return;
+
+  try {
+    await ClassificationRule.recordMatches(suggestion.matches.map(match => match.rule));
+  } catch (error) {
+    console.error('Recording classification matches failed:', error);
+  }
+};
+
+module.exports = {
+  classifyMessage,
+  recordClassification
+};
@@ -0,0 +1,69 @@
+const { sendMessageReply, sendContactReply } = require('./email');
+
+// Email an admin reply to the sender and record the outcome on the reply
+// Never throws: the reply stays in the thread whether or not the email goes out
+const deliverReply = async (message, reply) => {
+  const index = message.thread.findIndex(entry => entry._id.equals(reply._id));
+  const earlier = message.thread.slice(0, index);
+
+  // Quote the sender's message being answered, and thread under replies already emailed
+  const quoted = earlier.filter(entry => entry.type === 'message').pop();
+  const references = earlier
+    .filter(entry => entry.delivery && entry.delivery.messageId)
+    .map(entry => entry.delivery.messageId);
+
+  const delivery = {
+    to: message.email,
+    attempts: ((reply.delivery && reply.delivery.attempts) || 0) + 1,
+    lastAttemptAt: new Date()
+  };
+
+  try {
+    const result = await sendMessageReply(message, reply, { quoted, references });
+    delivery.status = 'sent';
+    delivery.messageId = result.messageId;
+  } catch (error) {
+    delivery.status = 'failed';
+    delivery.error = error.message;
+  }
+
+  reply.delivery = delivery;
+
+  try {
+    await message.save();
+  } catch (error) {
+    console.error('Failed to record reply delivery:', error);
+  }
+
+  return reply.delivery;
+};
+
+// Email the latest reply to a contact form inquirer and record the outcome
+// Never throws: the reply is already saved whether or not the email goes out
+const deliverContactReply = async (contact) => {
+  const delivery = { sentAt: new Date() };
+
+  try {
+    const result = await sendContactReply(contact, contact.response);
+    delivery.status = 'sent';
+    delivery.messageId = result.messageId;
+  } catch (error) {
+    delivery.status = 'failed';
+    delivery.error = error.message;
+  }
+
+  contact.responseDelivery = delivery;
+
+  try {
+    await contact.save();
+  } catch (error) {
+    console.error('Failed to record contact reply delivery:', error);
+  }
+
+  return contact.responseDelivery;
+};
+
+module.exports = {
+  deliverReply,
+  deliverContactReply
+};
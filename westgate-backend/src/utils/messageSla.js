@@ -0,0 +1,90 @@
+const Message = require('../models/Message');
+const { sendOverdueMessagesDigest } = require('./email');
+
+// Flag messages that have passed their reply deadline and escalate their priority
+// Returns counts; a message that fails to save is logged and retried on the next check
+const checkMessageSla = async (now = new Date()) => {
+  const summary = { breached: 0, escalated: 0, failed: 0 };
+  const messages = await Message.findNewSlaBreaches(now);
+
+  for (const message of messages) {
+    try {
+      const from = message.priority;
+      await message.escalate();
+      summary.breached++;
+      if (message.priority !== from) summary.escalated++;
+
+      console.log(`⏰ Message ${message._id} missed its reply deadline (priority ${message.priority})`);
+    } catch (error) {
+      console.error(`Failed to escalate message ${message._id}:`, error);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
+// Email the admin inbox a digest of messages past their reply deadline or follow-up date
+// Nothing is sent when nothing is overdue
+const sendOverdueDigest = async (now = new Date()) => {
+  const overdue = await Message.getOverdue(now)
+    .select('firstName lastName subject messageType priority status sla followUpRequired followUpDate');
+
+  const breaches = overdue.filter(message => message.sla.dueAt && message.sla.dueAt <= now);
+  const followUps = overdue.filter(message =>
+    message.followUpRequired && message.followUpDate <= now && message.status !== 'resolved'
+  );
+
+  if (breaches.length > 0 || followUps.length > 0) {
+    await sendOverdueMessagesDigest(breaches, followUps);
+  }
+
+  return { breaches: breaches.length, followUps: followUps.length };
+};
+
+// Run the SLA check every MESSAGE_SLA_CHECK_MINUTES (default 15, 0 turns it off) and send the
+// overdue digest once a day from MESSAGE_SLA_DIGEST_HOUR (server time, default 7)
+// Serverless deployments should turn this off and run scripts/check-message-sla.js from cron
+const startMessageSlaScheduler = () => {
+  const configuredMinutes = parseInt(process.env.MESSAGE_SLA_CHECK_MINUTES, 10);
+  const minutes = Number.isNaN(configuredMinutes) ? 15 : configuredMinutes;
+  const configuredHour = parseInt(process.env.MESSAGE_SLA_DIGEST_HOUR, 10);
+  const digestHour = Number.isNaN(configuredHour) ? 7 : configuredHour;
+
+  if (minutes <= 0) return null;
+
+  let running = false;
+  let lastDigestDay = null;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await checkMessageSla();
+
+      const now = new Date();
+      if (now.getHours() >= digestHour && lastDigestDay !== now.toDateString()) {
+        lastDigestDay = now.toDateString();
+        await sendOverdueDigest(now);
+      }
+    } catch (error) {
+      console.error('Message SLA check failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  // Don't keep the process alive just for the scheduler
+  const timer = setInterval(run, minutes * 60 * 1000);
+  timer.unref();
+
+  console.log(`⏰ Message SLA checks every ${minutes} minute(s)`);
+  return timer;
+};
+
+module.exports = {
+  checkMessageSla,
+  sendOverdueDigest,
+  startMessageSlaScheduler
+};
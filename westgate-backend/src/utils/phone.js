@@ -0,0 +1,10 @@
+// Compare phone numbers on their last nine digits (ignores +254 / 0 prefixes and spacing)
+const phoneKey = (phone) => String(phone || '').replace(/\D/g, '').slice(-9);
+
+// Regex source matching a stored number (which keeps its formatting) by its phone key
+const phoneKeyPattern = (key) => `${key.split('').join('\\D*')}$`;
+
+module.exports = {
+  phoneKey,
+  phoneKeyPattern
+};
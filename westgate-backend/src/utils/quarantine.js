@@ -0,0 +1,73 @@
+const QuarantinedSubmission = require('../models/QuarantinedSubmission');
+
+// How each form's submission is created once an admin releases it, registered by the route
+// that owns the form. A handler takes (payload, { ipAddress, userAgent }) and returns
+// { record: { id, reference } } or { error: { status, message, code } }
+const releaseHandlers = {};
+
+const registerReleaseHandler = (kind, handler) => {
+  releaseHandlers[kind] = handler;
+};
+
+// Hold a submission back for review instead of creating it
+const quarantineSubmission = async (kind, req) => {
+  const entry = new QuarantinedSubmission({
+    kind,
+    payload: req.body,
+    email: typeof req.body.email === 'string' ? req.body.email : undefined,
+    score: req.spam.score,
+    reasons: req.spam.reasons,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  await entry.save();
+
+  console.log(`🚫 Suspected spam quarantined (${kind}, score ${entry.score}): ${entry.reasons.map(reason => reason.check).join(', ')}`);
+
+  return entry;
+};
+
+// Create the submission as if it had never been flagged
+// Returns { entry } or { error }; a refused release is recorded and the entry stays pending
+const releaseSubmission = async (entry, admin) => {
+  const handler = releaseHandlers[entry.kind];
+  if (!handler) {
+    return {
+      error: {
+        status: 500,
+        message: `Submissions from the ${entry.kind} form cannot be released`,
+        code: 'QUARANTINE_RELEASE_UNSUPPORTED'
+      }
+    };
+  }
+
+  const { record, error } = await handler(entry.payload, {
+    ipAddress: entry.ipAddress,
+    userAgent: entry.userAgent
+  });
+
+  if (error) {
+    entry.releaseError = error.message;
+    await entry.save();
+    return { error };
+  }
+
+  entry.status = 'released';
+  entry.reviewedBy = admin._id;
+  entry.reviewedAt = new Date();
+  entry.releasedRecord = record;
+  entry.releaseError = undefined;
+  entry.expiresAt = undefined;
+  await entry.save();
+
+  console.log(`✅ Quarantined ${entry.kind} submission ${entry._id} released by ${admin.username}`);
+
+  return { entry };
+};
+
+module.exports = {
+  registerReleaseHandler,
+  quarantineSubmission,
+  releaseSubmission
+};
@@ -0,0 +1,34 @@
+const { MESSAGE_TYPES } = require('./classification');
+
+// Placeholders a reply template may use, filled from the message or contact inquiry being answered
+const REPLY_PLACEHOLDERS = [
+  'firstName',
+  'lastName',
+  'fullName',
+  'email',
+  'subject',
+  'referenceId',
+  'date'
+];
+
+// What a template can be filed under: message types and contact inquiry types
+const REPLY_MESSAGE_TYPES = MESSAGE_TYPES;
+const REPLY_INQUIRY_TYPES = ['general', 'tour', 'admissions', 'academic', 'facilities'];
+
+// Longest reply a message or contact inquiry can store
+const MAX_REPLY_LENGTH = 2000;
+
+// Placeholder values an admin can supply in place of the ones taken from the inquiry
+const isValidOverrides = (overrides) => {
+  return Object.entries(overrides).every(([name, value]) =>
+    REPLY_PLACEHOLDERS.includes(name) && typeof value === 'string' && value.length <= 200
+  );
+};
+
+module.exports = {
+  REPLY_PLACEHOLDERS,
+  REPLY_MESSAGE_TYPES,
+  REPLY_INQUIRY_TYPES,
+  MAX_REPLY_LENGTH,
+  isValidOverrides
+};
@@ -0,0 +1,67 @@
+// What a panel reviewer can recommend for an applicant
+const REVIEW_RECOMMENDATIONS = ['admit', 'waitlist', 'reject'];
+
+// List filters relative to the signed-in admin
+const REVIEW_FILTERS = ['assigned', 'awaiting'];
+
+const roundPercentage = (value) => Math.round(value * 10) / 10;
+
+// Score as a percentage of the maximum (null when nothing was scored)
+const reviewPercentage = (review) => {
+  if (!review.scores || review.scores.length === 0) return null;
+  const total = review.scores.reduce((sum, entry) => sum + entry.score, 0);
+  const max = review.scores.reduce((sum, entry) => sum + entry.maxScore, 0);
+  return roundPercentage((total / max) * 100);
+};
+
+// Aggregate the submitted reviews on an application
+const summariseReviews = (reviews = []) => {
+  const submitted = reviews.filter(review => review.submittedAt);
+  const percentages = submitted.map(reviewPercentage).filter(value => value !== null);
+
+  // Average each criterion as a percentage, since reviewers may score out of different maximums
+  const criteria = {};
+  submitted.forEach(review => {
+    (review.scores || []).forEach(entry => {
+      const key = entry.criterion.toLowerCase();
+      if (!criteria[key]) criteria[key] = { criterion: entry.criterion, percentages: [] };
+      criteria[key].percentages.push((entry.score / entry.maxScore) * 100);
+    });
+  });
+
+  const recommendations = {};
+  REVIEW_RECOMMENDATIONS.forEach(recommendation => {
+    recommendations[recommendation] = submitted.filter(review => review.recommendation === recommendation).length;
+  });
+
+  return {
+    assigned: reviews.length,
+    submitted: submitted.length,
+    pending: reviews.length - submitted.length,
+    averagePercentage: percentages.length > 0
+      ? roundPercentage(percentages.reduce((sum, value) => sum + value, 0) / percentages.length)
+      : null,
+    criteria: Object.values(criteria).map(({ criterion, percentages: values }) => ({
+      criterion,
+      averagePercentage: roundPercentage(values.reduce((sum, value) => sum + value, 0) / values.length),
+      reviews: values.length
+    })),
+    recommendations
+  };
+};
+
+// Filter for applications assigned to (or still awaiting a review from) an admin
+const reviewFilter = (review, adminId) => {
+  if (review === 'awaiting') {
+    return { reviews: { $elemMatch: { reviewer: adminId, submittedAt: null } } };
+  }
+  return { 'reviews.reviewer': adminId };
+};
+
+module.exports = {
+  REVIEW_RECOMMENDATIONS,
+  REVIEW_FILTERS,
+  reviewPercentage,
+  summariseReviews,
+  reviewFilter
+};
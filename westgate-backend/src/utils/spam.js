@@ -0,0 +1,174 @@
+const jwt = require('jsonwebtoken');
+const { spamSettings } = require('../config/spam');
+const { getCaptchaVerifier } = require('../config/captcha');
+
+// Request fields used for screening only, never stored
+const FORM_TOKEN_FIELD = 'formToken';
+const CAPTCHA_FIELD = 'captchaToken';
+
+// Public forms whose suspected spam is quarantined
+const QUARANTINE_KINDS = ['message', 'contact', 'tour', 'newsletter', 'application'];
+
+// Form tokens are signed apart from admin tokens so one can never pass for the other
+const formTokenSecret = () => `${process.env.JWT_SECRET || 'your-secret-key-change-in-production'}:form`;
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s]+/gi;
+const LINK_MARKUP_PATTERN = /\[url[=\]]|href\s*=/i;
+
+// The fields a form sends for screening alone
+const screeningFields = () => [spamSettings.honeypotField, FORM_TOKEN_FIELD, CAPTCHA_FIELD];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Signed token a form fetches when it is shown, proving how long it took to fill in
+const issueFormToken = () => {
+  return jwt.sign({ purpose: 'form' }, formTokenSecret(), { expiresIn: '1d' });
+};
+
+// Every string a submission carries (top level and lists of strings), leaving out the
+// email and screening fields so a filled honeypot is not counted twice
+const submissionText = (body) => {
+  const skipped = ['email', ...screeningFields()];
+  return Object.entries(body)
+    .filter(([field]) => !skipped.includes(field))
+    .flatMap(([, value]) => (Array.isArray(value) ? value : [value]))
+    .filter(value => typeof value === 'string')
+    .join('\n');
+};
+
+// Each check returns { score, detail } when it finds something, or null
+const honeypotCheck = {
+  name: 'honeypot',
+  run: ({ body }) => {
+    const value = body[spamSettings.honeypotField];
+    return value ? { score: 10, detail: `Hidden "${spamSettings.honeypotField}" field was filled in` } : null;
+  }
+};
+
+const formTokenCheck = {
+  name: 'form-token',
+  run: ({ body }) => {
+    const token = body[FORM_TOKEN_FIELD];
+    // Older forms without a token are only mildly suspicious
+    if (!token) return { score: 2, detail: 'No form token' };
+
+    let issuedAt;
+    try {
+      const decoded = jwt.verify(String(token), formTokenSecret());
+      issuedAt = decoded.iat * 1000;
+    } catch (error) {
+      return { score: 3, detail: `Form token rejected: ${error.message}` };
+    }
+
+    const seconds = (Date.now() - issuedAt) / 1000;
+    if (seconds < spamSettings.minSubmitSeconds) {
+      return { score: 5, detail: `Submitted ${seconds.toFixed(1)}s after the form was shown` };
+    }
+    return null;
+  }
+};
+
+const linkCheck = {
+  name: 'links',
+  run: ({ text }) => {
+    if (LINK_MARKUP_PATTERN.test(text)) return { score: 5, detail: 'Contains link markup' };
+
+    const links = (text.match(URL_PATTERN) || []).length;
+    if (links === 0) return null;
+    return { score: links >= 3 ? 5 : links, detail: `Contains ${links} link(s)` };
+  }
+};
+
+const keywordCheck = {
+  name: 'keywords',
+  run: ({ text }) => {
+    const found = spamSettings.keywords.filter(keyword =>
+      new RegExp(`\\b${escapeRegex(keyword)}\\b`, 'i').test(text)
+    );
+    if (found.length === 0) return null;
+    return { score: Math.min(found.length * 3, 9), detail: `Mentions ${found.join(', ')}` };
+  }
+};
+
+const disposableEmailCheck = {
+  name: 'disposable-email',
+  run: ({ email }) => {
+    const domain = String(email || '').toLowerCase().split('@')[1];
+    if (!domain) return null;
+
+    const parts = domain.split('.');
+    const disposable = parts.some((part, index) => spamSettings.disposableDomains.has(parts.slice(index).join('.')));
+    return disposable ? { score: 5, detail: `Disposable email domain ${domain}` } : null;
+  }
+};
+
+const captchaCheck = {
+  name: 'captcha',
+  run: async ({ body }, { ipAddress }) => {
+    const verifier = getCaptchaVerifier();
+    if (!verifier) return null;
+
+    try {
+      const passed = await verifier.verify(body[CAPTCHA_FIELD], { ipAddress });
+      return passed ? null : { score: 5, detail: `CAPTCHA not passed (${verifier.name})` };
+    } catch (error) {
+      // An outage at the provider must not quarantine every submission
+      console.error('CAPTCHA verification failed:', error.message);
+      return null;
+    }
+  }
+};
+
+// Checks run on every submission, in order; add to the list to plug in another
+const spamChecks = [
+  honeypotCheck,
+  formTokenCheck,
+  linkCheck,
+  keywordCheck,
+  disposableEmailCheck,
+  captchaCheck
+];
+
+// Score a submission against the checks
+// Returns { score, reasons: [{ check, score, detail }], suspected }
+const assessSubmission = async (body, { ipAddress } = {}, checks = spamChecks) => {
+  const submission = { body, email: body.email, text: submissionText(body) };
+  const reasons = [];
+
+  for (const check of checks) {
+    const result = await check.run(submission, { ipAddress });
+    if (result && result.score > 0) {
+      reasons.push({ check: check.name, score: result.score, detail: result.detail });
+    }
+  }
+
+  const score = reasons.reduce((total, reason) => total + reason.score, 0);
+  return { score, reasons, suspected: score >= spamSettings.threshold };
+};
+
+// Remove the screening fields so they are never validated or stored
+const stripScreeningFields = (body) => {
+  screeningFields().forEach(field => {
+    delete body[field];
+  });
+  return body;
+};
+
+// The screening fields a request sent, for carrying them over when its body is rebuilt
+const pickScreeningFields = (body = {}) => {
+  return screeningFields().reduce((picked, field) => {
+    if (body[field] !== undefined) picked[field] = body[field];
+    return picked;
+  }, {});
+};
+
+module.exports = {
+  QUARANTINE_KINDS,
+  FORM_TOKEN_FIELD,
+  CAPTCHA_FIELD,
+  spamChecks,
+  issueFormToken,
+  assessSubmission,
+  stripScreeningFields,
+  pickScreeningFields
+};